@@ -4,6 +4,23 @@ const preprocessor = require('@badeball/cypress-cucumber-preprocessor');
 const createEsbuildPlugin = require('@badeball/cypress-cucumber-preprocessor/esbuild');
 const allureWriter = require('@shelex/cypress-allure-plugin/writer');
 const path = require('path');
+const crypto = require('crypto');
+const { createSeedAdapter, toCollection } = require('./cypress/plugins/seeding/index.cjs');
+const { startMockServer } = require('./cypress/plugins/mock-server/index.cjs');
+const { startOidcProvider } = require('./cypress/plugins/oidc-provider/index.cjs');
+const { CleanupLedger } = require('./cypress/plugins/cleanup-ledger/index.cjs');
+const { loadWorld } = require('./cypress/plugins/worlds/index.cjs');
+const { loadEnvFixture } = require('./cypress/plugins/fixtures/index.cjs');
+const { UserLeasePool, poolCandidates } = require('./cypress/plugins/user-pool/index.cjs');
+const { TokenStore } = require('./cypress/plugins/auth/index.cjs');
+const { LocatorHealingStore } = require('./cypress/plugins/locator-healing/index.cjs');
+const { savePageSnapshot } = require('./cypress/plugins/page-scaffold/index.cjs');
+const {
+  generateEphemeralUser,
+  createEphemeralUser,
+  deleteEphemeralUsers,
+  cleanupExpiredUsers,
+} = require('./src/utils/ephemeral-users');
 require('dotenv').config();
 
 module.exports = defineConfig({
@@ -71,6 +88,32 @@ module.exports = defineConfig({
       // Test User Credentials
       username: process.env.TEST_USERNAME || 'testuser',
       password: process.env.TEST_PASSWORD || 'Password123!',
+      // Base32 TOTP secret, when the TEST_USERNAME user has MFA enabled
+      totpSecret: process.env.TEST_TOTP_SECRET || '',
+
+      // Programmatic login (cy.loginByApi): API endpoint, plus where the app
+      // keeps its session (cookie and localStorage key; empty to skip either)
+      authLoginPath: process.env.AUTH_LOGIN_PATH || '/auth/login',
+      authSessionCookie: process.env.AUTH_SESSION_COOKIE ?? 'session',
+      authTokenKey: process.env.AUTH_TOKEN_KEY ?? 'authToken',
+
+      // How cy.login checks a cached session: cookie, localStorage, whoami or a
+      // registered custom strategy (comma-separated; see src/utils/session-strategies.js)
+      sessionStrategy: process.env.SESSION_STRATEGY || 'cookie',
+      authWhoamiPath: process.env.AUTH_WHOAMI_PATH || '/auth/me',
+
+      // API token refresh (cy.apiRequest): refresh endpoint on API_URL, and how
+      // long before expiry a token is refreshed proactively
+      authRefreshPath: process.env.AUTH_REFRESH_PATH || '/auth/refresh',
+      authRefreshMargin: parseInt(process.env.AUTH_REFRESH_MARGIN_MS, 10) || 60 * 1000,
+
+      // SSO login (cy.loginSso): OIDC issuer and client, the app's callback and
+      // "Sign in with SSO" routes, and the default mode (token or redirect)
+      ssoIssuer: process.env.SSO_ISSUER || 'http://localhost:3002',
+      ssoClientId: process.env.SSO_CLIENT_ID || 'cypress-app',
+      ssoRedirectPath: process.env.SSO_REDIRECT_PATH || '/auth/callback',
+      ssoStartPath: process.env.SSO_START_PATH || '/login/sso',
+      ssoMode: process.env.SSO_MODE || 'token',
 
       // BDD Tags
       tags: process.env.TAGS || '',
@@ -78,13 +121,57 @@ module.exports = defineConfig({
       // Environment
       environment: process.env.ENVIRONMENT || 'development',
 
+      // Parallel worker id (stamped on requests as X-Worker-Id)
+      workerId: process.env.WORKER_ID || '0',
+
+      // Seeding backend: http, lowdb or memory (defaults per environment)
+      seedAdapter: process.env.SEED_ADAPTER || '',
+      seedDbPath: process.env.SEED_DB_PATH || 'data/database.json',
+      seedDbSeedPath: process.env.SEED_DB_SEED_PATH || '',
+
+      // Seed for generated test data (random per run unless set; replay with DATA_SEED)
+      dataSeed: process.env.DATA_SEED || '',
+
+      // Locale for generated names, addresses and phone numbers (see src/utils/fake-data.js)
+      dataLocale: process.env.DATA_LOCALE || 'en_US',
+
+      // Scenario world files for cy.seedWorld
+      worldsFolder: process.env.WORLDS_FOLDER || 'cypress/worlds',
+
+      // Ledger of created entities, for cleanup:orphans after crashed runs
+      cleanupLedgerDir: process.env.CLEANUP_LEDGER_DIR || 'cleanup-ledger',
+
+      // Exclusive fixture users across parallel workers (cy.leaseUser)
+      userLeaseDir: process.env.USER_LEASE_DIR || 'user-leases',
+      userLeaseTtl: parseInt(process.env.USER_LEASE_TTL_MS, 10) || 15 * 60 * 1000,
+
+      // Delete expired ephemeral users left by earlier runs when a run starts
+      sweepEphemeralUsers: process.env.SWEEP_EPHEMERAL_USERS !== 'false',
+
+      // Self-healing page object selectors (see src/utils/self-healing.js): off
+      // unless SELF_HEALING=true; minimum fingerprint score (0-1) to heal; where
+      // fingerprints and the healing report are kept
+      selfHealing: process.env.SELF_HEALING === 'true',
+      selfHealingThreshold: parseFloat(process.env.SELF_HEALING_THRESHOLD) || 0.6,
+      selfHealingFingerprints: process.env.SELF_HEALING_FINGERPRINTS || 'cypress/healing/fingerprints.json',
+      selfHealingReportDir: process.env.SELF_HEALING_REPORT_DIR || 'cypress/reports/healing',
+
+      // Page HTML saved by cy.capturePageSnapshot (input for scripts/scaffold-page.cjs)
+      pageSnapshotDir: process.env.PAGE_SNAPSHOT_DIR || 'cypress/snapshots/pages',
+
+      // Start the in-memory mock API at apiUrl instead of the real backend
+      mockServer: process.env.MOCK_SERVER === 'true',
+
+      // Start the mock OIDC provider at ssoIssuer instead of the real identity provider
+      mockOidc: process.env.MOCK_OIDC === 'true',
+
       // Feature flags
       enableApiMocking: process.env.ENABLE_API_MOCKING === 'true',
       enableCoverage: process.env.ENABLE_COVERAGE === 'true',
     },
 
     // Setup node event listeners
-    setupNodeEvents(on, config) {
+    async setupNodeEvents(on, config) {
       // Allure reporter
       allureWriter(on, config);
 
@@ -98,6 +185,103 @@ module.exports = defineConfig({
         return bundler(file);
       });
 
+      // Data seed: every generated user, amount and SKU derives from it
+      config.env.dataSeed = String(config.env.dataSeed || crypto.randomInt(1, 2 ** 31));
+      console.log(
+        `[Data Seed] ${config.env.dataSeed} — rerun with DATA_SEED=${config.env.dataSeed} to replay test data`,
+      );
+
+      // Mock backend server (shares its in-memory state with the seed tasks)
+      let mockServer = null;
+      if (config.env.mockServer) {
+        const { port } = new URL(config.env.apiUrl);
+        try {
+          mockServer = await startMockServer({ port: parseInt(port, 10) || 3001 });
+        } catch (error) {
+          if (error.code !== 'EADDRINUSE') {
+            throw error;
+          }
+          console.log(`[Mock Server] Port ${port} already in use, reusing running server`);
+        }
+
+        // Seed in-process when we own the server, otherwise through its API
+        config.env.seedAdapter = config.env.seedAdapter || (mockServer ? 'memory' : 'http');
+      }
+
+      // Mock OIDC provider (signs in the same users as the mock API)
+      if (config.env.mockOidc) {
+        const { port } = new URL(config.env.ssoIssuer);
+        try {
+          await startOidcProvider({
+            port: parseInt(port, 10) || 3002,
+            issuer: config.env.ssoIssuer,
+            clientIds: [config.env.ssoClientId],
+          });
+        } catch (error) {
+          if (error.code !== 'EADDRINUSE') {
+            throw error;
+          }
+          console.log(`[Mock OIDC] Port ${port} already in use, reusing running provider`);
+        }
+      }
+
+      // Seeding backend (http, lowdb or memory) picked per environment
+      const seedAdapter = createSeedAdapter(config, {
+        store: mockServer ? mockServer.store : undefined,
+      });
+      config.env.seedAdapter = seedAdapter.name;
+
+      // Persistent record of created entities (survives crashed or killed runs)
+      const ledger = new CleanupLedger({
+        dir: path.resolve(config.projectRoot || __dirname, config.env.cleanupLedgerDir),
+        environment: config.env.environment,
+        apiUrl: config.env.apiUrl,
+        mockServer: Boolean(mockServer),
+        seedDbPath: seedAdapter.dbPath,
+      });
+      config.env.runId = ledger.runId;
+      const recordSeeded = (collection, entity) =>
+        ledger.record({
+          namespace: entity.namespace,
+          type: collection,
+          id: entity.id,
+          via: seedAdapter.name,
+        });
+      // API sessions shared by specs (cy.loginByApi, cy.getAuthToken)
+      const tokenStore = new TokenStore();
+
+      // Namespace of the running spec (set by the before hook in e2e.js)
+      let specContext = { spec: null, namespace: null, workerId: config.env.workerId };
+
+      const fixturesFolder = path.resolve(config.projectRoot || __dirname, config.fixturesFolder);
+
+      // Element fingerprints and the healing report for self-healing selectors
+      const healingStore = new LocatorHealingStore({
+        fingerprintsFile: path.resolve(config.projectRoot || __dirname, config.env.selfHealingFingerprints),
+        reportDir: path.resolve(config.projectRoot || __dirname, config.env.selfHealingReportDir),
+        environment: config.env.environment,
+        baseUrl: config.baseUrl,
+      });
+
+      // Fixture users leased exclusively across parallel workers on this host
+      const userPool = new UserLeasePool({
+        dir: path.resolve(config.projectRoot || __dirname, config.env.userLeaseDir),
+        holder: ledger.runId,
+        ttl: config.env.userLeaseTtl,
+      });
+
+      const releaseUsers = ({ results }) =>
+        ledger.release(results.filter(({ deleted }) => deleted).map(({ id }) => ({ type: 'users', id })));
+
+      // Ephemeral users that expired after earlier (possibly crashed) runs
+      if (config.env.sweepEphemeralUsers) {
+        try {
+          await cleanupExpiredUsers({ environment: config.env.environment, adapter: seedAdapter });
+        } catch (error) {
+          console.log(`[Ephemeral User] Sweep skipped: ${error.message}`);
+        }
+      }
+
       // Tasks for logging, data seeding, and cleanup
       on('task', {
         // Logging tasks
@@ -110,62 +294,172 @@ module.exports = defineConfig({
           return null;
         },
 
-        // Data seeding tasks
-        seedUser(userData) {
+        // Data seeding tasks (persisted through the selected seed adapter)
+        async seedUser(userData) {
           console.log('Seeding user:', userData.username || userData.email);
-          // In a real scenario, this would call your backend API
-          // For now, we'll just return success
-          return {
-            success: true,
-            id: `user-${Date.now()}`,
-            ...userData,
-          };
+          const user = await seedAdapter.create('users', userData);
+          recordSeeded('users', user);
+          return { success: true, ...user };
         },
 
-        seedTransaction(transactionData) {
+        async seedTransaction(transactionData) {
           console.log('Seeding transaction:', transactionData.description);
-          return {
-            success: true,
-            id: `txn-${Date.now()}`,
-            ...transactionData,
-          };
+          const transaction = await seedAdapter.create('transactions', transactionData);
+          recordSeeded('transactions', transaction);
+          return { success: true, ...transaction };
         },
 
-        seedProduct(productData) {
+        async seedProduct(productData) {
           console.log('Seeding product:', productData.name);
-          return {
-            success: true,
-            id: `prod-${Date.now()}`,
-            ...productData,
-          };
+          const product = await seedAdapter.create('products', productData);
+          recordSeeded('products', product);
+          return { success: true, ...product };
         },
 
-        seedOrder(orderData) {
+        async seedOrder(orderData) {
           console.log('Seeding order:', orderData.orderNumber);
-          return {
-            success: true,
-            id: `order-${Date.now()}`,
-            ...orderData,
-          };
+          const order = await seedAdapter.create('orders', orderData);
+          recordSeeded('orders', order);
+          return { success: true, ...order };
         },
 
         // Cleanup tasks
-        cleanupEntity({ type, id }) {
+        async cleanupEntity({ type, id }) {
           console.log(`Cleaning up ${type}:${id}`);
-          // In a real scenario, this would call your backend API to delete
-          return { success: true, type, id };
+          // remove() resolves once the entity is deleted or already gone (404)
+          // and rejects otherwise; a failed delete stays in the ledger so
+          // scripts/cleanup-orphans.cjs retries it
+          const deleted = await seedAdapter.remove(toCollection(type), id);
+          ledger.release([{ type: toCollection(type), id }]);
+          return { success: true, type, id, deleted };
         },
 
-        cleanupByNamespace({ namespace }) {
+        async cleanupByNamespace({ namespace }) {
           console.log(`Cleaning up all entities in namespace: ${namespace}`);
-          // In a real scenario, this would delete all entities with this namespace
-          return { success: true, namespace, deleted: 0 };
+          const deleted = await seedAdapter.removeByNamespace(namespace);
+          ledger.releaseNamespace(namespace);
+          return { success: true, namespace, deleted };
+        },
+
+        // Ephemeral users (stored with expiresAt, environment and runId for the sweep)
+        async createEphemeralUser(options = {}) {
+          const user = generateEphemeralUser({
+            environment: config.env.environment,
+            runId: config.env.runId,
+            ...options,
+          });
+          const created = await createEphemeralUser(user, seedAdapter);
+          recordSeeded('users', created);
+          return created;
+        },
+
+        async cleanupEphemeralUsers(users = []) {
+          const result = await deleteEphemeralUsers(users, seedAdapter);
+          releaseUsers(result);
+          return result;
+        },
+
+        async sweepEphemeralUsers({ environment, runId } = {}) {
+          const result = await cleanupExpiredUsers({
+            environment: environment || config.env.environment,
+            runId,
+            adapter: seedAdapter,
+          });
+          releaseUsers(result);
+          return result;
+        },
+
+        // User leases (released by the global after hook at the end of every spec)
+        async leaseUser({ role, spec, wait }) {
+          const { fixture } = loadEnvFixture('users', {
+            fixturesFolder,
+            environment: config.env.environment,
+          });
+          const user = await userPool.acquire({ role, candidates: poolCandidates(fixture), spec, wait });
+          return user || { exhausted: true, role, holders: userPool.holders(role) };
+        },
+
+        async releaseUserLeases({ usernames } = {}) {
+          return { released: await userPool.release(usernames) };
+        },
+
+        // Auth token store
+        storeAuthToken(entry) {
+          return tokenStore.set(entry);
+        },
+
+        getAuthToken(key) {
+          return tokenStore.get(key);
+        },
+
+        // Including expired sessions, for the API auth manager to refresh
+        getAuthSession(key) {
+          return tokenStore.get(key, { includeExpired: true });
+        },
+
+        clearAuthTokens({ key } = {}) {
+          return { cleared: tokenStore.clear(key) };
+        },
+
+        // Self-healing locators (loaded and saved by the hooks in e2e.js)
+        loadLocatorFingerprints() {
+          return healingStore.loadFingerprints();
+        },
+
+        saveLocatorHealing(pending) {
+          return healingStore.save(pending);
+        },
+
+        // Page snapshots for page object scaffolding
+        savePageSnapshot(snapshot) {
+          const saved = savePageSnapshot(
+            snapshot,
+            path.resolve(config.projectRoot || __dirname, config.env.pageSnapshotDir),
+          );
+          console.log(`[Page Snapshot] ${snapshot.name}: ${saved.elements} hooked element(s) -> ${saved.file}`);
+          return saved;
+        },
+
+        setSpecNamespace({ spec, namespace, workerId }) {
+          specContext = { spec, namespace, workerId };
+          return null;
+        },
+
+        // Cleanup ledger tasks (entities created by the browser-side factories)
+        recordCreatedEntity({ namespace, type, id }) {
+          ledger.record({ namespace, type, id, via: 'http' });
+          return null;
+        },
+
+        releaseDeletedEntities({ entities }) {
+          return { success: true, released: ledger.release(entities) };
+        },
+
+        // Fixture with the environment overlay (fixtures/<env>/<name>.json) merged in
+        loadEnvFixture({ name, environment }) {
+          return loadEnvFixture(name, {
+            fixturesFolder,
+            environment: environment || config.env.environment,
+          });
+        },
+
+        // Scenario world files (seeded by cy.seedWorld)
+        loadWorld(name) {
+          return loadWorld(name, path.resolve(config.projectRoot || __dirname, config.env.worldsFolder));
         },
 
         // Database reset task (for local/CI environments)
-        resetDatabase() {
+        async resetDatabase() {
           console.log('Resetting database to clean state');
-          // In a real scenario, this would reset your test database
+          await seedAdapter.reset();
+
+          // The in-process mock shares its store with the seed adapter; put its
+          // fixture users back the way its POST /reset route does
+          if (mockServer) {
+            await mockServer.seedDefaults();
+          }
+
+          ledger.releaseAll();
           return { success: true, message: 'Database reset complete' };
         },
 
@@ -175,6 +469,9 @@ module.exports = defineConfig({
             nodeEnv: process.env.NODE_ENV || 'development',
             ci: process.env.CI === 'true',
             workerId: process.env.WORKER_ID || '0',
+            dataSeed: config.env.dataSeed,
+            runId: config.env.runId,
+            namespace: specContext.namespace,
           };
         },
 
@@ -191,7 +488,10 @@ module.exports = defineConfig({
           const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
           const filename = path.join(metadataDir, `metadata-${timestamp}.json`);
 
-          fs.writeFileSync(filename, JSON.stringify(metadata, null, 2));
+          fs.writeFileSync(
+            filename,
+            JSON.stringify({ dataSeed: config.env.dataSeed, ...specContext, ...metadata }, null, 2),
+          );
           console.log(`Test metadata saved to: ${filename}`);
 
           return { success: true, filename };
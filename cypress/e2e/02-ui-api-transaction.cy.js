@@ -83,12 +83,9 @@ describe('UI + API Test: Transaction Creation', { tags: ['@regression', '@integr
 
     // Step 6: Verify transaction via direct API call
     cy.log('🔍 Step 6: Verify transaction via API');
-    cy.request({
+    cy.apiRequest({
       method: 'GET',
-      url: `${Cypress.env('apiUrl') || '/api'}/transactions/${createdTransactionId}`,
-      headers: {
-        'Authorization': `Bearer ${Cypress.env('authToken')}`
-      }
+      url: `${Cypress.env('apiUrl') || '/api'}/transactions/${createdTransactionId}`
     }).then((response) => {
       expect(response.status).to.equal(200);
 
@@ -141,12 +138,9 @@ describe('UI + API Test: Transaction Creation', { tags: ['@regression', '@integr
     });
 
     // Verify all transactions via API
-    cy.request({
+    cy.apiRequest({
       method: 'GET',
-      url: `${Cypress.env('apiUrl') || '/api'}/transactions`,
-      headers: {
-        'Authorization': `Bearer ${Cypress.env('authToken')}`
-      }
+      url: `${Cypress.env('apiUrl') || '/api'}/transactions`
     }).then((response) => {
       expect(response.status).to.equal(200);
 
@@ -186,12 +180,9 @@ describe('UI + API Test: Transaction Creation', { tags: ['@regression', '@integr
       const txnId = uiData.id || uiData.transactionId;
 
       // Fetch from API independently
-      cy.request({
+      cy.apiRequest({
         method: 'GET',
-        url: `${Cypress.env('apiUrl') || '/api'}/transactions/${txnId}`,
-        headers: {
-          'Authorization': `Bearer ${Cypress.env('authToken')}`
-        }
+        url: `${Cypress.env('apiUrl') || '/api'}/transactions/${txnId}`
       }).then((apiResponse) => {
         const apiData = apiResponse.body;
 
@@ -210,12 +201,9 @@ describe('UI + API Test: Transaction Creation', { tags: ['@regression', '@integr
     // Cleanup: Delete created transactions (if API supports it)
     if (createdTransactionId) {
       cy.log(`🧹 Cleanup: Attempting to delete transaction ${createdTransactionId}`);
-      cy.request({
+      cy.apiRequest({
         method: 'DELETE',
         url: `${Cypress.env('apiUrl') || '/api'}/transactions/${createdTransactionId}`,
-        headers: {
-          'Authorization': `Bearer ${Cypress.env('authToken')}`
-        },
         failOnStatusCode: false
       });
     }
@@ -14,7 +14,6 @@
  */
 
 describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integration', '@regression'] }, () => {
-  let authToken;
   let userId;
   let createdOrderId;
 
@@ -24,20 +23,10 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     // Get authentication token via API
     cy.log('🔐 Authenticating via API...');
 
-    cy.request({
-      method: 'POST',
-      url: `${apiUrl}/auth/login`,
-      body: {
-        username: Cypress.env('TEST_USERNAME') || 'testuser',
-        password: Cypress.env('TEST_PASSWORD') || 'Password123!'
-      }
-    }).then((response) => {
-      expect(response.status).to.equal(200);
-      authToken = response.body.token || response.body.accessToken;
-      userId = response.body.userId || response.body.user?.id;
+    cy.loginByApi().then((auth) => {
+      userId = auth.userId;
 
       cy.log(`✅ Authenticated. User ID: ${userId}`);
-      Cypress.env('authToken', authToken);
     });
   });
 
@@ -77,11 +66,10 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     // Step 2: Create order via API
     cy.log('🚀 Step 2: Create order via API POST request');
 
-    cy.request({
+    cy.apiRequest({
       method: 'POST',
       url: `${apiUrl}/orders`,
       headers: {
-        'Authorization': `Bearer ${authToken}`,
         'Content-Type': 'application/json'
       },
       body: orderData
@@ -119,12 +107,9 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     // Step 1: Fetch order by ID
     cy.log(`🔍 Step 1: Fetch order ${createdOrderId} from API`);
 
-    cy.request({
+    cy.apiRequest({
       method: 'GET',
-      url: `${apiUrl}/orders/${createdOrderId}`,
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
+      url: `${apiUrl}/orders/${createdOrderId}`
     }).then((response) => {
       expect(response.status).to.equal(200);
 
@@ -153,12 +138,9 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     // Step 3: Verify order appears in user's order list
     cy.log('📋 Step 3: Verify order in user order list');
 
-    cy.request({
+    cy.apiRequest({
       method: 'GET',
-      url: `${apiUrl}/users/${userId}/orders`,
-      headers: {
-        'Authorization': `Bearer ${authToken}`
-      }
+      url: `${apiUrl}/users/${userId}/orders`
     }).then((response) => {
       expect(response.status).to.equal(200);
 
@@ -177,11 +159,10 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     // Step 1: Update order status
     cy.log('🔄 Step 1: Update order status to "processing"');
 
-    cy.request({
+    cy.apiRequest({
       method: 'PATCH',
       url: `${apiUrl}/orders/${createdOrderId}`,
       headers: {
-        'Authorization': `Bearer ${authToken}`,
         'Content-Type': 'application/json'
       },
       body: {
@@ -194,12 +175,9 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
         cy.log('✅ Status update successful');
 
         // Step 2: Verify status change
-        cy.request({
+        cy.apiRequest({
           method: 'GET',
-          url: `${apiUrl}/orders/${createdOrderId}`,
-          headers: {
-            'Authorization': `Bearer ${authToken}`
-          }
+          url: `${apiUrl}/orders/${createdOrderId}`
         }).then((getResponse) => {
           expect(getResponse.body.status).to.equal('processing');
           cy.log('✅ Status transition verified');
@@ -236,11 +214,10 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     cy.log(`💰 Calculated total: $${complexOrder.totalAmount}`);
 
     // Create order
-    cy.request({
+    cy.apiRequest({
       method: 'POST',
       url: `${apiUrl}/orders`,
       headers: {
-        'Authorization': `Bearer ${authToken}`,
         'Content-Type': 'application/json'
       },
       body: complexOrder
@@ -283,11 +260,10 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
 
     // Create all orders
     cy.wrap(bulkOrders).each((orderData) => {
-      cy.request({
+      cy.apiRequest({
         method: 'POST',
         url: `${apiUrl}/orders`,
         headers: {
-          'Authorization': `Bearer ${authToken}`,
           'Content-Type': 'application/json'
         },
         body: orderData
@@ -302,12 +278,9 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
       expect(orderIds).to.have.length(5);
 
       // Fetch user orders
-      cy.request({
+      cy.apiRequest({
         method: 'GET',
-        url: `${apiUrl}/users/${userId}/orders`,
-        headers: {
-          'Authorization': `Bearer ${authToken}`
-        }
+        url: `${apiUrl}/users/${userId}/orders`
       }).then((response) => {
         const userOrders = response.body.orders || response.body;
 
@@ -327,12 +300,9 @@ describe('API-Only Test: Order Creation and DB State', { tags: ['@api', '@integr
     if (createdOrderId) {
       cy.log(`🧹 Cleanup: Deleting test order ${createdOrderId}`);
 
-      cy.request({
+      cy.apiRequest({
         method: 'DELETE',
         url: `${apiUrl}/orders/${createdOrderId}`,
-        headers: {
-          'Authorization': `Bearer ${authToken}`
-        },
         failOnStatusCode: false
       }).then((response) => {
         if (response.status === 200 || response.status === 204) {
@@ -202,12 +202,9 @@ describe('Negative Testing: Invalid Checkout Flows', { tags: ['@negative', '@val
       cy.log('🚫 Test: Insufficient balance');
 
       // Set balance to very low amount via API
-      cy.request({
+      cy.apiRequest({
         method: 'POST',
         url: `${Cypress.env('apiUrl') || '/api'}/users/balance`,
-        headers: {
-          'Authorization': `Bearer ${Cypress.env('authToken')}`
-        },
         body: { amount: 0.01 }, // Set to minimal balance
         failOnStatusCode: false
       });
@@ -365,12 +362,9 @@ describe('Negative Testing: Invalid Checkout Flows', { tags: ['@negative', '@val
       cy.wait(3000);
 
       // Verify only one order was created
-      cy.request({
+      cy.apiRequest({
         method: 'GET',
         url: `${Cypress.env('apiUrl') || '/api'}/users/${Cypress.env('userId')}/orders`,
-        headers: {
-          'Authorization': `Bearer ${Cypress.env('authToken')}`
-        },
         failOnStatusCode: false
       }).then((response) => {
         if (response.status === 200) {
@@ -537,12 +531,9 @@ describe('Negative Testing: Invalid Checkout Flows', { tags: ['@negative', '@val
     }
 
     // Cleanup: Reset balance if needed
-    cy.request({
+    cy.apiRequest({
       method: 'POST',
       url: `${Cypress.env('apiUrl') || '/api'}/users/balance`,
-      headers: {
-        'Authorization': `Bearer ${Cypress.env('authToken')}`
-      },
       body: { amount: 5000 },
       failOnStatusCode: false
     });
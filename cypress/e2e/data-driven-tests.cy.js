@@ -137,9 +137,10 @@ describe('Data-Driven Tests', () => {
           });
         } else {
           // Expect validation error for invalid amounts
-          cy.wrap(
-            seedFactory.createTransaction({ amount })
-          ).should('throw');
+          seedFactory
+            .createTransaction({ amount }, { failOnStatusCode: false })
+            .its('status')
+            .should('be.gte', 400);
         }
       });
     });
@@ -154,21 +155,21 @@ describe('Data-Driven Tests', () => {
 
     bulkTestCases.forEach(({ count, type }) => {
       it(`should create ${count} ${type} in bulk`, () => {
-        let createPromise;
+        let createChain;
 
         switch (type) {
           case 'users':
-            createPromise = seedFactory.user.createMany(count);
+            createChain = seedFactory.createUsers(count);
             break;
           case 'transactions':
-            createPromise = seedFactory.transaction.createMany(count);
+            createChain = seedFactory.createTransactions(count);
             break;
           case 'products':
-            createPromise = seedFactory.product.createMany(count);
+            createChain = seedFactory.createProducts(count);
             break;
         }
 
-        createPromise.then((entities) => {
+        createChain.then((entities) => {
           expect(entities).to.have.length(count);
 
           // Verify each entity has unique ID
@@ -0,0 +1,126 @@
+/**
+ * Factory Registry Unit Tests
+ * Traits, sequences, lazy attributes and associations of declarative factories
+ */
+
+import {
+  sequence,
+  association,
+  defineFactory,
+  getFactoryDefinition,
+  findFactoryByCollection,
+  parseFactorySpec,
+  mergeFactoryLayers,
+  getAssociations,
+  resolveAttributes,
+  resetSequences,
+} from '../../../src/utils/factory-registry';
+
+describe('@unit - Factory registry', () => {
+  before(() => {
+    defineFactory('unitWidget', {
+      collection: 'unitWidgets',
+      attributes: {
+        name: sequence((n) => `Widget ${n}`),
+        sku: sequence((n, { namespace }) => `SKU-${namespace}-${n}`),
+        status: 'draft',
+        label: (attrs) => `${attrs.name} (${attrs.status})`,
+        slug: (attrs) => attrs.label.toLowerCase().replace(/\W+/g, '-'),
+        ownerId: association('user:premium'),
+      },
+      traits: {
+        published: { status: 'published' },
+        archived: { status: 'archived', archivedAt: '2024-01-01T00:00:00Z' },
+      },
+    });
+  });
+
+  beforeEach(() => {
+    resetSequences();
+  });
+
+  context('definitions', () => {
+    it('should look definitions up by name and collection', () => {
+      expect(getFactoryDefinition('unitWidget').collection).to.equal('unitWidgets');
+      expect(findFactoryByCollection('unitWidgets').name).to.equal('unitWidget');
+    });
+
+    it('should explain unknown factories and missing collections', () => {
+      expect(() => getFactoryDefinition('unitGadget')).to.throw('Factory \'unitGadget\' is not defined');
+      expect(() => findFactoryByCollection('unitGadgets')).to.throw(
+        'No factory is defined for collection \'unitGadgets\'',
+      );
+      expect(() => defineFactory('unitGadget', { attributes: {} })).to.throw('Factory \'unitGadget\' needs a collection');
+    });
+  });
+
+  context('traits', () => {
+    it('should split a spec into name and traits', () => {
+      expect(parseFactorySpec('unitWidget:published:archived')).to.deep.equal({
+        name: 'unitWidget',
+        traits: ['published', 'archived'],
+      });
+    });
+
+    it('should layer defaults, traits in order, then overrides', () => {
+      const { attributes } = mergeFactoryLayers('unitWidget:published:archived', { archivedAt: null });
+
+      expect(attributes.status).to.equal('archived');
+      expect(attributes.archivedAt).to.equal(null);
+      expect(mergeFactoryLayers('unitWidget:archived:published').attributes.status).to.equal('published');
+    });
+
+    it('should reject an unknown trait', () => {
+      expect(() => mergeFactoryLayers('unitWidget:deleted')).to.throw(
+        'Trait \'deleted\' is not defined for factory \'unitWidget\'',
+      );
+    });
+
+    it('should list the associations left to create', () => {
+      const { attributes } = mergeFactoryLayers('unitWidget');
+      const [[key, value]] = getAssociations(attributes);
+
+      expect(key).to.equal('ownerId');
+      expect(value.spec).to.equal('user:premium');
+      expect(value.value({ id: 'u1' })).to.equal('u1');
+      expect(value.value([{ id: 'u1' }, { id: 'u2' }])).to.deep.equal(['u1', 'u2']);
+      expect(getAssociations({ ...attributes, ownerId: 'u9' })).to.deep.equal([]);
+    });
+  });
+
+  context('resolveAttributes', () => {
+    const build = (overrides = {}) => {
+      const { attributes } = mergeFactoryLayers('unitWidget:published', { ownerId: 'u1', ...overrides });
+      return resolveAttributes('unitWidget', attributes, { namespace: 'w0' });
+    };
+
+    it('should resolve sequences with the build context', () => {
+      expect(build()).to.include({ name: 'Widget 1', sku: 'SKU-w0-1' });
+      expect(build()).to.include({ name: 'Widget 2', sku: 'SKU-w0-2' });
+    });
+
+    it('should let lazy attributes read static, sequence and earlier lazy values', () => {
+      expect(build()).to.include({
+        label: 'Widget 1 (published)',
+        slug: 'widget-1-published-',
+      });
+    });
+
+    it('should let overrides replace lazy attributes and sequences', () => {
+      expect(build({ name: 'Custom', label: 'Fixed' })).to.include({ name: 'Custom', label: 'Fixed', slug: 'fixed' });
+    });
+
+    it('should reset counters for one factory or all of them', () => {
+      defineFactory('unitTag', { collection: 'unitTags', attributes: { n: sequence() } });
+      build();
+      resolveAttributes('unitTag', mergeFactoryLayers('unitTag').attributes);
+
+      resetSequences('unitWidget');
+      expect(build().name).to.equal('Widget 1');
+      expect(resolveAttributes('unitTag', mergeFactoryLayers('unitTag').attributes).n).to.equal(2);
+
+      resetSequences();
+      expect(resolveAttributes('unitTag', mergeFactoryLayers('unitTag').attributes).n).to.equal(1);
+    });
+  });
+});
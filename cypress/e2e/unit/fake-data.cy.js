@@ -0,0 +1,134 @@
+/**
+ * Fake Data Unit Tests
+ * Checksums, locale formats and seed replay of the locale-aware generators
+ */
+
+import { seedRandom } from '../../../src/utils/random';
+import {
+  getDefaultLocale,
+  getLocales,
+  fakeFullName,
+  fakeEmail,
+  fakePostcode,
+  fakeAddress,
+  fakeIban,
+  isValidIban,
+  fakeCardNumber,
+  isValidCardNumber,
+  fakeText,
+  fakePerson,
+} from '../../../src/utils/fake-data';
+
+const SAMPLES = 25;
+
+describe('@unit - Fake data', () => {
+  beforeEach(() => {
+    seedRandom(20240101);
+  });
+
+  context('locales', () => {
+    it('should default to the dataLocale env value', () => {
+      expect(getDefaultLocale()).to.equal(Cypress.env('dataLocale'));
+      expect(getLocales()).to.include.members(['en_US', 'en_GB', 'de_DE', 'fr_FR', 'es_ES', 'ja_JP']);
+    });
+
+    it('should reject an unsupported locale', () => {
+      expect(() => fakeFullName({ locale: 'xx_XX' })).to.throw('Unsupported locale \'xx_XX\'');
+    });
+
+    it('should generate postcodes in the locale format', () => {
+      const formats = {
+        en_US: /^\d{5}(-\d{4})?$/,
+        en_GB: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
+        de_DE: /^\d{5}$/,
+        ja_JP: /^\d{3}-\d{4}$/,
+      };
+
+      Object.entries(formats).forEach(([locale, format]) => {
+        Array.from({ length: SAMPLES }, () => fakePostcode({ locale })).forEach((postcode) => {
+          expect(postcode, locale).to.match(format);
+        });
+      });
+    });
+
+    it('should join ja_JP names without a space', () => {
+      expect(fakeFullName({ locale: 'ja_JP' })).not.to.include(' ');
+    });
+
+    it('should shape addresses like the user fixtures', () => {
+      const address = fakeAddress({ locale: 'de_DE' });
+
+      expect(address).to.have.all.keys('street', 'city', 'state', 'zipCode', 'country');
+      expect(address.country).to.equal('Deutschland');
+    });
+  });
+
+  context('emails', () => {
+    it('should strip diacritics from the local part', () => {
+      expect(fakeEmail({ firstName: 'Éloïse', lastName: 'D\'Arcy' })).to.match(/^eloise\.darcy\d{1,3}@example\.com$/);
+      expect(fakeEmail({ firstName: 'Jürgen', lastName: 'Groß', domain: 'test.dev' })).to.match(
+        /^jurgen\.gross\d{1,3}@test\.dev$/,
+      );
+    });
+
+    it('should fall back to a placeholder when nothing ASCII is left', () => {
+      expect(fakeEmail({ firstName: '翔太', lastName: '佐藤' })).to.match(/^user\d{1,3}@example\.com$/);
+    });
+  });
+
+  context('checksums', () => {
+    it('should generate IBANs with valid check digits', () => {
+      ['DE', 'GB', 'FR', 'ES', 'NL'].forEach((country) => {
+        Array.from({ length: SAMPLES }, () => fakeIban({ country })).forEach((iban) => {
+          expect(iban.startsWith(country), iban).to.equal(true);
+          expect(isValidIban(iban), iban).to.equal(true);
+        });
+      });
+    });
+
+    it('should validate known IBANs and reject a changed digit', () => {
+      expect(isValidIban('GB29 NWBK 6016 1331 9268 19')).to.equal(true);
+      expect(isValidIban('DE89370400440532013000')).to.equal(true);
+      expect(isValidIban('DE89370400440532013001')).to.equal(false);
+    });
+
+    it('should fall back to a German IBAN for locales without IBANs', () => {
+      expect(fakeIban({ locale: 'en_US', formatted: false })).to.match(/^DE\d{20}$/);
+      expect(() => fakeIban({ country: 'XX' })).to.throw('Unsupported IBAN country \'XX\'');
+    });
+
+    it('should generate card numbers that pass the Luhn check', () => {
+      const lengths = { visa: 16, mastercard: 16, amex: 15, discover: 16 };
+
+      Object.entries(lengths).forEach(([brand, length]) => {
+        Array.from({ length: SAMPLES }, () => fakeCardNumber({ brand })).forEach((number) => {
+          expect(number, brand).to.have.length(length);
+          expect(isValidCardNumber(number), number).to.equal(true);
+        });
+      });
+      expect(() => fakeCardNumber({ brand: 'diners' })).to.throw('Unsupported card brand \'diners\'');
+    });
+
+    it('should validate known card numbers and reject a changed digit', () => {
+      expect(isValidCardNumber('4111 1111 1111 1111')).to.equal(true);
+      expect(isValidCardNumber('378282246310005')).to.equal(true);
+      expect(isValidCardNumber('4111111111111112')).to.equal(false);
+    });
+  });
+
+  context('text', () => {
+    it('should cut text at maxLength', () => {
+      expect(fakeText({ sentences: 10, maxLength: 40 })).to.have.length.at.most(40);
+    });
+  });
+
+  context('replay', () => {
+    it('should generate the same person for the same seed', () => {
+      seedRandom(99);
+      const person = fakePerson({ locale: 'fr_FR' });
+
+      seedRandom(99);
+      expect(fakePerson({ locale: 'fr_FR' })).to.deep.equal(person);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Test Namespace Unit Tests
+ * Request argument normalization and namespace headers for app and API traffic
+ */
+
+import { getRunSeed, hashSeed } from '../../../src/utils/random';
+import {
+  NAMESPACE_HEADER,
+  WORKER_HEADER,
+  getWorkerId,
+  getSpecNamespace,
+  namespaceHeaders,
+  normalizeRequestArgs,
+  withNamespaceHeaders,
+  isAppUrl,
+} from '../../../src/utils/namespace';
+
+describe('@unit - Test namespace', () => {
+  context('namespace', () => {
+    it('should derive the namespace from the run seed, worker and spec', () => {
+      expect(getSpecNamespace()).to.equal(
+        `${getRunSeed()}_${getWorkerId()}_${hashSeed(Cypress.spec.relative)}`,
+      );
+      expect(namespaceHeaders()).to.deep.equal({
+        [NAMESPACE_HEADER]: getSpecNamespace(),
+        [WORKER_HEADER]: getWorkerId(),
+      });
+    });
+  });
+
+  context('normalizeRequestArgs', () => {
+    it('should copy an options object', () => {
+      const options = { method: 'POST', url: '/api/users' };
+      const normalized = normalizeRequestArgs([options]);
+
+      expect(normalized).to.deep.equal(options);
+      expect(normalized).not.to.equal(options);
+    });
+
+    it('should map every cy.request signature', () => {
+      expect(normalizeRequestArgs(['/api/users'])).to.deep.equal({ url: '/api/users' });
+      expect(normalizeRequestArgs(['/api/users', { a: 1 }])).to.deep.equal({ url: '/api/users', body: { a: 1 } });
+      expect(normalizeRequestArgs(['delete', '/api/users/1'])).to.deep.equal({
+        method: 'delete',
+        url: '/api/users/1',
+      });
+      expect(normalizeRequestArgs(['POST', '/api/users', { a: 1 }])).to.deep.equal({
+        method: 'POST',
+        url: '/api/users',
+        body: { a: 1 },
+      });
+    });
+  });
+
+  context('isAppUrl', () => {
+    it('should accept baseUrl, apiUrl and relative URLs', () => {
+      expect(isAppUrl('http://localhost:3000/login')).to.equal(true);
+      expect(isAppUrl(`${Cypress.env('apiUrl')}/api/users`)).to.equal(true);
+      expect(isAppUrl('/api/users')).to.equal(true);
+    });
+
+    it('should reject other origins and invalid URLs', () => {
+      expect(isAppUrl('https://login.example-idp.com/oauth/token')).to.equal(false);
+      expect(isAppUrl('http://localhost:3002/api')).to.equal(false);
+      expect(isAppUrl('http://[invalid')).to.equal(false);
+    });
+  });
+
+  context('withNamespaceHeaders', () => {
+    it('should add namespace headers to app requests', () => {
+      const options = withNamespaceHeaders({ url: '/api/users', headers: { Accept: 'application/json' } });
+
+      expect(options.headers).to.deep.equal({ Accept: 'application/json', ...namespaceHeaders() });
+    });
+
+    it('should keep a namespace the caller set, whatever its case', () => {
+      const options = withNamespaceHeaders({ url: '/api/users', headers: { 'x-test-namespace': 'factory_ns' } });
+
+      expect(options.headers).to.deep.equal({ 'x-test-namespace': 'factory_ns', [WORKER_HEADER]: getWorkerId() });
+    });
+
+    it('should leave requests to other hosts untouched', () => {
+      const options = { url: 'https://login.example-idp.com/oauth/token', headers: { Accept: 'application/json' } };
+
+      expect(withNamespaceHeaders(options)).to.equal(options);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Seeded Random Unit Tests
+ * Replayability of the generator behind every data generator in src/utils
+ */
+
+import {
+  hashSeed,
+  createRandom,
+  getRunSeed,
+  seedRandom,
+  seedRandomForTest,
+  getSeed,
+  randomInt,
+  randomElement,
+  randomDigits,
+} from '../../../src/utils/random';
+
+const draw = (count = 10) => Array.from({ length: count }, () => randomInt(0, 1000000));
+
+describe('@unit - Seeded random', () => {
+  context('hashSeed', () => {
+    it('should hash the same parts to the same unsigned 32-bit seed', () => {
+      const seed = hashSeed(123, 'cypress/e2e/login.cy.js', 'logs in');
+
+      expect(seed).to.equal(hashSeed(123, 'cypress/e2e/login.cy.js', 'logs in'));
+      expect(seed).to.be.within(0, 2 ** 32 - 1);
+      expect(Number.isInteger(seed)).to.equal(true);
+    });
+
+    it('should depend on every part and their order', () => {
+      expect(hashSeed(1, 'a', 'b')).not.to.equal(hashSeed(1, 'b', 'a'));
+      expect(hashSeed(1, 'a')).not.to.equal(hashSeed(2, 'a'));
+    });
+  });
+
+  context('createRandom', () => {
+    it('should produce the same sequence for the same seed', () => {
+      const first = createRandom(42);
+      const second = createRandom(42);
+      const sequence = Array.from({ length: 20 }, () => first.next());
+
+      expect(Array.from({ length: 20 }, () => second.next())).to.deep.equal(sequence);
+      sequence.forEach((value) => expect(value).to.be.within(0, 0.9999999999));
+    });
+
+    it('should produce different sequences for different seeds', () => {
+      const a = createRandom(1);
+      const b = createRandom(2);
+
+      expect(Array.from({ length: 5 }, () => a.next())).not.to.deep.equal(
+        Array.from({ length: 5 }, () => b.next()),
+      );
+    });
+
+    it('should keep int() within its inclusive bounds', () => {
+      const rng = createRandom(7);
+      const values = Array.from({ length: 500 }, () => rng.int(1, 6));
+
+      expect(Math.min(...values)).to.equal(1);
+      expect(Math.max(...values)).to.equal(6);
+    });
+
+    it('should pick elements of the array', () => {
+      const rng = createRandom(7);
+      const options = ['a', 'b', 'c'];
+
+      Array.from({ length: 50 }, () => rng.pick(options)).forEach((value) => {
+        expect(options).to.include(value);
+      });
+    });
+  });
+
+  context('replay', () => {
+    it('should replay the shared generator after re-seeding', () => {
+      seedRandom(2841937120);
+      const firstRun = [...draw(), randomElement(['x', 'y', 'z']), randomDigits(12)];
+
+      seedRandom(2841937120);
+      const replay = [...draw(), randomElement(['x', 'y', 'z']), randomDigits(12)];
+
+      expect(replay).to.deep.equal(firstRun);
+      expect(getSeed()).to.equal(2841937120);
+    });
+
+    it('should seed a test from the run seed, the spec and its title', () => {
+      const titlePath = ['Checkout', 'pays with a card'];
+      const seed = seedRandomForTest(titlePath, 0);
+
+      expect(seed).to.equal(hashSeed(getRunSeed(), Cypress.spec.relative, ...titlePath));
+      expect(seedRandomForTest(titlePath, 0)).to.equal(seed);
+      expect(seedRandomForTest(['Checkout', 'pays with a voucher'], 0)).not.to.equal(seed);
+    });
+
+    it('should give each retry attempt its own seed', () => {
+      const titlePath = ['Checkout', 'pays with a card'];
+      const firstAttempt = seedRandomForTest(titlePath, 0);
+      const retry = seedRandomForTest(titlePath, 1);
+
+      expect(retry).not.to.equal(firstAttempt);
+      expect(seedRandomForTest(titlePath, 1)).to.equal(retry);
+      expect(seedRandomForTest(titlePath, 2)).not.to.equal(retry);
+    });
+
+    it('should generate digit strings of the requested length', () => {
+      expect(randomDigits(13)).to.match(/^\d{13}$/);
+      expect(randomDigits()).to.match(/^\d{8}$/);
+    });
+  });
+});
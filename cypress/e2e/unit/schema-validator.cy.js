@@ -0,0 +1,129 @@
+/**
+ * Schema Validator Unit Tests
+ * Keyword coverage and error paths of the dependency-free JSON Schema validator
+ */
+
+import { validateSchema, formatSchemaErrors } from '../../../src/utils/schema-validator';
+import userSchema from '../../schemas/user.schema.json';
+
+const validUser = {
+  username: 'jane.doe',
+  email: 'jane@example.com',
+  password: 'S3cure!pass',
+  role: 'premium',
+  permissions: ['read', 'write'],
+};
+
+describe('@unit - Schema validator', () => {
+  context('types', () => {
+    it('should accept an integer where a number is expected', () => {
+      expect(validateSchema({ type: 'number' }, 3)).to.deep.equal([]);
+      expect(validateSchema({ type: 'integer' }, 3.5)).to.deep.equal([
+        { path: '$', message: 'must be integer, got number' },
+      ]);
+    });
+
+    it('should accept any of a list of types and tell null from object', () => {
+      expect(validateSchema({ type: ['string', 'null'] }, null)).to.deep.equal([]);
+      expect(validateSchema({ type: 'object' }, null)[0].message).to.equal('must be object, got null');
+      expect(validateSchema({ type: 'object' }, [])[0].message).to.equal('must be object, got array');
+    });
+  });
+
+  context('keywords', () => {
+    it('should check enum and const', () => {
+      expect(validateSchema({ enum: ['a', 'b'] }, 'c')[0].message).to.equal('must be one of "a", "b", got "c"');
+      expect(validateSchema({ const: 1 }, 2)[0].message).to.equal('must be 1');
+    });
+
+    it('should check string length, pattern and format', () => {
+      const schema = { type: 'string', minLength: 3, maxLength: 5, pattern: '^[a-z]+$' };
+
+      expect(validateSchema(schema, 'abcd')).to.deep.equal([]);
+      expect(validateSchema(schema, 'ab')[0].message).to.equal('must be at least 3 characters');
+      expect(validateSchema(schema, 'abcdef')[0].message).to.equal('must be at most 5 characters');
+      expect(validateSchema(schema, 'ab1')[0].message).to.equal('must match pattern ^[a-z]+$, got "ab1"');
+      expect(validateSchema({ type: 'string', format: 'email' }, 'nope')[0].message).to.equal(
+        'must be a valid email, got "nope"',
+      );
+      expect(validateSchema({ format: 'date-time' }, '2024-01-01T10:00:00Z')).to.deep.equal([]);
+      expect(validateSchema({ format: 'uri' }, 'https://example.com/a')).to.deep.equal([]);
+    });
+
+    it('should count characters, not UTF-16 code units', () => {
+      expect(validateSchema({ type: 'string', maxLength: 2 }, '😀😀')).to.deep.equal([]);
+    });
+
+    it('should check numeric bounds', () => {
+      const schema = { type: 'number', minimum: 0, exclusiveMaximum: 10 };
+
+      expect(validateSchema(schema, 0)).to.deep.equal([]);
+      expect(validateSchema(schema, -1)[0].message).to.equal('must be >= 0, got -1');
+      expect(validateSchema(schema, 10)[0].message).to.equal('must be < 10, got 10');
+      expect(validateSchema({ exclusiveMinimum: 0 }, 0)[0].message).to.equal('must be > 0, got 0');
+      expect(validateSchema({ maximum: 5 }, 6)[0].message).to.equal('must be <= 5, got 6');
+    });
+
+    it('should check array size, uniqueness and items', () => {
+      const schema = { type: 'array', minItems: 1, maxItems: 3, uniqueItems: true, items: { type: 'string' } };
+
+      expect(validateSchema(schema, ['a', 'b'])).to.deep.equal([]);
+      expect(validateSchema(schema, [])[0].message).to.equal('must have at least 1 items');
+      expect(validateSchema(schema, ['a', 'b', 'c', 'd'])[0].message).to.equal('must have at most 3 items');
+      expect(validateSchema(schema, ['a', 'a'])[0].message).to.equal('must not contain duplicate items');
+      expect(validateSchema(schema, ['a', 1], 'tags')).to.deep.equal([
+        { path: 'tags[1]', message: 'must be string, got integer' },
+      ]);
+    });
+
+    it('should check required and additional properties', () => {
+      const schema = {
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'string' } },
+        additionalProperties: false,
+      };
+
+      expect(validateSchema(schema, { id: 'a', extra: 1 }, 'item')).to.deep.equal([
+        { path: 'item.extra', message: 'is not allowed' },
+      ]);
+      expect(validateSchema(schema, {}, 'item')).to.deep.equal([{ path: 'item.id', message: 'is required' }]);
+      expect(
+        validateSchema({ type: 'object', additionalProperties: { type: 'number' } }, { a: 1, b: 'x' }, 'map'),
+      ).to.deep.equal([{ path: 'map.b', message: 'must be number, got string' }]);
+    });
+  });
+
+  context('entity schemas', () => {
+    it('should accept a valid user', () => {
+      expect(validateSchema(userSchema, validUser, 'users.premium')).to.deep.equal([]);
+    });
+
+    it('should report every invalid field with a dotted path', () => {
+      const errors = validateSchema(userSchema, { username: 'jane.doe', email: 'jane', role: 'owner' }, 'users.premium');
+
+      expect(errors.map(({ path }) => path)).to.have.members([
+        'users.premium.password',
+        'users.premium.email',
+        'users.premium.role',
+      ]);
+    });
+
+    it('should report nested paths', () => {
+      const errors = validateSchema(userSchema, { ...validUser, address: { street: 'Main St 1' } }, 'users.premium');
+
+      expect(errors.map(({ path }) => path)).to.include('users.premium.address.zipCode');
+    });
+  });
+
+  context('formatSchemaErrors', () => {
+    it('should format one error per line', () => {
+      expect(
+        formatSchemaErrors([
+          { path: 'users.a.email', message: 'is required' },
+          { path: 'users.a.role', message: 'must be one of "admin"' },
+        ]),
+      ).to.equal('users.a.email is required\nusers.a.role must be one of "admin"');
+    });
+  });
+});
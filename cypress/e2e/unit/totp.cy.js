@@ -0,0 +1,78 @@
+/**
+ * TOTP Unit Tests
+ * RFC 6238 test vectors (SHA-1) for the offline code generator
+ */
+
+import {
+  TOTP_STEP,
+  decodeBase32,
+  generateTotp,
+  getTotpSecondsRemaining,
+} from '../../../src/utils/totp';
+
+// The RFC 6238 SHA-1 seed '12345678901234567890', base32 encoded
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+// RFC 6238 Appendix B: [Unix time in seconds, 8-digit TOTP]
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+describe('@unit - TOTP', () => {
+  context('RFC 6238 vectors', () => {
+    RFC_VECTORS.forEach(([seconds, code]) => {
+      it(`should generate ${code} at T=${seconds}`, () => {
+        expect(generateTotp(RFC_SECRET, { time: seconds * 1000, digits: 8 })).to.equal(code);
+      });
+    });
+
+    it('should default to the last 6 digits of the code', () => {
+      RFC_VECTORS.forEach(([seconds, code]) => {
+        expect(generateTotp(RFC_SECRET, { time: seconds * 1000 })).to.equal(code.slice(-6));
+      });
+    });
+
+    it('should keep the same code for the whole window', () => {
+      const windowStart = 1111111110 * 1000;
+
+      expect(generateTotp(RFC_SECRET, { time: windowStart })).to.equal(
+        generateTotp(RFC_SECRET, { time: windowStart + (TOTP_STEP * 1000 - 1) }),
+      );
+      expect(generateTotp(RFC_SECRET, { time: windowStart })).not.to.equal(
+        generateTotp(RFC_SECRET, { time: windowStart + TOTP_STEP * 1000 }),
+      );
+    });
+  });
+
+  context('decodeBase32', () => {
+    it('should decode the RFC secret to its ASCII seed', () => {
+      const bytes = decodeBase32(RFC_SECRET);
+
+      expect(String.fromCharCode(...bytes)).to.equal('12345678901234567890');
+    });
+
+    it('should ignore case, spaces and padding', () => {
+      expect([...decodeBase32('gezd gnbv gy3t qojq====')]).to.deep.equal([
+        ...decodeBase32('GEZDGNBVGY3TQOJQ'),
+      ]);
+    });
+
+    it('should reject invalid and empty secrets', () => {
+      expect(() => decodeBase32('GEZD1')).to.throw('Invalid base32 character \'1\'');
+      expect(() => decodeBase32('')).to.throw('TOTP secret is empty');
+    });
+  });
+
+  context('getTotpSecondsRemaining', () => {
+    it('should count down to the end of the window', () => {
+      expect(getTotpSecondsRemaining({ time: 59 * 1000 })).to.equal(1);
+      expect(getTotpSecondsRemaining({ time: 60 * 1000 })).to.equal(30);
+      expect(getTotpSecondsRemaining({ time: 75 * 1000, step: 60 })).to.equal(45);
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * World Planner Unit Tests
+ * Dependency ordering, reference checks and reference resolution of test worlds
+ */
+
+import '../../../src/utils/factory-definitions';
+import { parseReference, planWorld, resolveReferences } from '../../../src/utils/world';
+
+const keysOf = (plan) => plan.map(({ key }) => key);
+
+describe('@unit - World planner', () => {
+  context('parseReference', () => {
+    it('should default a reference to the id', () => {
+      expect(parseReference('$users.alice')).to.deep.equal({ collection: 'users', key: 'alice', path: ['id'] });
+    });
+
+    it('should read a nested path', () => {
+      expect(parseReference('$users.alice.address.city').path).to.deep.equal(['address', 'city']);
+    });
+
+    it('should ignore values that are not references', () => {
+      expect(parseReference('$users')).to.equal(null);
+      expect(parseReference('users.alice')).to.equal(null);
+      expect(parseReference(42)).to.equal(null);
+    });
+  });
+
+  context('planWorld', () => {
+    it('should seed referenced entities first and keep file order otherwise', () => {
+      const plan = planWorld({
+        orders: {
+          aliceOrder: {
+            traits: ['paid'],
+            userId: '$users.alice',
+            items: [{ productId: '$products.widget', price: '$products.widget.price' }],
+          },
+        },
+        users: { alice: { traits: ['premium'] }, bob: null },
+        products: { widget: {} },
+      });
+
+      expect(keysOf(plan)).to.deep.equal(['alice', 'widget', 'aliceOrder', 'bob']);
+      expect(plan[2]).to.deep.include({ collection: 'orders', spec: 'order:paid' });
+      expect(plan[3]).to.deep.equal({ collection: 'users', key: 'bob', spec: 'user', attributes: {} });
+    });
+
+    it('should accept traits as a string and a factory override', () => {
+      const [alice] = planWorld({ users: { alice: { traits: 'premium, overdrawn', factory: 'user' } } });
+
+      expect(alice.spec).to.equal('user:premium:overdrawn');
+      expect(alice.attributes).to.deep.equal({});
+    });
+
+    it('should skip top-level values that are not collections', () => {
+      expect(keysOf(planWorld({ description: 'Two users', users: { alice: {} } }))).to.deep.equal(['alice']);
+    });
+
+    it('should reject unknown references with the attribute path', () => {
+      expect(() => planWorld({ orders: { order1: { items: [{ productId: '$products.gadget' }] } } })).to.throw(
+        'orders.order1.items[0].productId references unknown entity \'$products.gadget\'',
+      );
+      expect(() => planWorld({ users: { alice: {} }, orders: { order1: { userId: '$products.alice' } } })).to.throw(
+        'references unknown entity \'$products.alice\'',
+      );
+    });
+
+    it('should reject keys used in two collections', () => {
+      expect(() => planWorld({ users: { alice: {} }, products: { alice: {} } })).to.throw(
+        'World key \'alice\' is used in both \'users\' and \'products\'',
+      );
+    });
+
+    it('should reject reference cycles', () => {
+      expect(() =>
+        planWorld({
+          users: {
+            alice: { referrerId: '$users.bob' },
+            bob: { referrerId: '$users.alice' },
+          },
+        }),
+      ).to.throw('World has a reference cycle: alice -> bob -> alice');
+    });
+
+    it('should reject collections without a factory', () => {
+      expect(() => planWorld({ invoices: { invoice1: {} } })).to.throw(
+        'No factory is defined for collection \'invoices\'',
+      );
+    });
+  });
+
+  context('resolveReferences', () => {
+    const created = {
+      users: { alice: { id: 'u1', address: { city: 'Berlin' } } },
+      products: { widget: { id: 'p1', price: 9.99 } },
+    };
+
+    it('should replace references deep in objects and arrays', () => {
+      expect(
+        resolveReferences(
+          {
+            userId: '$users.alice',
+            city: '$users.alice.address.city',
+            items: [{ productId: '$products.widget', price: '$products.widget.price', quantity: 2 }],
+            note: 'Costs $5.00',
+          },
+          created,
+        ),
+      ).to.deep.equal({
+        userId: 'u1',
+        city: 'Berlin',
+        items: [{ productId: 'p1', price: 9.99, quantity: 2 }],
+        note: 'Costs $5.00',
+      });
+    });
+
+    it('should resolve missing entities and paths to undefined', () => {
+      expect(resolveReferences('$users.bob', created)).to.equal(undefined);
+      expect(resolveReferences('$users.alice.phone.mobile', created)).to.equal(undefined);
+    });
+  });
+});
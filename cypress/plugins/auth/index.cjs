@@ -0,0 +1,84 @@
+/**
+ * Auth Token Store
+ *
+ * Node-side store for API sessions created by cy.loginByApi. It lives as long
+ * as the Cypress process, so specs and step definitions share tokens by role
+ * or username instead of passing them through Cypress.env between hooks.
+ *
+ * Entry: { key, username, role, token, refreshToken, userId, user, createdAt, expiresAt }
+ */
+
+class TokenStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /**
+   * Check whether an entry is past its expiresAt (entries without one never expire)
+   * @param {Object} entry - Stored entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the entry has expired
+   */
+  isExpired(entry, now = Date.now()) {
+    return Boolean(entry.expiresAt) && new Date(entry.expiresAt).getTime() <= now;
+  }
+
+  /**
+   * Store a session
+   * An expired flag on the entry is dropped: get() derives it from expiresAt.
+   * @param {Object} entry - Session (must have key and token)
+   * @returns {Object} Stored entry
+   */
+  set(entry) {
+    if (!entry || !entry.key || !entry.token) {
+      throw new Error('Auth token entries need a key and a token');
+    }
+
+    const stored = { createdAt: new Date().toISOString(), ...entry };
+    delete stored.expired;
+
+    this.entries.set(entry.key, stored);
+    return stored;
+  }
+
+  /**
+   * Get a session
+   * Expired entries are kept, so their refresh token can still renew them.
+   * @param {string} key - Role or username
+   * @param {Object} options - Options
+   * @param {boolean} options.includeExpired - Also return an expired entry (flagged expired: true)
+   * @returns {Object|null} Entry, or null when missing (or expired, unless included)
+   */
+  get(key, { includeExpired = false } = {}) {
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      return null;
+    }
+
+    if (this.isExpired(entry)) {
+      return includeExpired ? { ...entry, expired: true } : null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Remove one session, or all of them
+   * @param {string} key - Role or username (default: all)
+   * @returns {number} Number of removed entries
+   */
+  clear(key = null) {
+    if (key) {
+      return this.entries.delete(key) ? 1 : 0;
+    }
+
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+}
+
+module.exports = {
+  TokenStore,
+};
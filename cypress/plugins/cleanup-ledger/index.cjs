@@ -0,0 +1,268 @@
+/**
+ * Cleanup Ledger
+ *
+ * Node-side record of every entity a run creates, written to disk as soon as
+ * the entity exists. The browser-side factories only track entities in memory,
+ * so a browser crash, a timeout or a Ctrl-C would otherwise leak test data.
+ * Entries are released when cleanup deletes them; whatever is left in ledgers
+ * from earlier runs is removed by scripts/cleanup-orphans.cjs.
+ *
+ * One file per run: <dir>/<runId>.json
+ * {
+ *   "runId": "2025-01-01T10-00-00-000Z_worker-0_4242",
+ *   "environment": "staging",
+ *   "apiUrl": "https://api.staging.example.com",
+ *   "mockServer": false,
+ *   "seedDbPath": null,
+ *   "namespaces": {
+ *     "2841937120_0_1234": [{ "type": "users", "id": "user-...", "via": "http", "createdAt": "..." }]
+ *   }
+ * }
+ *
+ * The file is deleted as soon as its last entry is released.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a run id unique across workers and processes on the same host
+ * @returns {string} Run id (RUN_ID, or a timestamp, plus worker id and pid)
+ */
+function createRunId() {
+  const base = process.env.RUN_ID || new Date().toISOString().replace(/[:.]/g, '-');
+  return `${base}_worker-${process.env.WORKER_ID || '0'}_${process.pid}`;
+}
+
+class CleanupLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {string} options.dir - Directory holding ledger files
+   * @param {string} options.runId - Run id (default: createRunId())
+   * @param {string} options.environment - Environment the run targets
+   * @param {string} options.apiUrl - API the entities were created in
+   * @param {boolean} options.mockServer - Entities live in the in-process mock server
+   * @param {string} options.seedDbPath - lowdb database the lowdb adapter wrote to
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'cleanup-ledger');
+    this.runId = options.runId || createRunId();
+    this.file = path.join(this.dir, `${this.runId}.json`);
+    this.ledger = {
+      runId: this.runId,
+      environment: options.environment || 'local',
+      apiUrl: options.apiUrl || null,
+      mockServer: Boolean(options.mockServer),
+      seedDbPath: options.seedDbPath || null,
+      workerId: process.env.WORKER_ID || '0',
+      hostname: os.hostname(),
+      pid: process.pid,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      namespaces: {},
+    };
+  }
+
+  /**
+   * Record a created entity
+   * @param {Object} entity - { namespace, type, id, via }
+   */
+  record({ namespace = 'default', type, id, via = 'http' }) {
+    const entries = this.ledger.namespaces[namespace] || [];
+
+    if (!entries.some((entry) => entry.type === type && entry.id === id)) {
+      entries.push({ type, id, via, createdAt: new Date().toISOString() });
+    }
+
+    this.ledger.namespaces[namespace] = entries;
+    this.save();
+  }
+
+  /**
+   * Release deleted entities
+   * Entities without a namespace are released from every namespace.
+   * @param {Array<Object>} entities - [{ namespace, type, id }]
+   * @returns {number} Number of entries released
+   */
+  release(entities = []) {
+    let released = 0;
+
+    entities.forEach(({ namespace, type, id }) => {
+      const namespaces = namespace ? [namespace] : Object.keys(this.ledger.namespaces);
+
+      namespaces.forEach((ns) => {
+        const entries = this.ledger.namespaces[ns] || [];
+        const remaining = entries.filter((entry) => entry.type !== type || entry.id !== id);
+        released += entries.length - remaining.length;
+        this.setEntries(ns, remaining);
+      });
+    });
+
+    this.save();
+    return released;
+  }
+
+  /**
+   * Release every entity in a namespace
+   * @param {string} namespace - Namespace
+   * @returns {number} Number of entries released
+   */
+  releaseNamespace(namespace) {
+    const released = (this.ledger.namespaces[namespace] || []).length;
+    this.setEntries(namespace, []);
+    this.save();
+    return released;
+  }
+
+  /**
+   * Release every entity of this run (after a database reset)
+   * @returns {number} Number of entries released
+   */
+  releaseAll() {
+    const released = countEntries(this.ledger);
+    this.ledger.namespaces = {};
+    this.save();
+    return released;
+  }
+
+  /**
+   * Replace a namespace's entries, dropping the namespace when empty
+   */
+  setEntries(namespace, entries) {
+    if (entries.length) {
+      this.ledger.namespaces[namespace] = entries;
+    } else {
+      delete this.ledger.namespaces[namespace];
+    }
+  }
+
+  /**
+   * Write the ledger (atomically), or remove the file once nothing is left
+   */
+  save() {
+    if (!countEntries(this.ledger)) {
+      if (fs.existsSync(this.file)) {
+        fs.unlinkSync(this.file);
+      }
+      return;
+    }
+
+    this.ledger.updatedAt = new Date().toISOString();
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const tmpFile = `${this.file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(this.ledger, null, 2));
+    fs.renameSync(tmpFile, this.file);
+  }
+}
+
+/**
+ * Count the entries left in a ledger
+ * @param {Object} ledger - Ledger contents
+ * @returns {number} Entry count
+ */
+function countEntries(ledger) {
+  return Object.values(ledger.namespaces || {}).reduce(
+    (total, entries) => total + entries.length,
+    0,
+  );
+}
+
+/**
+ * Read every ledger file in a directory
+ * @param {string} dir - Ledger directory
+ * @returns {Array<Object>} [{ file, ledger }]
+ */
+function readLedgers(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => {
+      const file = path.join(dir, name);
+      return { file, ledger: JSON.parse(fs.readFileSync(file, 'utf8')) };
+    });
+}
+
+/**
+ * Whether the run that owns a ledger is still running on this host
+ * @param {Object} ledger - Ledger contents
+ * @returns {boolean} True if the owning process is alive
+ */
+function isRunActive(ledger) {
+  if (ledger.hostname !== os.hostname() || !ledger.pid || ledger.pid === process.pid) {
+    return false;
+  }
+
+  try {
+    process.kill(ledger.pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Delete an entity the same way BaseFactory.cleanup() does:
+ * DELETE {apiUrl}/api/{type}/{id}, where any status below 300 or a 404 counts as deleted
+ * @param {Object} options - { apiUrl, type, id, namespace, token }
+ * @returns {Promise<Object>} { type, id, status, deleted, error }
+ */
+async function deleteEntity({ apiUrl, type, id, namespace, token }) {
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (namespace) {
+    headers['X-Test-Namespace'] = namespace;
+  }
+
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  try {
+    const response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/${type}/${id}`, {
+      method: 'DELETE',
+      headers,
+    });
+    const deleted = response.status < 300 || response.status === 404;
+    return { type, id, status: response.status, deleted };
+  } catch (error) {
+    return { type, id, status: 0, deleted: false, error: error.message };
+  }
+}
+
+/**
+ * Group cleanup results by entity type
+ * Expired entries went away with the process that held them (the in-process
+ * mock server or memory adapter), so nothing was deleted for them.
+ * @param {Array<Object>} results - [{ type, deleted, expired }]
+ * @returns {Object} { [type]: { total, deleted, expired, failed } }
+ */
+function summarizeByType(results) {
+  return results.reduce((summary, { type, deleted, expired }) => {
+    const counts = summary[type] || { total: 0, deleted: 0, expired: 0, failed: 0 };
+    counts.total += 1;
+    if (deleted) {
+      counts.deleted += 1;
+    } else if (expired) {
+      counts.expired += 1;
+    } else {
+      counts.failed += 1;
+    }
+    return { ...summary, [type]: counts };
+  }, {});
+}
+
+module.exports = {
+  CleanupLedger,
+  createRunId,
+  countEntries,
+  readLedgers,
+  isRunActive,
+  deleteEntity,
+  summarizeByType,
+};
@@ -0,0 +1,150 @@
+/**
+ * Cleanup Ledger Tests (npm run test:plugins)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const {
+  CleanupLedger,
+  countEntries,
+  readLedgers,
+  isRunActive,
+  deleteEntity,
+  summarizeByType,
+} = require('./index.cjs');
+
+describe('CleanupLedger', () => {
+  let dir;
+  let ledger;
+
+  const readFile = () => JSON.parse(fs.readFileSync(ledger.file, 'utf8'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cleanup-ledger-'));
+    ledger = new CleanupLedger({ dir, runId: 'run-1', environment: 'staging', apiUrl: 'http://localhost:3001' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes each recorded entity to disk at once, without duplicates', () => {
+    ledger.record({ namespace: 'ns1', type: 'users', id: 'u1' });
+    ledger.record({ namespace: 'ns1', type: 'users', id: 'u1' });
+    ledger.record({ namespace: 'ns2', type: 'orders', id: 'o1', via: 'lowdb' });
+
+    const saved = readFile();
+    assert.strictEqual(saved.runId, 'run-1');
+    assert.strictEqual(saved.environment, 'staging');
+    assert.deepStrictEqual(saved.namespaces.ns1.map(({ type, id, via }) => [type, id, via]), [['users', 'u1', 'http']]);
+    assert.strictEqual(saved.namespaces.ns2[0].via, 'lowdb');
+    assert.strictEqual(countEntries(saved), 2);
+    assert.ok(!fs.existsSync(`${ledger.file}.tmp`));
+  });
+
+  it('releases entities from one namespace, or from all when none is given', () => {
+    ledger.record({ namespace: 'ns1', type: 'users', id: 'u1' });
+    ledger.record({ namespace: 'ns2', type: 'users', id: 'u1' });
+    ledger.record({ namespace: 'ns2', type: 'users', id: 'u2' });
+
+    assert.strictEqual(ledger.release([{ namespace: 'ns1', type: 'users', id: 'u1' }]), 1);
+    assert.deepStrictEqual(Object.keys(readFile().namespaces), ['ns2']);
+
+    assert.strictEqual(ledger.release([{ type: 'users', id: 'u1' }, { type: 'orders', id: 'u2' }]), 1);
+    assert.deepStrictEqual(readFile().namespaces.ns2.map(({ id }) => id), ['u2']);
+  });
+
+  it('deletes the file once the last entry is released', () => {
+    ledger.record({ namespace: 'ns1', type: 'users', id: 'u1' });
+    ledger.record({ namespace: 'ns2', type: 'users', id: 'u2' });
+
+    assert.strictEqual(ledger.releaseNamespace('ns1'), 1);
+    assert.ok(fs.existsSync(ledger.file));
+    assert.strictEqual(ledger.releaseAll(), 1);
+    assert.ok(!fs.existsSync(ledger.file));
+  });
+
+  it('reads every ledger in a directory', () => {
+    ledger.record({ namespace: 'ns1', type: 'users', id: 'u1' });
+    new CleanupLedger({ dir, runId: 'run-2' }).record({ type: 'users', id: 'u2' });
+
+    assert.deepStrictEqual(readLedgers(dir).map(({ ledger: saved }) => saved.runId).sort(), ['run-1', 'run-2']);
+    assert.deepStrictEqual(readLedgers(path.join(dir, 'missing')), []);
+  });
+});
+
+describe('isRunActive', () => {
+  it('treats this process and other hosts as not active', () => {
+    assert.strictEqual(isRunActive({ hostname: os.hostname(), pid: process.pid }), false);
+    assert.strictEqual(isRunActive({ hostname: 'other-host', pid: process.ppid }), false);
+  });
+
+  it('checks whether the owning process on this host is alive', () => {
+    assert.strictEqual(isRunActive({ hostname: os.hostname(), pid: process.ppid }), true);
+  });
+});
+
+describe('deleteEntity', () => {
+  let server;
+  let apiUrl;
+  const requests = [];
+
+  before((done) => {
+    server = http.createServer((req, res) => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      res.statusCode = req.url.endsWith('/missing') ? 404 : req.url.endsWith('/locked') ? 409 : 204;
+      res.end();
+    });
+    server.listen(0, '127.0.0.1', () => {
+      apiUrl = `http://127.0.0.1:${server.address().port}/`;
+      done();
+    });
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  it('sends DELETE with the namespace and token', async () => {
+    const result = await deleteEntity({ apiUrl, type: 'users', id: 'u1', namespace: 'ns1', token: 'abc' });
+
+    assert.deepStrictEqual(result, { type: 'users', id: 'u1', status: 204, deleted: true });
+    assert.strictEqual(requests[0].method, 'DELETE');
+    assert.strictEqual(requests[0].url, '/api/users/u1');
+    assert.strictEqual(requests[0].headers['x-test-namespace'], 'ns1');
+    assert.strictEqual(requests[0].headers.authorization, 'Bearer abc');
+  });
+
+  it('counts a 404 as deleted and other errors as failed', async () => {
+    assert.strictEqual((await deleteEntity({ apiUrl, type: 'users', id: 'missing' })).deleted, true);
+    assert.strictEqual((await deleteEntity({ apiUrl, type: 'users', id: 'locked' })).deleted, false);
+  });
+
+  it('reports an unreachable API as failed', async () => {
+    const result = await deleteEntity({ apiUrl: 'http://127.0.0.1:1', type: 'users', id: 'u1' });
+
+    assert.strictEqual(result.deleted, false);
+    assert.strictEqual(result.status, 0);
+    assert.ok(result.error);
+  });
+});
+
+describe('summarizeByType', () => {
+  it('counts deleted, expired and failed entries per type', () => {
+    assert.deepStrictEqual(
+      summarizeByType([
+        { type: 'users', deleted: true },
+        { type: 'users', deleted: false, expired: true },
+        { type: 'users', deleted: false },
+        { type: 'orders', deleted: false, expired: true },
+      ]),
+      {
+        users: { total: 3, deleted: 1, expired: 1, failed: 1 },
+        orders: { total: 1, deleted: 0, expired: 1, failed: 0 },
+      },
+    );
+  });
+});
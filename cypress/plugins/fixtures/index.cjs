@@ -0,0 +1,95 @@
+/**
+ * Environment Fixture Overlays
+ *
+ * Loads a base fixture and deep-merges the environment overlay on top:
+ *   cypress/fixtures/users.json            (base, all environments)
+ *   cypress/fixtures/staging/users.json    (only the keys that differ on staging)
+ *
+ * Objects merge key by key; arrays and scalar values in the overlay replace the
+ * base value. Keys missing from the overlay keep their base value, so existing
+ * fixture keys work in every environment.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Deep-merge an overlay into a base value
+ * @param {*} base - Base value
+ * @param {*} overlay - Overlay value
+ * @returns {*} Merged value
+ */
+function deepMerge(base, overlay) {
+  const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+  if (!isObject(base) || !isObject(overlay)) {
+    return overlay === undefined ? base : overlay;
+  }
+
+  return Object.keys(overlay).reduce(
+    (merged, key) => ({ ...merged, [key]: deepMerge(base[key], overlay[key]) }),
+    { ...base },
+  );
+}
+
+/**
+ * Read a JSON fixture if it exists
+ * @returns {Object|null} Parsed fixture or null
+ */
+function readFixture(file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Fixture ${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Load a fixture with its environment overlay applied
+ * @param {string} name - Fixture name without extension (e.g. 'users')
+ * @param {Object} options - { fixturesFolder, environment }
+ * @returns {Object} { fixture, layers } - merged fixture and the files it came from
+ */
+function loadEnvFixture(name, options = {}) {
+  const { fixturesFolder = 'cypress/fixtures', environment = 'local' } = options;
+  const baseFile = path.join(fixturesFolder, `${name}.json`);
+  const overlayFile = path.join(fixturesFolder, environment, `${name}.json`);
+
+  const base = readFixture(baseFile);
+  const overlay = readFixture(overlayFile);
+
+  if (base === null && overlay === null) {
+    throw new Error(`Fixture '${name}' not found (looked for ${baseFile} and ${overlayFile})`);
+  }
+
+  return {
+    fixture: deepMerge(base || {}, overlay || {}),
+    layers: [base && baseFile, overlay && overlayFile].filter(Boolean),
+  };
+}
+
+/**
+ * List the environments that have an overlay folder
+ * @param {string} fixturesFolder - Fixtures folder
+ * @returns {Array<string>} Environment names
+ */
+function listOverlayEnvironments(fixturesFolder) {
+  if (!fs.existsSync(fixturesFolder)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(fixturesFolder, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name);
+}
+
+module.exports = {
+  deepMerge,
+  loadEnvFixture,
+  listOverlayEnvironments,
+};
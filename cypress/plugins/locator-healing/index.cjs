@@ -0,0 +1,183 @@
+/**
+ * Locator Healing Store
+ *
+ * Node-side half of the self-healing locators (src/utils/self-healing.js):
+ *
+ *   - fingerprints.json: the last element each page object selector matched,
+ *     keyed "<Owner>::<selector>". Commit it to share the baseline with CI.
+ *   - healing report: every selector healed during the run, which page object
+ *     and key it belongs to, and the selector to replace it with.
+ *
+ * The report is restarted by the first save of each run (one per worker):
+ * <reportDir>/healing-report.json and healing-report.md
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const readJson = (file, fallback) => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    throw new Error(`[Self-Healing] Cannot read ${file}: ${error.message}`);
+  }
+};
+
+const writeJson = (file, data) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+};
+
+/**
+ * Render the healing report as a Markdown table
+ * @param {Object} report - Healing report
+ * @returns {string} Markdown
+ */
+function formatHealingReport(report) {
+  const lines = [
+    '# Self-Healing Report',
+    '',
+    `Environment: ${report.environment} (${report.baseUrl})`,
+    `Updated: ${report.updatedAt}`,
+    '',
+  ];
+
+  if (report.healed.length === 0) {
+    return `${lines.join('\n')}No selectors were healed.\n`;
+  }
+
+  lines.push(
+    'Update these selectors; each was found only through its stored fingerprint.',
+    '',
+    '| Page object | Selector | Current | Replace with | Score | Uses | Specs |',
+    '|-------------|----------|---------|--------------|-------|------|-------|',
+  );
+
+  const cell = (value) => String(value === null || value === undefined ? '-' : value).replace(/\|/g, '\\|');
+
+  report.healed.forEach((entry) => {
+    lines.push(
+      `| ${cell(entry.owner)} | ${cell(entry.name && `selectors.${entry.name}`)} | \`${cell(entry.selector)}\` ` +
+        `| \`${cell(entry.suggested)}\` | ${entry.score} | ${entry.occurrences} | ${cell(entry.specs.join(', '))} |`,
+    );
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+class LocatorHealingStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.fingerprintsFile - Where fingerprints are kept
+   * @param {string} options.reportDir - Where the healing report is written
+   * @param {string} options.environment - Environment the run targets
+   * @param {string} options.baseUrl - App under test
+   */
+  constructor(options = {}) {
+    this.fingerprintsFile = options.fingerprintsFile || path.join(process.cwd(), 'cypress/healing/fingerprints.json');
+    this.reportDir = options.reportDir || path.join(process.cwd(), 'cypress/reports/healing');
+
+    const workerId = process.env.WORKER_ID || '0';
+    const suffix = workerId === '0' ? '' : `-worker-${workerId}`;
+    this.reportFile = path.join(this.reportDir, `healing-report${suffix}.json`);
+    this.markdownFile = path.join(this.reportDir, `healing-report${suffix}.md`);
+
+    this.report = {
+      environment: options.environment || 'local',
+      baseUrl: options.baseUrl || null,
+      startedAt: new Date().toISOString(),
+      updatedAt: null,
+      healed: [],
+    };
+  }
+
+  /**
+   * Load all stored fingerprints
+   * @returns {Object} Fingerprints by key
+   */
+  loadFingerprints() {
+    return readJson(this.fingerprintsFile, {});
+  }
+
+  /**
+   * Save fingerprints and heals from a spec
+   * Fingerprints are merged into the file as it is now, so parallel workers
+   * don't drop each other's updates.
+   * @param {Object} pending - { fingerprints, healed } from takePendingHealing()
+   * @returns {Object} { fingerprints, healed } counts saved
+   */
+  save({ fingerprints = {}, healed = [] } = {}) {
+    const keys = Object.keys(fingerprints);
+
+    if (keys.length > 0) {
+      const stored = this.loadFingerprints();
+      const updatedAt = new Date().toISOString();
+      keys.forEach((key) => {
+        stored[key] = { ...fingerprints[key], updatedAt };
+      });
+      writeJson(this.fingerprintsFile, stored);
+    }
+
+    if (healed.length > 0) {
+      healed.forEach((heal) => this.recordHeal(heal));
+      this.writeReport();
+    }
+
+    return { fingerprints: keys.length, healed: healed.length };
+  }
+
+  /**
+   * Add a heal to the report, merging repeats of the same selector
+   * @param {Object} heal - { owner, name, selector, suggested, score, spec }
+   */
+  recordHeal(heal) {
+    const now = new Date().toISOString();
+    const existing = this.report.healed.find(
+      (entry) => entry.owner === heal.owner && entry.selector === heal.selector && entry.suggested === heal.suggested,
+    );
+
+    if (existing) {
+      existing.occurrences += 1;
+      existing.score = Math.min(existing.score, heal.score);
+      existing.lastSeen = now;
+      if (heal.spec && !existing.specs.includes(heal.spec)) {
+        existing.specs.push(heal.spec);
+      }
+      return;
+    }
+
+    console.log(`[Self-Healing] ${heal.owner || 'global'} ${heal.name || heal.selector}: ${heal.selector} -> ${heal.suggested}`);
+
+    this.report.healed.push({
+      owner: heal.owner || null,
+      name: heal.name || null,
+      selector: heal.selector,
+      suggested: heal.suggested,
+      score: heal.score,
+      text: heal.text || null,
+      occurrences: 1,
+      specs: heal.spec ? [heal.spec] : [],
+      firstSeen: now,
+      lastSeen: now,
+    });
+  }
+
+  /**
+   * Write the healing report (JSON and Markdown)
+   * @returns {string} JSON report path
+   */
+  writeReport() {
+    this.report.updatedAt = new Date().toISOString();
+    writeJson(this.reportFile, this.report);
+    fs.writeFileSync(this.markdownFile, formatHealingReport(this.report));
+    return this.reportFile;
+  }
+}
+
+module.exports = {
+  LocatorHealingStore,
+  formatHealingReport,
+};
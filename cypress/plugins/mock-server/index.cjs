@@ -0,0 +1,607 @@
+/**
+ * Mock Backend Server
+ *
+ * Lightweight stand-in for the API at apiUrl so the suite can run
+ * without the application backend. State is kept in memory through
+ * the same MemorySeedAdapter the seeding tasks use.
+ *
+ * Every route is served both with and without the /api prefix,
+ * since specs call `${apiUrl}/orders` as well as `${apiUrl}/api/users`.
+ *
+ * Routes:
+ *   GET    /health
+ *   POST   /auth/login               { username, password } -> { token, refreshToken, expiresIn, userId, user }
+ *   POST   /auth/refresh             { refreshToken } -> new token pair (the old refresh token is spent)
+ *   GET    /auth/me
+ *   POST   /reset
+ *   DELETE /namespaces/:namespace
+ *   POST   /users/balance            { amount } (sets the signed-in user's balance)
+ *   POST   /users/:username/reset
+ *   GET    /users/:id/orders
+ *   GET    /cart
+ *   POST   /cart/items               { productId, quantity }
+ *   DELETE /cart/items/:productId
+ *   DELETE /cart
+ *   GET|POST            /{users,transactions,products,orders,notifications}
+ *   GET|PATCH|DELETE    /{collection}/:id
+ *
+ * Usage:
+ *   const { startMockServer } = require('./cypress/plugins/mock-server/index.cjs');
+ *   const server = await startMockServer({ port: 3001 });
+ *   await server.stop();
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MemorySeedAdapter } = require('../seeding/memory-adapter.cjs');
+
+const COLLECTIONS = ['users', 'transactions', 'products', 'orders', 'notifications'];
+
+const USERS_FIXTURE = path.join(__dirname, '..', '..', 'fixtures', 'users.json');
+
+// Fields POST /users requires, as in the user schema factory payloads are checked against
+const REQUIRED_USER_FIELDS = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', '..', 'schemas', 'user.schema.json'), 'utf8'),
+).required;
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Load the users that exist when the server starts (or is reset):
+ * every keyed user in users.json plus the TEST_USERNAME/TEST_PASSWORD user
+ */
+function loadDefaultUsers() {
+  const users = [];
+
+  if (fs.existsSync(USERS_FIXTURE)) {
+    const fixtures = JSON.parse(fs.readFileSync(USERS_FIXTURE, 'utf8'));
+
+    Object.values(fixtures)
+      .filter((user) => user && user.id && user.username)
+      .forEach((user) => users.push(user));
+  }
+
+  const username = process.env.TEST_USERNAME || 'testuser';
+
+  if (!users.some((user) => user.username === username)) {
+    users.push({
+      id: 'user-default-001',
+      username,
+      password: process.env.TEST_PASSWORD || 'Password123!',
+      email: username.includes('@') ? username : `${username}@example.com`,
+      firstName: 'Test',
+      lastName: 'User',
+      role: 'standard',
+      status: 'active',
+      balance: 1000.0,
+    });
+  }
+
+  return users;
+}
+
+/**
+ * Strip fields that should never leave the server
+ */
+function publicUser(user) {
+  const safe = { ...user };
+  delete safe.password;
+  return safe;
+}
+
+/**
+ * Read and parse a JSON request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      if (!raw) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        reject(new HttpError(400, 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+class MockServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {number} options.port - Port to listen on (default: 3001)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {MemorySeedAdapter} options.store - Shared state store
+   * @param {number} options.tokenTtl - Access token lifetime in seconds (default: MOCK_TOKEN_TTL or 3600)
+   * @param {boolean} options.verbose - Log every request
+   */
+  constructor(options = {}) {
+    this.port = options.port || 3001;
+    this.host = options.host || '127.0.0.1';
+    this.store = options.store || new MemorySeedAdapter();
+    this.tokenTtl = options.tokenTtl || parseInt(process.env.MOCK_TOKEN_TTL, 10) || 3600;
+    this.tokenSecret = crypto.randomBytes(32);
+    this.verbose = options.verbose || false;
+    this.sessions = new Map();
+    this.refreshTokens = new Map();
+    this.carts = new Map();
+    this.server = null;
+    this.routes = this.buildRoutes();
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  /**
+   * Put the store back into its initial state
+   */
+  async seedDefaults() {
+    await this.store.reset();
+    this.sessions.clear();
+    this.refreshTokens.clear();
+    this.carts.clear();
+
+    for (const user of loadDefaultUsers()) {
+      await this.store.create('users', user);
+    }
+  }
+
+  /**
+   * Route table: [method, pattern, handler]
+   * Patterns use :param segments; specific routes come before generic ones
+   */
+  buildRoutes() {
+    return [
+      ['GET', '/health', () => ({ status: 'ok' })],
+
+      ['POST', '/auth/login', (ctx) => this.login(ctx)],
+      ['POST', '/auth/refresh', (ctx) => this.refresh(ctx)],
+      ['GET', '/auth/me', (ctx) => publicUser(this.requireUser(ctx))],
+
+      ['POST', '/reset', async () => {
+        await this.seedDefaults();
+        return { success: true };
+      }],
+      ['DELETE', '/namespaces/:namespace', async ({ params }) => ({
+        namespace: params.namespace,
+        deleted: await this.store.removeByNamespace(params.namespace),
+      })],
+
+      ['POST', '/users/balance', (ctx) => {
+        const user = this.requireUser(ctx);
+        const amount = Number(ctx.body.amount);
+        if (ctx.body.amount === undefined || Number.isNaN(amount)) {
+          throw new HttpError(400, 'amount must be a number');
+        }
+        user.balance = amount;
+        return publicUser(user);
+      }],
+      ['POST', '/users/:username/reset', ({ params }) => {
+        const defaults = loadDefaultUsers().find((u) => u.username === params.username);
+        const user = this.findByField('users', 'username', params.username);
+        if (!user || !defaults) {
+          throw new HttpError(404, `User '${params.username}' not found`);
+        }
+        Object.assign(user, defaults);
+        return publicUser(user);
+      }],
+      ['GET', '/users/:id/orders', ({ params }) => ({
+        orders: this.store
+          .getCollection('orders')
+          .filter((order) => order.userId === params.id),
+      })],
+
+      ['GET', '/cart', (ctx) => this.getCart(ctx)],
+      ['POST', '/cart/items', (ctx) => this.addCartItem(ctx)],
+      ['DELETE', '/cart/items/:productId', (ctx) => {
+        const cart = this.getCart(ctx);
+        cart.items = cart.items.filter((item) => item.productId !== ctx.params.productId);
+        return this.priceCart(cart);
+      }],
+      ['DELETE', '/cart', (ctx) => {
+        const cart = this.getCart(ctx);
+        cart.items = [];
+        return this.priceCart(cart);
+      }],
+
+      ['POST', '/orders', (ctx) => this.createOrder(ctx)],
+
+      ['GET', '/:collection', ({ params, query }) => this.list(params.collection, query)],
+      ['POST', '/:collection', (ctx) => {
+        ctx.status = 201;
+        return this.create(ctx.params.collection, ctx.body, ctx.namespace);
+      }],
+      ['GET', '/:collection/:id', ({ params }) =>
+        this.sanitize(params.collection, this.findOrFail(params.collection, params.id))],
+      ['PATCH', '/:collection/:id', ({ params, body }) => {
+        const record = this.findOrFail(params.collection, params.id);
+        Object.assign(record, body, { id: record.id, modifiedAt: new Date().toISOString() });
+        return this.sanitize(params.collection, record);
+      }],
+      ['DELETE', '/:collection/:id', async ({ params }) => {
+        this.assertCollection(params.collection);
+        const deleted = await this.store.remove(params.collection, params.id);
+        if (!deleted) {
+          throw new HttpError(404, `${params.collection} '${params.id}' not found`);
+        }
+        return { deleted: true, id: params.id };
+      }],
+    ];
+  }
+
+  /**
+   * Match a path against the route table
+   */
+  match(method, pathname) {
+    const segments = pathname.split('/').filter(Boolean);
+
+    for (const [routeMethod, pattern, handler] of this.routes) {
+      if (routeMethod !== method) {
+        continue;
+      }
+
+      const parts = pattern.split('/').filter(Boolean);
+      if (parts.length !== segments.length) {
+        continue;
+      }
+
+      const params = {};
+      const matched = parts.every((part, index) => {
+        if (part.startsWith(':')) {
+          params[part.slice(1)] = decodeURIComponent(segments[index]);
+          return true;
+        }
+        return part === segments[index];
+      });
+
+      if (matched) {
+        return { handler, params };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Handle an incoming request
+   */
+  async handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, this.url);
+    const route = pathname.replace(/^\/api(?=\/|$)/, '') || '/';
+
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Test-Namespace, X-Worker-Id');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, PUT, DELETE, OPTIONS');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    let status = 200;
+    let payload;
+
+    try {
+      const found = this.match(req.method, route);
+
+      if (!found) {
+        throw new HttpError(404, `No mock route for ${req.method} ${pathname}`);
+      }
+
+      const ctx = {
+        req,
+        params: found.params,
+        query: Object.fromEntries(searchParams),
+        body: ['POST', 'PATCH', 'PUT'].includes(req.method) ? await readBody(req) : {},
+        token: (req.headers.authorization || '').replace(/^Bearer\s+/i, '') || null,
+        namespace: req.headers['x-test-namespace'] || null,
+        status: 200,
+      };
+
+      payload = await found.handler(ctx);
+      status = ctx.status;
+    } catch (error) {
+      status = error.status || 500;
+      payload = { error: error.message };
+    }
+
+    if (this.verbose) {
+      console.log(`[Mock Server] ${req.method} ${pathname} -> ${status}`);
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+
+  // ===== Route helpers =====
+
+  assertCollection(collection) {
+    if (!COLLECTIONS.includes(collection)) {
+      throw new HttpError(404, `Unknown collection '${collection}'`);
+    }
+  }
+
+  findByField(collection, field, value) {
+    return this.store.getCollection(collection).find((record) => record[field] === value);
+  }
+
+  findOrFail(collection, id) {
+    this.assertCollection(collection);
+    const record = this.findByField(collection, 'id', id);
+    if (!record) {
+      throw new HttpError(404, `${collection} '${id}' not found`);
+    }
+    return record;
+  }
+
+  sanitize(collection, record) {
+    return collection === 'users' ? publicUser(record) : record;
+  }
+
+  list(collection, query = {}) {
+    this.assertCollection(collection);
+
+    const filters = Object.entries(query);
+    const records = this.store
+      .getCollection(collection)
+      .filter((record) => filters.every(([key, value]) => String(record[key]) === value))
+      .map((record) => this.sanitize(collection, record));
+
+    return { [collection]: records, total: records.length };
+  }
+
+  async create(collection, body, namespace) {
+    this.assertCollection(collection);
+
+    const data = namespace && !body.namespace ? { ...body, namespace } : body;
+
+    if (collection === 'users') {
+      this.assertNewUser(data);
+    }
+
+    if (collection === 'transactions') {
+      data.status = data.status || 'pending';
+    }
+
+    try {
+      return this.sanitize(collection, await this.store.create(collection, data));
+    } catch (error) {
+      throw new HttpError(409, error.message);
+    }
+  }
+
+  /**
+   * Reject a user the API would not create: missing fields (400) or a taken username (409)
+   */
+  assertNewUser(data) {
+    const missing = REQUIRED_USER_FIELDS.filter((field) => data[field] === undefined || data[field] === '');
+
+    if (missing.length) {
+      throw new HttpError(400, `Missing required field(s): ${missing.join(', ')}`);
+    }
+
+    if (this.findByField('users', 'username', data.username)) {
+      throw new HttpError(409, `Username '${data.username}' is already taken`);
+    }
+  }
+
+  login({ body }) {
+    const user = this.findByField('users', 'username', body.username)
+      || this.findByField('users', 'email', body.username);
+
+    if (!user || user.password !== body.password) {
+      throw new HttpError(401, 'Username or password is invalid');
+    }
+
+    if (user.status === 'suspended') {
+      throw new HttpError(403, 'Account is suspended');
+    }
+
+    return this.issueTokens(user);
+  }
+
+  refresh({ body }) {
+    const userId = body.refreshToken && this.refreshTokens.get(body.refreshToken);
+    const user = userId && this.findByField('users', 'id', userId);
+
+    if (!user) {
+      throw new HttpError(401, 'Refresh token is invalid');
+    }
+
+    this.refreshTokens.delete(body.refreshToken);
+    return this.issueTokens(user);
+  }
+
+  /**
+   * Issue an access token (an HS256 JWT expiring after tokenTtl) and a refresh token
+   */
+  issueTokens(user) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const iat = Math.floor(Date.now() / 1000);
+    const unsigned = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+      sub: user.id,
+      username: user.username,
+      role: user.role,
+      iat,
+      exp: iat + this.tokenTtl,
+      jti: crypto.randomUUID(),
+    })}`;
+    const signature = crypto.createHmac('sha256', this.tokenSecret).update(unsigned).digest('base64url');
+    const token = `${unsigned}.${signature}`;
+    const refreshToken = `refresh-${crypto.randomUUID()}`;
+
+    this.sessions.set(token, user.id);
+    this.refreshTokens.set(refreshToken, user.id);
+
+    return {
+      token,
+      accessToken: token,
+      refreshToken,
+      expiresIn: this.tokenTtl,
+      userId: user.id,
+      user: publicUser(user),
+    };
+  }
+
+  /**
+   * User id of a live session (null for unknown or expired tokens)
+   */
+  sessionUserId(token) {
+    const userId = token && this.sessions.get(token);
+
+    if (!userId) {
+      return null;
+    }
+
+    const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+
+    if (exp * 1000 <= Date.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+
+    return userId;
+  }
+
+  requireUser({ token }) {
+    const userId = this.sessionUserId(token);
+    const user = userId && this.findByField('users', 'id', userId);
+
+    if (!user) {
+      throw new HttpError(401, token ? 'Token is invalid or expired' : 'Authentication required');
+    }
+
+    return user;
+  }
+
+  getCart(ctx) {
+    const key = this.sessionUserId(ctx.token) || 'anonymous';
+
+    if (!this.carts.has(key)) {
+      this.carts.set(key, { userId: key, items: [] });
+    }
+
+    return this.priceCart(this.carts.get(key));
+  }
+
+  priceCart(cart) {
+    cart.itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+    cart.total = Number(
+      cart.items.reduce((sum, item) => sum + item.quantity * item.price, 0).toFixed(2),
+    );
+    return cart;
+  }
+
+  addCartItem(ctx) {
+    const { productId, quantity = 1 } = ctx.body;
+    const product = this.findByField('products', 'id', productId);
+
+    if (!product) {
+      throw new HttpError(404, `products '${productId}' not found`);
+    }
+
+    const cart = this.getCart(ctx);
+    const existing = cart.items.find((item) => item.productId === productId);
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      cart.items.push({ productId, name: product.name, price: product.price, quantity });
+    }
+
+    return this.priceCart(cart);
+  }
+
+  createOrder(ctx) {
+    const items = ctx.body.items || [];
+    const subtotal = items.reduce((sum, item) => sum + (item.price || 0) * (item.quantity || 1), 0);
+    const userId = ctx.body.userId || this.sessionUserId(ctx.token) || null;
+
+    ctx.status = 201;
+    return this.create('orders', {
+      status: 'pending',
+      ...ctx.body,
+      userId,
+      subtotal: Number(subtotal.toFixed(2)),
+      totalAmount: ctx.body.totalAmount !== undefined
+        ? ctx.body.totalAmount
+        : Number(subtotal.toFixed(2)),
+    }, ctx.namespace);
+  }
+
+  // ===== Lifecycle =====
+
+  /**
+   * Seed default data and start listening
+   * @returns {Promise<MockServer>} Started server
+   */
+  async start() {
+    await this.seedDefaults();
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`[Mock Server] Listening on ${this.url}`);
+    return this;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Create and start a mock server
+ * @param {Object} options - See MockServer constructor
+ * @returns {Promise<MockServer>} Started server
+ */
+async function startMockServer(options = {}) {
+  const server = new MockServer(options);
+  return server.start();
+}
+
+module.exports = {
+  MockServer,
+  startMockServer,
+  HttpError,
+  loadDefaultUsers,
+};
@@ -0,0 +1,465 @@
+/**
+ * Mock OIDC Identity Provider
+ *
+ * Local stand-in for the SSO provider so cy.loginSso works offline. Issues
+ * RS256-signed tokens for the users the mock API knows (users.json plus the
+ * TEST_USERNAME user); role and permissions claims come from roles.json.
+ *
+ * Routes:
+ *   GET  /.well-known/openid-configuration
+ *   GET  /jwks
+ *   GET  /authorize     Login form (data-test="sso-username", "sso-password", "sso-submit")
+ *                       With prompt=none and a login_hint (role or username) it
+ *                       redirects with a code straight away, like an existing IdP session
+ *   POST /authorize     Form submit -> 302 {redirect_uri}?code=...&state=...
+ *   POST /token         authorization_code grant (PKCE S256 when a code_challenge was sent)
+ *   GET  /userinfo      Claims for a Bearer access token
+ *
+ * Usage:
+ *   const { startOidcProvider } = require('./cypress/plugins/oidc-provider/index.cjs');
+ *   const provider = await startOidcProvider({ port: 3002 });
+ *   await provider.stop();
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadDefaultUsers } = require('../mock-server/index.cjs');
+
+const ROLES_FIXTURE = path.join(__dirname, '..', '..', 'fixtures', 'roles.json');
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+const escapeHtml = (value) =>
+  String(value || '').replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+/**
+ * Error with an HTTP status and an OAuth error code
+ */
+class OidcError extends Error {
+  constructor(status, error, description) {
+    super(description);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+/**
+ * Read a form-encoded or JSON request body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(
+          (req.headers['content-type'] || '').includes('application/json')
+            ? JSON.parse(raw || '{}')
+            : Object.fromEntries(new URLSearchParams(raw)),
+        );
+      } catch (error) {
+        reject(new OidcError(400, 'invalid_request', 'Request body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+class OidcProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {number} options.port - Port to listen on (default: 3002)
+   * @param {string} options.host - Host to bind (default: 127.0.0.1)
+   * @param {string} options.issuer - Issuer URL (default: http://localhost:<port>)
+   * @param {Array<string>} options.clientIds - Accepted client ids (default: any)
+   * @param {Array<Object>} options.users - Users that can sign in (default: the mock API's users)
+   * @param {Object} options.roles - Roles fixture (default: cypress/fixtures/roles.json)
+   * @param {number} options.tokenTtl - Token lifetime in seconds (default: 3600)
+   * @param {boolean} options.verbose - Log every request
+   */
+  constructor(options = {}) {
+    this.port = options.port || 3002;
+    this.host = options.host || '127.0.0.1';
+    this.issuer = (options.issuer || `http://localhost:${this.port}`).replace(/\/$/, '');
+    this.clientIds = options.clientIds || null;
+    this.users = options.users || loadDefaultUsers();
+    this.roles = options.roles || JSON.parse(fs.readFileSync(ROLES_FIXTURE, 'utf8'));
+    this.tokenTtl = options.tokenTtl || 3600;
+    this.verbose = options.verbose || false;
+    this.codes = new Map();
+    this.server = null;
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    this.kid = crypto.randomUUID();
+    this.privateKey = privateKey;
+    this.publicKey = publicKey;
+  }
+
+  get url() {
+    return `http://${this.host}:${this.port}`;
+  }
+
+  // ===== Tokens =====
+
+  /**
+   * Sign a JWT with the provider key (RS256)
+   */
+  sign(payload) {
+    const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: this.kid }));
+    const body = base64url(JSON.stringify(payload));
+    const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), this.privateKey);
+    return `${header}.${body}.${signature.toString('base64url')}`;
+  }
+
+  /**
+   * Verify a JWT signed by this provider
+   * @returns {Object} Payload
+   */
+  verify(token) {
+    const [header, body, signature] = String(token).split('.');
+    const valid =
+      signature &&
+      crypto.verify(
+        'sha256',
+        Buffer.from(`${header}.${body}`),
+        this.publicKey,
+        Buffer.from(signature, 'base64url'),
+      );
+
+    if (!valid) {
+      throw new OidcError(401, 'invalid_token', 'Token signature is invalid');
+    }
+
+    const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+
+    if (payload.exp * 1000 <= Date.now()) {
+      throw new OidcError(401, 'invalid_token', 'Token has expired');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Identity claims for a user, with role and permissions from roles.json
+   */
+  claims(user) {
+    const role = this.roles[user.role] || {};
+
+    return {
+      sub: user.id || user.username,
+      preferred_username: user.username,
+      email: user.email,
+      email_verified: true,
+      name: [user.firstName, user.lastName].filter(Boolean).join(' ') || user.username,
+      given_name: user.firstName,
+      family_name: user.lastName,
+      role: user.role,
+      roles: [user.role].filter(Boolean),
+      permissions: role.permissions || [],
+    };
+  }
+
+  /**
+   * Find a user by username, or the first active user with a role
+   */
+  findUser(hint) {
+    const active = this.users.filter((user) => (user.status || 'active') === 'active');
+    return (
+      active.find((user) => user.username === hint) || active.find((user) => user.role === hint) || null
+    );
+  }
+
+  // ===== Endpoints =====
+
+  discovery() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/authorize`,
+      token_endpoint: `${this.issuer}/token`,
+      userinfo_endpoint: `${this.issuer}/userinfo`,
+      jwks_uri: `${this.issuer}/jwks`,
+      response_types_supported: ['code'],
+      grant_types_supported: ['authorization_code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      scopes_supported: ['openid', 'profile', 'email'],
+      code_challenge_methods_supported: ['S256'],
+      claims_supported: ['sub', 'preferred_username', 'email', 'name', 'role', 'roles', 'permissions'],
+    };
+  }
+
+  jwks() {
+    return {
+      keys: [{ ...this.publicKey.export({ format: 'jwk' }), kid: this.kid, use: 'sig', alg: 'RS256' }],
+    };
+  }
+
+  /**
+   * Validate authorize parameters (client and redirect target)
+   */
+  assertAuthorizeRequest(params) {
+    if (params.response_type !== 'code') {
+      throw new OidcError(400, 'unsupported_response_type', 'Only response_type=code is supported');
+    }
+    if (!params.client_id || (this.clientIds && !this.clientIds.includes(params.client_id))) {
+      throw new OidcError(400, 'unauthorized_client', `Unknown client_id '${params.client_id}'`);
+    }
+    if (!/^https?:\/\//.test(params.redirect_uri || '')) {
+      throw new OidcError(400, 'invalid_request', 'redirect_uri must be an absolute http(s) URL');
+    }
+  }
+
+  /**
+   * Issue an authorization code and build the redirect back to the client
+   */
+  redirectWithCode(user, params) {
+    const code = crypto.randomBytes(24).toString('base64url');
+
+    this.codes.set(code, {
+      user,
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      nonce: params.nonce,
+      scope: params.scope || 'openid',
+      codeChallenge: params.code_challenge,
+      expiresAt: Date.now() + 60 * 1000,
+    });
+
+    const target = new URL(params.redirect_uri);
+    target.searchParams.set('code', code);
+    if (params.state) {
+      target.searchParams.set('state', params.state);
+    }
+    return target.toString();
+  }
+
+  redirectWithError(params, error) {
+    const target = new URL(params.redirect_uri);
+    target.searchParams.set('error', error);
+    if (params.state) {
+      target.searchParams.set('state', params.state);
+    }
+    return target.toString();
+  }
+
+  loginPage(params, error = null) {
+    const hidden = Object.entries(params)
+      .filter(([name]) => !['username', 'password'].includes(name))
+      .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+      .join('\n      ');
+    const hint = this.findUser(params.login_hint);
+
+    return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Mock SSO Sign In</title></head>
+  <body>
+    <h1>Mock SSO</h1>
+    ${error ? `<p data-test="sso-error" role="alert">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/authorize">
+      ${hidden}
+      <label>Username <input name="username" data-test="sso-username" value="${escapeHtml(hint ? hint.username : '')}"></label>
+      <label>Password <input name="password" type="password" data-test="sso-password"></label>
+      <button type="submit" data-test="sso-submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+  }
+
+  token(body) {
+    if (body.grant_type !== 'authorization_code') {
+      throw new OidcError(400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    const grant = this.codes.get(body.code);
+    this.codes.delete(body.code);
+
+    if (!grant || grant.expiresAt <= Date.now()) {
+      throw new OidcError(400, 'invalid_grant', 'Authorization code is invalid or expired');
+    }
+    if (grant.clientId !== body.client_id || grant.redirectUri !== body.redirect_uri) {
+      throw new OidcError(400, 'invalid_grant', 'client_id or redirect_uri does not match the authorization request');
+    }
+    if (grant.codeChallenge) {
+      const challenge = crypto.createHash('sha256').update(body.code_verifier || '').digest('base64url');
+      if (challenge !== grant.codeChallenge) {
+        throw new OidcError(400, 'invalid_grant', 'code_verifier does not match code_challenge');
+      }
+    }
+
+    const iat = Math.floor(Date.now() / 1000);
+    const exp = iat + this.tokenTtl;
+    const claims = this.claims(grant.user);
+    const common = { iss: this.issuer, sub: claims.sub, iat, exp };
+
+    return {
+      token_type: 'Bearer',
+      expires_in: this.tokenTtl,
+      scope: grant.scope,
+      access_token: this.sign({
+        ...common,
+        aud: grant.clientId,
+        client_id: grant.clientId,
+        scope: grant.scope,
+        preferred_username: claims.preferred_username,
+        role: claims.role,
+        permissions: claims.permissions,
+      }),
+      id_token: this.sign({ ...common, aud: grant.clientId, nonce: grant.nonce, ...claims }),
+    };
+  }
+
+  userinfo(req) {
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const payload = this.verify(token);
+    const user = this.findUser(payload.preferred_username);
+
+    if (!user) {
+      throw new OidcError(401, 'invalid_token', 'Token subject no longer exists');
+    }
+
+    return this.claims(user);
+  }
+
+  /**
+   * Handle an incoming request
+   */
+  async handle(req, res) {
+    const { pathname, searchParams } = new URL(req.url, this.url);
+    const route = `${req.method} ${pathname}`;
+    let status = 200;
+    let type = 'application/json';
+    let payload;
+    let location = null;
+
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    try {
+      switch (route) {
+      case 'GET /.well-known/openid-configuration':
+        payload = this.discovery();
+        break;
+      case 'GET /jwks':
+        payload = this.jwks();
+        break;
+      case 'GET /authorize': {
+        const params = Object.fromEntries(searchParams);
+        this.assertAuthorizeRequest(params);
+
+        if (params.prompt === 'none') {
+          const user = this.findUser(params.login_hint);
+          status = 302;
+          location = user ? this.redirectWithCode(user, params) : this.redirectWithError(params, 'login_required');
+        } else {
+          type = 'text/html';
+          payload = this.loginPage(params);
+        }
+        break;
+      }
+      case 'POST /authorize': {
+        const params = await readBody(req);
+        this.assertAuthorizeRequest(params);
+
+        const user = this.findUser(params.username);
+        if (user && user.username === params.username && user.password === params.password) {
+          status = 302;
+          location = this.redirectWithCode(user, params);
+        } else {
+          status = 401;
+          type = 'text/html';
+          payload = this.loginPage(params, 'Invalid username or password');
+        }
+        break;
+      }
+      case 'POST /token':
+        payload = this.token(await readBody(req));
+        res.setHeader('Cache-Control', 'no-store');
+        break;
+      case 'GET /userinfo':
+        payload = this.userinfo(req);
+        break;
+      default:
+        throw new OidcError(404, 'not_found', `No mock OIDC route for ${route}`);
+      }
+    } catch (error) {
+      status = error.status || 500;
+      type = 'application/json';
+      payload = { error: error.error || 'server_error', error_description: error.message };
+    }
+
+    if (this.verbose) {
+      console.log(`[Mock OIDC] ${route} -> ${status}`);
+    }
+
+    if (location) {
+      res.writeHead(status, { Location: location });
+      res.end();
+      return;
+    }
+
+    res.writeHead(status, { 'Content-Type': type });
+    res.end(type === 'text/html' ? payload : JSON.stringify(payload));
+  }
+
+  // ===== Lifecycle =====
+
+  /**
+   * Start listening
+   * @returns {Promise<OidcProvider>} Started provider
+   */
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+
+    console.log(`[Mock OIDC] Issuer ${this.issuer} listening on ${this.url}`);
+    return this;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.server.close(() => {
+        this.server = null;
+        resolve();
+      });
+    });
+  }
+}
+
+/**
+ * Create and start a mock OIDC provider
+ * @param {Object} options - See OidcProvider constructor
+ * @returns {Promise<OidcProvider>} Started provider
+ */
+async function startOidcProvider(options = {}) {
+  const provider = new OidcProvider(options);
+  return provider.start();
+}
+
+module.exports = {
+  OidcProvider,
+  startOidcProvider,
+};
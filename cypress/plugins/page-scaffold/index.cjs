@@ -0,0 +1,436 @@
+/**
+ * Page Object Scaffolding
+ *
+ * Reads an HTML snapshot (saved from the browser, or captured during a run
+ * with cy.capturePageSnapshot) and generates a BasePage subclass in the style
+ * of src/pages: a selectors map, action methods and verifyPageLoaded.
+ *
+ * Every element with a data-cy, data-test or aria-label attribute is listed
+ * (the SELECTOR_STRATEGY.preferredAttributes order decides which one a
+ * selector uses). Hooks that only sit on a wrapper, like the sign-in form's
+ * <div data-test="signin-username"><input id="username"></div>, get a
+ * container selector plus one for the field inside it. Hooks ending in a
+ * record id (transaction-item-Kb5ilQpAa) become one prefix selector.
+ *
+ * Snapshots captured during a run: <dir>/<name>.html, starting with
+ * <!-- page-snapshot url="..." captured-at="..." -->
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Same order as SELECTOR_STRATEGY.preferredAttributes (cypress/support/test-config.js)
+const HOOK_ATTRIBUTES = ['data-cy', 'data-test', 'aria-label'];
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style']);
+const FIELD_ELEMENTS = new Set(['input', 'textarea', 'select']);
+
+const TOKEN = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+)|</g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const SNAPSHOT_HEADER = /^<!-- page-snapshot url="([^"]*)" captured-at="([^"]*)" -->/;
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&times;/g, '\u00d7')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/g, '&');
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  let match;
+
+  ATTRIBUTE.lastIndex = 0;
+  while ((match = ATTRIBUTE.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = decodeEntities(value);
+  }
+
+  return attributes;
+};
+
+/**
+ * Element id suffix of a hook value: contains a digit or mixes case
+ * (transaction-item-Kb5ilQpAa, user-42), so the hook is one per record
+ */
+const recordPrefix = (value) => {
+  const match = value.match(/^(.+[-_])([^-_]+)$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const suffix = match[2];
+  return /\d/.test(suffix) || (/[a-z]/.test(suffix) && /[A-Z]/.test(suffix)) ? match[1] : null;
+};
+
+const quote = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+/**
+ * Find every hooked element in an HTML document
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} { tag, attribute, value, selector, prefix, text, attributes, field }
+ *   in document order; field is the first unhooked input/select/textarea inside it
+ */
+function extractElements(html) {
+  const elements = [];
+  const stack = [];
+  let match;
+
+  TOKEN.lastIndex = 0;
+  while ((match = TOKEN.exec(html)) !== null) {
+    const [, closing, rawTag, attributeSource, text] = match;
+
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      stack.forEach((node) => {
+        if (node.element) {
+          node.element.text += decoded;
+        }
+      });
+      continue;
+    }
+
+    if (!rawTag) {
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+
+    if (closing) {
+      const index = stack.map((node) => node.tag).lastIndexOf(tag);
+      if (index !== -1) {
+        stack.length = index;
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource || '');
+    const attribute = HOOK_ATTRIBUTES.find((name) => attributes[name]);
+    let element = null;
+
+    if (attribute) {
+      const value = attributes[attribute];
+      const prefix = attribute === 'aria-label' ? null : recordPrefix(value);
+
+      element = {
+        tag,
+        attribute,
+        value,
+        prefix,
+        selector: prefix
+          ? `[${attribute}^="${quote(prefix)}"]`
+          : `${attribute === 'aria-label' ? tag : ''}[${attribute}="${quote(value)}"]`,
+        text: '',
+        attributes,
+        field: null,
+      };
+      elements.push(element);
+    } else if (FIELD_ELEMENTS.has(tag)) {
+      const owner = [...stack].reverse().find((node) => node.element);
+      if (owner && !FIELD_ELEMENTS.has(owner.element.tag) && !owner.element.field) {
+        owner.element.field = { tag, attributes };
+      }
+    }
+
+    if (RAW_TEXT_ELEMENTS.has(tag)) {
+      const end = html.toLowerCase().indexOf(`</${tag}`, TOKEN.lastIndex);
+      TOKEN.lastIndex = end === -1 ? html.length : end;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(tag) && !/\/\s*$/.test(attributeSource || '')) {
+      stack.push({ tag, element });
+    }
+  }
+
+  elements.forEach((element) => {
+    element.text = element.text.replace(/\s+/g, ' ').trim().slice(0, 60);
+  });
+
+  // One entry per record-id prefix (transaction-item-*)
+  const seen = new Set();
+  return elements.filter((element) => {
+    const key = element.selector;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+const words = (value) =>
+  value
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+
+const camelCase = (parts) =>
+  parts.map((word, index) => (index === 0 ? word : word[0].toUpperCase() + word.slice(1))).join('');
+
+const pascalCase = (value) => value[0].toUpperCase() + value.slice(1);
+
+const humanize = (value) => words(value).join(' ');
+
+/**
+ * What kind of control an element is, deciding its key suffix and action
+ */
+const kindOf = (tag, attributes = {}) => {
+  const type = (attributes.type || 'text').toLowerCase();
+  const role = attributes.role;
+
+  if (tag === 'input' && (type === 'checkbox' || type === 'radio')) return 'Checkbox';
+  if (tag === 'input' && (type === 'submit' || type === 'button')) return 'Button';
+  if (tag === 'input' || tag === 'textarea') return 'Input';
+  if (tag === 'select') return 'Select';
+  if (tag === 'button' || role === 'button') return 'Button';
+  if (tag === 'a' || role === 'link') return 'Link';
+  if (role === 'checkbox' || role === 'switch') return 'Checkbox';
+  return null;
+};
+
+/**
+ * Build selector entries (key, selector, kind, comment) from extracted elements
+ * @param {Array<Object>} elements - From extractElements()
+ * @param {Object} options - { stripPrefix }
+ * @returns {Array<Object>} Selector entries
+ */
+function buildSelectors(elements, options = {}) {
+  const strip = options.stripPrefix ? words(options.stripPrefix) : [];
+  const used = new Set();
+  const entries = [];
+
+  const keyFor = (value, suffix) => {
+    let parts = words(value);
+
+    if (strip.length && strip.every((word, index) => parts[index] === word) && parts.length > strip.length) {
+      parts = parts.slice(strip.length);
+    }
+
+    const base = camelCase(parts) || 'element';
+    let key = suffix && !base.toLowerCase().endsWith(suffix.toLowerCase()) ? `${base}${suffix}` : base;
+
+    for (let n = 2; used.has(key); n += 1) {
+      key = `${base}${suffix || ''}${n}`;
+    }
+    used.add(key);
+    return key;
+  };
+
+  elements.forEach((element) => {
+    const value = element.prefix ? element.prefix.replace(/[-_]$/, '') : element.value;
+
+    if (element.prefix) {
+      entries.push({ key: keyFor(value), selector: element.selector, kind: 'List', text: element.text });
+      return;
+    }
+
+    if (element.field && !kindOf(element.tag, element.attributes)) {
+      const fieldKind = kindOf(element.field.tag, element.field.attributes) || 'Input';
+      const { name } = element.field.attributes;
+      entries.push({
+        key: keyFor(value, 'Container'),
+        selector: element.selector,
+        kind: null,
+        text: element.text,
+        comment: `${element.attribute} is on the wrapper; the ${element.field.tag} inside it is below`,
+      });
+      entries.push({
+        key: keyFor(value, fieldKind),
+        selector: `${element.selector} ${element.field.tag}${name ? `[name="${quote(name)}"]` : ''}`,
+        kind: fieldKind,
+        text: element.text,
+      });
+      return;
+    }
+
+    const kind = kindOf(element.tag, element.attributes);
+    entries.push({ key: keyFor(value, kind), selector: element.selector, kind, text: element.text });
+  });
+
+  return entries;
+}
+
+const ACTION_TEMPLATES = {
+  Input: (entry, base, className) => `  /**
+   * Enter ${humanize(base)}
+   * @param {string} value - Text to enter
+   * @returns {${className}} ${className} instance for chaining
+   */
+  enter${pascalCase(base)}(value) {
+    this.type(this.selectors.${entry.key}, value);
+    return this;
+  }`,
+  Select: (entry, base, className) => `  /**
+   * Select ${humanize(base)}
+   * @param {string} value - Option to select
+   * @returns {${className}} ${className} instance for chaining
+   */
+  select${pascalCase(base)}(value) {
+    this.select(this.selectors.${entry.key}, value);
+    return this;
+  }`,
+  Checkbox: (entry, base, className) => `  /**
+   * Toggle ${humanize(base)}
+   * @param {boolean} check - True to check, false to uncheck
+   * @returns {${className}} ${className} instance for chaining
+   */
+  toggle${pascalCase(base)}(check = true) {
+    if (check) {
+      this.check(this.selectors.${entry.key});
+    } else {
+      this.uncheck(this.selectors.${entry.key});
+    }
+    return this;
+  }`,
+  Button: (entry, base, className) => `  /**
+   * Click ${humanize(base)}${entry.text ? ` ("${entry.text.replace(/\*\//g, '')}")` : ''}
+   * @returns {${className}} ${className} instance for chaining
+   */
+  click${pascalCase(base)}() {
+    this.click(this.selectors.${entry.key});
+    return this;
+  }`,
+  List: (entry, base) => `  /**
+   * Get all ${humanize(base)} elements
+   * @returns {Cypress.Chainable} ${pascalCase(humanize(base))} elements
+   */
+  get${pascalCase(base)}s() {
+    return this.getElement(this.selectors.${entry.key});
+  }`,
+};
+ACTION_TEMPLATES.Link = ACTION_TEMPLATES.Button;
+
+/**
+ * Generate a page object class
+ * @param {Object} options - Generation options
+ * @param {string} options.name - Page name (e.g. 'Login' or 'LoginPage')
+ * @param {string} options.url - Page URL path
+ * @param {Array<Object>} options.selectors - From buildSelectors()
+ * @param {string} options.source - Where the snapshot came from (for the header comment)
+ * @returns {string} Page object source
+ */
+function generatePageObject({ name, url = '/', selectors, source = null }) {
+  const className = /Page$/.test(name) ? name : `${name}Page`;
+  const title = className.replace(/Page$/, '').replace(/([a-z])([A-Z])/g, '$1 $2');
+  const methods = new Set();
+
+  const selectorLines = selectors.map((entry) => {
+    const comment = entry.comment ? `      // ${entry.comment}\n` : '';
+    return `${comment}      ${entry.key}: '${entry.selector.replace(/'/g, '\\\'')}',`;
+  });
+
+  const actions = selectors
+    .filter((entry) => ACTION_TEMPLATES[entry.kind])
+    .map((entry) => {
+      const base = entry.kind === 'List' ? entry.key : entry.key.replace(new RegExp(`${entry.kind}$`), '') || entry.key;
+      const method = ACTION_TEMPLATES[entry.kind](entry, base, className);
+      const methodName = method.match(/^ {2}(\w+)\(/m)[1];
+
+      if (methods.has(methodName)) {
+        return null;
+      }
+      methods.add(methodName);
+      return method;
+    })
+    .filter(Boolean);
+
+  const controls = selectors.filter((entry) => ['Input', 'Select', 'Checkbox', 'Button'].includes(entry.kind));
+  const landmarks = (controls.length ? controls : selectors).slice(0, 3);
+
+  return `import BasePage from './BasePage.js';
+
+/**
+ * ${title} Page Object Model
+ * Handles all interactions with the ${title.toLowerCase()} page
+ */
+class ${className} extends BasePage {
+  constructor() {
+    super();
+
+    // Page URL
+    this.url = '${url.replace(/'/g, '\\\'')}';
+
+    // Selectors - Generated from ${source || 'a page snapshot'}
+    this.selectors = {
+${selectorLines.join('\n')}
+    };
+  }
+
+  /**
+   * Load the ${title.toLowerCase()} page
+   * @param {Object} options - Visit options
+   * @returns {${className}} ${className} instance for chaining
+   */
+  load(options = {}) {
+    this.visit(this.url, options);
+    this.waitForPageLoad();
+    return this;
+  }
+${actions.map((method) => `\n${method}\n`).join('')}
+  // ===== Assertion Methods =====
+
+  /**
+   * Verify ${title.toLowerCase()} page is loaded
+   * @returns {${className}} ${className} instance for chaining
+   */
+  verifyPageLoaded() {
+    this.verifyUrlContains(this.url);
+${landmarks.map((entry) => `    this.verifyElementVisible(this.selectors.${entry.key});`).join('\n')}
+    return this;
+  }
+}
+
+export default ${className};
+`;
+}
+
+/**
+ * Save a page snapshot captured in the browser
+ * @param {Object} snapshot - { name, url, html }
+ * @param {string} dir - Snapshot directory
+ * @returns {Object} { file, elements } - elements is the number of hooked elements found
+ */
+function savePageSnapshot({ name, url, html }, dir) {
+  const safeName = String(name || 'page').replace(/[^\w.-]+/g, '-');
+  const file = path.join(dir, `${safeName}.html`);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, `<!-- page-snapshot url="${url}" captured-at="${new Date().toISOString()}" -->\n${html}`);
+
+  return { file, elements: extractElements(html).length };
+}
+
+/**
+ * Read a snapshot file
+ * @param {string} file - HTML file (captured snapshot or saved page)
+ * @returns {Object} { html, url, capturedAt } - url and capturedAt only for captured snapshots
+ */
+function readPageSnapshot(file) {
+  const html = fs.readFileSync(file, 'utf8');
+  const header = html.match(SNAPSHOT_HEADER);
+
+  return {
+    html,
+    url: header ? header[1] : null,
+    capturedAt: header ? header[2] : null,
+  };
+}
+
+module.exports = {
+  HOOK_ATTRIBUTES,
+  extractElements,
+  buildSelectors,
+  generatePageObject,
+  savePageSnapshot,
+  readPageSnapshot,
+};
@@ -0,0 +1,141 @@
+/**
+ * HTTP Seed Adapter
+ *
+ * Seeds entities through the application API at apiUrl.
+ * Endpoints follow the same conventions as the browser-side data factory:
+ *   GET    /api/{collection}?{field}={value}
+ *   POST   /api/{collection}
+ *   DELETE /api/{collection}/{id}
+ *   DELETE /api/namespaces/{namespace}
+ *   POST   /api/reset
+ */
+
+class HttpSeedAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.apiUrl - API base URL
+   * @param {string} options.token - Optional bearer token for seeding endpoints
+   */
+  constructor(options = {}) {
+    this.name = 'http';
+    this.apiUrl = (options.apiUrl || 'http://localhost:3001').replace(/\/$/, '');
+    this.token = options.token || null;
+  }
+
+  /**
+   * Send a request to the API and parse the JSON response
+   * @param {string} method - HTTP method
+   * @param {string} endpoint - Endpoint path
+   * @param {Object} options - Request options (body, namespace, allowNotFound, status)
+   * @returns {Promise<Object|number|null>} Parsed response body, or the response
+   *   status when options.status is set
+   */
+  async request(method, endpoint, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (this.token) {
+      headers.Authorization = `Bearer ${this.token}`;
+    }
+
+    if (options.namespace) {
+      headers['X-Test-Namespace'] = options.namespace;
+    }
+
+    const response = await fetch(`${this.apiUrl}${endpoint}`, {
+      method,
+      headers,
+      body: options.body ? JSON.stringify(options.body) : undefined,
+    });
+
+    if (response.status === 404 && options.allowNotFound) {
+      return options.status ? response.status : null;
+    }
+
+    const text = await response.text();
+    let body = null;
+
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = { message: text };
+    }
+
+    if (!response.ok) {
+      const reason = (body && (body.error || body.message)) || response.statusText;
+      throw new Error(`${method} ${endpoint} failed with ${response.status}: ${reason}`);
+    }
+
+    return options.status ? response.status : body;
+  }
+
+  /**
+   * Create an entity via POST /api/{collection}
+   */
+  async create(collection, data = {}) {
+    const body = await this.request('POST', `/api/${collection}`, {
+      body: data,
+      namespace: data.namespace,
+    });
+
+    // The Real World App wraps created entities, e.g. { user: {...} }
+    const singular = collection.replace(/s$/, '');
+    const record = body && body[singular] ? body[singular] : body;
+
+    if (!record || !record.id) {
+      throw new Error(`POST /api/${collection} did not return an entity id`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Find entities via GET /api/{collection}?{field}={value}
+   */
+  async find(collection, filter = {}) {
+    const query = new URLSearchParams(
+      Object.entries(filter).map(([key, value]) => [key, String(value)]),
+    ).toString();
+    const body = await this.request('GET', `/api/${collection}${query ? `?${query}` : ''}`);
+
+    // The Real World App wraps lists, e.g. { users: [...] }
+    const records = body && !Array.isArray(body) ? body[collection] || body.results : body;
+
+    return Array.isArray(records) ? records : [];
+  }
+
+  /**
+   * Delete an entity via DELETE /api/{collection}/{id}
+   * Any 2xx (204 No Content included) deletes; a 404 means it was already gone.
+   * @returns {Promise<boolean>} Whether an entity was deleted (false on 404)
+   */
+  async remove(collection, id) {
+    const status = await this.request('DELETE', `/api/${collection}/${id}`, {
+      allowNotFound: true,
+      status: true,
+    });
+    return status !== 404;
+  }
+
+  /**
+   * Delete all entities in a namespace via DELETE /api/namespaces/{namespace}
+   */
+  async removeByNamespace(namespace) {
+    const body = await this.request(
+      'DELETE',
+      `/api/namespaces/${encodeURIComponent(namespace)}`,
+      { namespace },
+    );
+    return (body && body.deleted) || 0;
+  }
+
+  /**
+   * Reset backend state via POST /api/reset
+   */
+  async reset() {
+    await this.request('POST', '/api/reset');
+  }
+}
+
+module.exports = {
+  HttpSeedAdapter,
+};
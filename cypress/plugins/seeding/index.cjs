@@ -0,0 +1,79 @@
+/**
+ * Seeding Adapter Layer
+ *
+ * Backs the data seeding tasks registered in cypress.config.js.
+ * One adapter is picked per run:
+ *   - http:   seed through the application API at apiUrl (default)
+ *   - lowdb:  write directly into the Real World App JSON database
+ *   - memory: keep entities in the Node process (the in-process mock server)
+ *
+ * Selection order: config.env.seedAdapter (SEED_ADAPTER), then memory when
+ * the mock server's store is passed in, then http. Memory is never the
+ * fallback otherwise: the app under test would not see what was seeded.
+ */
+
+const { MemorySeedAdapter } = require('./memory-adapter.cjs');
+const { LowdbSeedAdapter } = require('./lowdb-adapter.cjs');
+const { HttpSeedAdapter } = require('./http-adapter.cjs');
+
+/**
+ * Map a task entity type to a collection name
+ * Accepts both singular ('user') and plural ('users') forms
+ * @param {string} type - Entity type
+ * @returns {string} Collection name
+ */
+function toCollection(type) {
+  return type.endsWith('s') ? type : `${type}s`;
+}
+
+/**
+ * Create the seed adapter for the current run
+ * @param {Object} config - Cypress config (from setupNodeEvents)
+ * @param {Object} options - Adapter options
+ * @param {MemorySeedAdapter} options.store - Existing memory store to reuse (e.g. the mock server's)
+ * @param {boolean} options.quiet - Don't log the adapter picked
+ * @returns {Object} Seed adapter instance
+ */
+function createSeedAdapter(config, options = {}) {
+  const env = config.env || {};
+  const environment = env.environment || 'local';
+  const name = env.seedAdapter || (options.store ? 'memory' : 'http');
+
+  let adapter;
+
+  switch (name) {
+  case 'http':
+    adapter = new HttpSeedAdapter({
+      apiUrl: env.apiUrl,
+      token: process.env.SEED_API_TOKEN,
+    });
+    break;
+  case 'lowdb':
+    adapter = new LowdbSeedAdapter({
+      dbPath: env.seedDbPath || 'data/database.json',
+      seedPath: env.seedDbSeedPath,
+    });
+    break;
+  case 'memory':
+    adapter = options.store || new MemorySeedAdapter();
+    break;
+  default:
+    throw new Error(
+      `Unknown seed adapter '${name}'. Use one of: http, lowdb, memory`,
+    );
+  }
+
+  if (!options.quiet) {
+    console.log(`[Seed] Using ${adapter.name} adapter for ${environment}`);
+  }
+
+  return adapter;
+}
+
+module.exports = {
+  createSeedAdapter,
+  toCollection,
+  MemorySeedAdapter,
+  LowdbSeedAdapter,
+  HttpSeedAdapter,
+};
@@ -0,0 +1,95 @@
+/**
+ * lowdb Seed Adapter
+ *
+ * Writes entities straight into the Real World App's lowdb JSON database
+ * (data/database.json by default). The file is re-read before every
+ * operation so changes made by the running app are never overwritten.
+ * User passwords are stored as bcrypt hashes, as the app's own seed does.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { MemorySeedAdapter } = require('./memory-adapter.cjs');
+
+// Same cost factor as the Real World App seed
+const BCRYPT_ROUNDS = 10;
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$/;
+
+class LowdbSeedAdapter extends MemorySeedAdapter {
+  /**
+   * @param {Object} options - Adapter options
+   * @param {string} options.dbPath - Path to the lowdb database file
+   * @param {string} options.seedPath - Path to the pristine seed file used by reset()
+   */
+  constructor(options = {}) {
+    super();
+
+    this.name = 'lowdb';
+    this.dbPath = path.resolve(options.dbPath);
+    this.seedPath = options.seedPath
+      ? path.resolve(options.seedPath)
+      : path.join(path.dirname(this.dbPath), 'database-seed.json');
+
+    if (!fs.existsSync(this.dbPath)) {
+      throw new Error(`lowdb database not found at ${this.dbPath}`);
+    }
+  }
+
+  /**
+   * Read the database file from disk
+   */
+  load() {
+    this.data = JSON.parse(fs.readFileSync(this.dbPath, 'utf8'));
+    return this.data;
+  }
+
+  /**
+   * Write the database file atomically (temp file + rename, like lowdb's steno)
+   */
+  persist() {
+    const tempPath = `${this.dbPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tempPath, this.dbPath);
+  }
+
+  /**
+   * Create an entity, hashing a user's plain-text password before it is written
+   * The returned user keeps the plain password so callers can log in with it.
+   * @param {string} collection - Collection name
+   * @param {Object} data - Entity data
+   * @returns {Promise<Object>} Persisted entity
+   */
+  async create(collection, data = {}) {
+    if (collection !== 'users' || !data.password || BCRYPT_HASH.test(data.password)) {
+      return super.create(collection, data);
+    }
+
+    const record = await super.create(collection, {
+      ...data,
+      password: bcrypt.hashSync(data.password, BCRYPT_ROUNDS),
+    });
+
+    return { ...record, password: data.password };
+  }
+
+  /**
+   * Restore the database from the seed file, or empty every collection
+   */
+  async reset() {
+    if (fs.existsSync(this.seedPath)) {
+      this.data = JSON.parse(fs.readFileSync(this.seedPath, 'utf8'));
+    } else {
+      this.load();
+      Object.keys(this.data).forEach((collection) => {
+        this.data[collection] = [];
+      });
+    }
+
+    this.persist();
+  }
+}
+
+module.exports = {
+  LowdbSeedAdapter,
+};
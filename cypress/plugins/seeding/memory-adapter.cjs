@@ -0,0 +1,162 @@
+/**
+ * In-Memory Seed Adapter
+ *
+ * Keeps seeded entities in process memory for offline runs.
+ * State lives as long as the Cypress Node process, so entities
+ * survive across specs but not across `cypress run` invocations.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Id prefixes per collection, matching the ids the data factory generates
+ */
+const ID_PREFIXES = {
+  users: 'user',
+  transactions: 'txn',
+  products: 'prod',
+  orders: 'order',
+};
+
+class MemorySeedAdapter {
+  constructor() {
+    this.name = 'memory';
+    this.data = {};
+  }
+
+  /**
+   * Load current state before an operation (no-op in memory)
+   */
+  load() {
+    return this.data;
+  }
+
+  /**
+   * Persist state after an operation (no-op in memory)
+   */
+  persist() {}
+
+  /**
+   * Get (and lazily create) a collection
+   * @param {string} collection - Collection name (users, transactions, ...)
+   * @returns {Array} Collection records
+   */
+  getCollection(collection) {
+    if (!Array.isArray(this.data[collection])) {
+      this.data[collection] = [];
+    }
+    return this.data[collection];
+  }
+
+  /**
+   * Build a persisted record from seed data
+   * Keeps a caller-supplied id so factories can track what they created
+   */
+  buildRecord(collection, data) {
+    const prefix = ID_PREFIXES[collection] || collection;
+    const now = new Date().toISOString();
+
+    return {
+      ...data,
+      id: data.id || `${prefix}-${crypto.randomUUID()}`,
+      createdAt: data.createdAt || now,
+      modifiedAt: now,
+    };
+  }
+
+  /**
+   * Create an entity
+   * @param {string} collection - Collection name
+   * @param {Object} data - Entity data
+   * @returns {Promise<Object>} Persisted entity
+   */
+  async create(collection, data = {}) {
+    this.load();
+
+    const records = this.getCollection(collection);
+    const record = this.buildRecord(collection, data);
+
+    if (records.some((existing) => existing.id === record.id)) {
+      throw new Error(`${collection} entity '${record.id}' already exists`);
+    }
+
+    records.push(record);
+    this.persist();
+
+    return record;
+  }
+
+  /**
+   * Find entities whose fields equal the filter values
+   * @param {string} collection - Collection name
+   * @param {Object} filter - Field values to match (compared as strings)
+   * @returns {Promise<Array>} Matching entities
+   */
+  async find(collection, filter = {}) {
+    this.load();
+
+    const filters = Object.entries(filter);
+
+    return this.getCollection(collection).filter((record) =>
+      filters.every(([key, value]) => String(record[key]) === String(value)),
+    );
+  }
+
+  /**
+   * Delete a single entity
+   * @param {string} collection - Collection name
+   * @param {string} id - Entity ID
+   * @returns {Promise<boolean>} Whether an entity was deleted
+   */
+  async remove(collection, id) {
+    this.load();
+
+    const records = this.getCollection(collection);
+    const index = records.findIndex((record) => record.id === id);
+
+    if (index === -1) {
+      return false;
+    }
+
+    records.splice(index, 1);
+    this.persist();
+
+    return true;
+  }
+
+  /**
+   * Delete every entity tagged with a namespace
+   * @param {string} namespace - Test namespace
+   * @returns {Promise<number>} Number of deleted entities
+   */
+  async removeByNamespace(namespace) {
+    this.load();
+
+    let deleted = 0;
+
+    Object.keys(this.data).forEach((collection) => {
+      const records = this.getCollection(collection);
+      const kept = records.filter((record) => record.namespace !== namespace);
+      deleted += records.length - kept.length;
+      this.data[collection] = kept;
+    });
+
+    this.persist();
+
+    return deleted;
+  }
+
+  /**
+   * Reset all collections to an empty state
+   * @returns {Promise<void>}
+   */
+  async reset() {
+    this.data = {};
+    this.persist();
+  }
+}
+
+module.exports = {
+  MemorySeedAdapter,
+  ID_PREFIXES,
+};
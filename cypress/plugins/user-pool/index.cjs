@@ -0,0 +1,325 @@
+/**
+ * Cross-Worker User Lease Pool
+ *
+ * Hands out fixture users exclusively across parallel Cypress processes on the
+ * same host (shards from scripts/shard-tests.js, WORKER_ID workers). Leases are
+ * kept in one JSON file, guarded by an exclusive lock file that records its
+ * holder (leases.json.lock, "<pid>:<token>"):
+ *
+ *   <dir>/leases.json
+ *   {
+ *     "leases": {
+ *       "standard.user": {
+ *         "leaseId": "...", "role": "standard", "holder": "<runId>",
+ *         "workerId": "1", "hostname": "ci-runner", "pid": 4242,
+ *         "spec": "cypress/e2e/transfer.cy.js",
+ *         "leasedAt": "...", "expiresAt": "..."
+ *       }
+ *     }
+ *   }
+ *
+ * A lease ends when its holder releases it (after every spec), when it expires,
+ * or when the holding process on this host is no longer running.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isRunActive } = require('../cleanup-ledger/index.cjs');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Pick the users a pool can lease from a users fixture: keyed, active users
+ * with credentials and a role (lists such as testUsers are not pooled)
+ * @param {Object} users - Users fixture (environment overlay applied)
+ * @returns {Array<Object>} Leasable users
+ */
+function poolCandidates(users) {
+  return Object.values(users).filter(
+    (user) =>
+      user &&
+      !Array.isArray(user) &&
+      user.username &&
+      user.password &&
+      user.role &&
+      (user.status || 'active') === 'active',
+  );
+}
+
+class UserLeasePool {
+  /**
+   * @param {Object} options - Pool options
+   * @param {string} options.dir - Directory holding leases.json and its lock
+   * @param {string} options.holder - Id of this process's leases (the run id)
+   * @param {number} options.ttl - Lease lifetime in milliseconds (default: 15 minutes)
+   * @param {number} options.staleLockMs - Age after which a lock file is broken (default: 10s)
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), 'user-leases');
+    this.holder = options.holder || `${os.hostname()}_${process.pid}`;
+    this.ttl = options.ttl || 15 * 60 * 1000;
+    this.staleLockMs = options.staleLockMs || 10000;
+    this.file = path.join(this.dir, 'leases.json');
+    this.lockFile = `${this.file}.lock`;
+  }
+
+  /**
+   * Run a function while holding the lock file
+   * The lock file holds this holder's pid and a random token, so only the
+   * holder that created it removes it.
+   * @param {Function} fn - Receives the leases map and may modify it
+   * @returns {Promise<*>} Result of fn
+   */
+  async withLock(fn) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+    const deadline = Date.now() + this.staleLockMs * 2;
+    let fd = null;
+
+    while (fd === null) {
+      try {
+        fd = fs.openSync(this.lockFile, 'wx');
+        fs.writeSync(fd, token);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+
+        // A holder that crashed while locked leaves the lock file behind
+        if (this.breakStaleLock()) {
+          continue;
+        }
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for user lease lock ${this.lockFile}`);
+        }
+        await sleep(25 + Math.floor(Math.random() * 25));
+      }
+    }
+
+    try {
+      const leases = this.read();
+      const result = await fn(leases);
+      this.write(leases);
+      return result;
+    } finally {
+      fs.closeSync(fd);
+
+      const lock = this.readLock(this.lockFile);
+      if (lock && lock.token === token) {
+        fs.unlinkSync(this.lockFile);
+      }
+    }
+  }
+
+  /**
+   * Read a lock file
+   * @param {string} file - Lock file
+   * @returns {Object|null} { token, mtimeMs }, or null when there is no such file
+   */
+  readLock(file) {
+    try {
+      return { token: fs.readFileSync(file, 'utf8'), mtimeMs: fs.statSync(file).mtimeMs };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Break the lock file when it is older than staleLockMs
+   * The lock is renamed away first, which only one waiter can do, and then
+   * checked to be the one judged stale: a lock another holder took in the
+   * meantime is put back instead of removed.
+   * @returns {boolean} Whether the lock is gone (broken, or released meanwhile)
+   */
+  breakStaleLock() {
+    const lock = this.readLock(this.lockFile);
+
+    if (!lock) {
+      return true;
+    }
+
+    if (Date.now() - lock.mtimeMs <= this.staleLockMs) {
+      return false;
+    }
+
+    const moved = `${this.lockFile}.${process.pid}.${crypto.randomUUID()}.stale`;
+
+    try {
+      fs.renameSync(this.lockFile, moved);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return true;
+      }
+      throw error;
+    }
+
+    const movedLock = this.readLock(moved);
+
+    if (movedLock && movedLock.token !== lock.token) {
+      try {
+        fs.linkSync(moved, this.lockFile);
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+      fs.unlinkSync(moved);
+      return false;
+    }
+
+    if (movedLock) {
+      fs.unlinkSync(moved);
+    }
+    return true;
+  }
+
+  /**
+   * Read current leases
+   * @returns {Object} Leases by username
+   */
+  read() {
+    if (!fs.existsSync(this.file)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(this.file, 'utf8')).leases || {};
+    } catch (error) {
+      console.log(`[User Pool] Ignoring unreadable lease file ${this.file}: ${error.message}`);
+      return {};
+    }
+  }
+
+  /**
+   * Write leases (atomically, through a temp file)
+   * @param {Object} leases - Leases by username
+   */
+  write(leases) {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ leases }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+
+  /**
+   * Check whether a lease still holds its user
+   * @param {Object} lease - Lease entry
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} Whether the lease is active
+   */
+  isLeaseActive(lease, now = Date.now()) {
+    if (new Date(lease.expiresAt).getTime() <= now) {
+      return false;
+    }
+
+    if (lease.hostname !== os.hostname() || lease.pid === process.pid) {
+      return true;
+    }
+
+    return isRunActive(lease);
+  }
+
+  /**
+   * Lease a free user with the given role, waiting for one to be released
+   * @param {Object} options - Lease options
+   * @param {string} options.role - Role to lease
+   * @param {Array<Object>} options.candidates - Users to lease from (see poolCandidates)
+   * @param {string} options.spec - Spec requesting the lease (for diagnostics)
+   * @param {number} options.wait - How long to wait for a free user in milliseconds (default: 30s)
+   * @param {number} options.pollInterval - Delay between attempts in milliseconds (default: 250)
+   * @returns {Promise<Object|null>} Leased user plus { leaseId, expiresAt }, or null when none became free
+   */
+  async acquire({ role, candidates, spec = null, wait = 30000, pollInterval = 250 }) {
+    const users = candidates.filter((user) => user.role === role);
+
+    if (users.length === 0) {
+      throw new Error(`No users with role '${role}' to lease`);
+    }
+
+    const deadline = Date.now() + wait;
+
+    for (;;) {
+      const lease = await this.withLock((leases) => {
+        const now = Date.now();
+
+        // This holder keeps the user it already leased for the role
+        const held = users.find((user) => {
+          const existing = leases[user.username];
+          return existing && existing.holder === this.holder && this.isLeaseActive(existing, now);
+        });
+        const user = held || users.find((candidate) => {
+          const existing = leases[candidate.username];
+          return !existing || !this.isLeaseActive(existing, now);
+        });
+
+        if (!user) {
+          return null;
+        }
+
+        leases[user.username] = {
+          leaseId: held ? leases[user.username].leaseId : crypto.randomUUID(),
+          role,
+          holder: this.holder,
+          workerId: process.env.WORKER_ID || '0',
+          hostname: os.hostname(),
+          pid: process.pid,
+          spec,
+          leasedAt: held ? leases[user.username].leasedAt : new Date(now).toISOString(),
+          expiresAt: new Date(now + this.ttl).toISOString(),
+        };
+
+        return { ...user, leaseId: leases[user.username].leaseId, expiresAt: leases[user.username].expiresAt };
+      });
+
+      if (lease || Date.now() >= deadline) {
+        return lease;
+      }
+
+      await sleep(pollInterval);
+    }
+  }
+
+  /**
+   * Release leases held by this holder
+   * @param {Array<string>} usernames - Users to release (default: all of this holder's)
+   * @returns {Promise<Array<string>>} Released usernames
+   */
+  async release(usernames = null) {
+    return this.withLock((leases) => {
+      const released = Object.keys(leases).filter(
+        (username) =>
+          leases[username].holder === this.holder && (!usernames || usernames.includes(username)),
+      );
+
+      released.forEach((username) => {
+        delete leases[username];
+      });
+
+      return released;
+    });
+  }
+
+  /**
+   * Describe who holds the users of a role (for exhaustion errors)
+   * @param {string} role - Role
+   * @returns {Array<Object>} [{ username, workerId, spec, expiresAt }]
+   */
+  holders(role) {
+    const now = Date.now();
+
+    return Object.entries(this.read())
+      .filter(([, lease]) => lease.role === role && this.isLeaseActive(lease, now))
+      .map(([username, { workerId, spec, expiresAt }]) => ({ username, workerId, spec, expiresAt }));
+  }
+}
+
+module.exports = {
+  UserLeasePool,
+  poolCandidates,
+};
@@ -0,0 +1,159 @@
+/**
+ * User Lease Pool Tests (npm run test:plugins)
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UserLeasePool, poolCandidates } = require('./index.cjs');
+
+const users = {
+  standard: { username: 'standard.user', password: 'Password123!', role: 'standard' },
+  standard2: { username: 'standard.user2', password: 'Password123!', role: 'standard' },
+  admin: { username: 'admin.user', password: 'Password123!', role: 'admin' },
+  suspended: { username: 'suspended.user', password: 'Password123!', role: 'standard', status: 'suspended' },
+  noPassword: { username: 'sso.user', role: 'standard' },
+  testUsers: [{ username: 'list.user', password: 'Password123!', role: 'standard' }],
+};
+
+describe('poolCandidates', () => {
+  it('keeps keyed, active users with credentials and a role', () => {
+    assert.deepStrictEqual(
+      poolCandidates(users).map(({ username }) => username),
+      ['standard.user', 'standard.user2', 'admin.user'],
+    );
+  });
+});
+
+describe('UserLeasePool', () => {
+  const candidates = poolCandidates(users);
+  let dir;
+
+  const pool = (holder, options = {}) => new UserLeasePool({ dir, holder, ...options });
+  const writeLock = (token, ageMs) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const lockFile = path.join(dir, 'leases.json.lock');
+    fs.writeFileSync(lockFile, token);
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(lockFile, time, time);
+    return lockFile;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-pool-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('leases each user to one holder at a time', async () => {
+    const first = await pool('run-a').acquire({ role: 'standard', candidates, spec: 'a.cy.js' });
+    const second = await pool('run-b').acquire({ role: 'standard', candidates, spec: 'b.cy.js' });
+    const third = await pool('run-c').acquire({ role: 'standard', candidates, wait: 0 });
+
+    assert.strictEqual(first.username, 'standard.user');
+    assert.strictEqual(second.username, 'standard.user2');
+    assert.ok(first.leaseId && first.expiresAt);
+    assert.strictEqual(third, null);
+    assert.deepStrictEqual(
+      pool('run-c').holders('standard').map(({ username, spec }) => [username, spec]),
+      [['standard.user', 'a.cy.js'], ['standard.user2', 'b.cy.js']],
+    );
+  });
+
+  it('gives a holder back the user it already leased for the role', async () => {
+    const first = await pool('run-a').acquire({ role: 'standard', candidates });
+    const again = await pool('run-a').acquire({ role: 'standard', candidates });
+
+    assert.strictEqual(again.username, first.username);
+    assert.strictEqual(again.leaseId, first.leaseId);
+  });
+
+  it('frees a user when its holder releases it', async () => {
+    await pool('run-a').acquire({ role: 'admin', candidates });
+    assert.strictEqual(await pool('run-b').acquire({ role: 'admin', candidates, wait: 0 }), null);
+
+    assert.deepStrictEqual(await pool('run-b').release(), []);
+    assert.deepStrictEqual(await pool('run-a').release(), ['admin.user']);
+    assert.strictEqual((await pool('run-b').acquire({ role: 'admin', candidates, wait: 0 })).username, 'admin.user');
+  });
+
+  it('waits for a user to be released', async () => {
+    await pool('run-a').acquire({ role: 'admin', candidates });
+
+    const waiting = pool('run-b').acquire({ role: 'admin', candidates, wait: 2000, pollInterval: 20 });
+    setTimeout(() => pool('run-a').release(), 100);
+
+    assert.strictEqual((await waiting).username, 'admin.user');
+  });
+
+  it('hands out users whose lease expired', async () => {
+    await pool('run-a', { ttl: 1 }).acquire({ role: 'admin', candidates });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    assert.strictEqual((await pool('run-b').acquire({ role: 'admin', candidates, wait: 0 })).username, 'admin.user');
+  });
+
+  it('hands out users leased by a process on this host that has exited', async () => {
+    const leases = {
+      'admin.user': {
+        leaseId: 'lease-1',
+        role: 'admin',
+        holder: 'crashed-run',
+        hostname: os.hostname(),
+        pid: 2 ** 22 + 1,
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+      },
+    };
+    fs.writeFileSync(path.join(dir, 'leases.json'), JSON.stringify({ leases }));
+
+    assert.strictEqual((await pool('run-b').acquire({ role: 'admin', candidates, wait: 0 })).username, 'admin.user');
+  });
+
+  it('rejects a role no user has', async () => {
+    await assert.rejects(
+      pool('run-a').acquire({ role: 'auditor', candidates }),
+      /No users with role 'auditor' to lease/,
+    );
+  });
+
+  it('removes only its own lock file', async () => {
+    const owner = pool('run-a');
+    let lockToken;
+
+    await owner.withLock(() => {
+      lockToken = fs.readFileSync(owner.lockFile, 'utf8');
+      // Another holder judged this lock stale and replaced it
+      fs.writeFileSync(owner.lockFile, 'other:token');
+    });
+
+    assert.match(lockToken, new RegExp(`^${process.pid}:`));
+    assert.strictEqual(fs.readFileSync(owner.lockFile, 'utf8'), 'other:token');
+  });
+
+  it('breaks a stale lock left by a crashed holder', async () => {
+    const lockFile = writeLock('4242:crashed', 60000);
+
+    assert.strictEqual((await pool('run-a').acquire({ role: 'admin', candidates })).username, 'admin.user');
+    assert.ok(!fs.existsSync(lockFile));
+    assert.deepStrictEqual(fs.readdirSync(dir), ['leases.json']);
+  });
+
+  it('keeps a lock that is not stale yet', () => {
+    const lockFile = writeLock('4242:busy', 0);
+
+    assert.strictEqual(pool('run-a').breakStaleLock(), false);
+    assert.strictEqual(fs.readFileSync(lockFile, 'utf8'), '4242:busy');
+  });
+
+  it('waits for a lock and breaks it once it turns stale', async () => {
+    const lockFile = writeLock('4242:busy', 0);
+    const startedAt = Date.now();
+
+    assert.strictEqual(await pool('run-a', { staleLockMs: 50 }).withLock(() => 'locked'), 'locked');
+    assert.ok(Date.now() - startedAt >= 50);
+    assert.ok(!fs.existsSync(lockFile));
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * World File Loader
+ *
+ * Reads scenario world files for the loadWorld task. A world named
+ * 'overdrawn-premium' is looked up as overdrawn-premium.yml, .yaml or .json
+ * in the worlds folder (config.env.worldsFolder, default cypress/worlds).
+ * Planning and seeding happen in the browser (src/utils/world.js, cy.seedWorld).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const EXTENSIONS = ['.yml', '.yaml', '.json'];
+
+/**
+ * Load and parse a world file
+ * @param {string} name - World name (file name without extension)
+ * @param {string} folder - Worlds folder
+ * @returns {Object} Parsed world ({ [collection]: { [key]: entity } })
+ */
+function loadWorld(name, folder) {
+  const file = EXTENSIONS.map((extension) => path.join(folder, `${name}${extension}`)).find(
+    (candidate) => fs.existsSync(candidate),
+  );
+
+  if (!file) {
+    const entries = fs.existsSync(folder) ? fs.readdirSync(folder) : [];
+    const available = entries
+      .filter((entry) => EXTENSIONS.includes(path.extname(entry)))
+      .map((entry) => path.basename(entry, path.extname(entry)));
+    throw new Error(
+      `World '${name}' not found in ${folder}. Available worlds: ${available.join(', ') || 'none'}`,
+    );
+  }
+
+  const content = fs.readFileSync(file, 'utf8');
+  const world = file.endsWith('.json') ? JSON.parse(content) : yaml.load(content);
+
+  if (!world || typeof world !== 'object' || Array.isArray(world)) {
+    throw new Error(`World file ${file} must contain a mapping of collections to entities`);
+  }
+
+  return world;
+}
+
+module.exports = {
+  loadWorld,
+};
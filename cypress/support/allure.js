@@ -16,6 +16,7 @@ before(() => {
     'Node Version': Cypress.version,
     'CI': Cypress.env('CI') || 'false',
     'Environment': Cypress.env('environment') || 'development',
+    'Data Seed': Cypress.env('dataSeed'),
   };
 
   // Add environment info to Allure
@@ -3,6 +3,28 @@
 // Reusable commands for common flows and interactions
 // ***********************************************
 
+import SeedFactory from '../../src/utils/data-factory';
+import { decodeJwt } from '../../src/utils/jwt';
+import LoginPage from '../../src/pages/LoginPage';
+import { isLogicalSelector, getSelectorCandidates } from '../../src/utils/selector-registry';
+import '../../src/utils/selector-definitions';
+import {
+  fingerprintKey,
+  getFingerprint,
+  recordFingerprint,
+  findHealingCandidate,
+  suggestSelector,
+  recordHeal,
+} from '../../src/utils/self-healing';
+import { SELECTOR_STRATEGY } from './test-config';
+import { validateSession, sessionCacheKey } from '../../src/utils/session-strategies';
+import {
+  resolveApiLoginUser,
+  requestApiLogin,
+  refreshAuthToken,
+  authorizedRequest,
+} from '../../src/utils/api-auth';
+
 // ===== Selector Helper Commands =====
 
 /**
@@ -21,28 +43,178 @@ Cypress.Commands.add('getByCy', (selector) => {
   return cy.get(`[data-cy="${selector}"]`);
 });
 
+/**
+ * Find an element by its logical name in the selector registry
+ * Candidates are tried in SELECTOR_STRATEGY.preferredAttributes order and the
+ * first one present in the page is yielded; like cy.get, it retries until the
+ * element appears (or, for should('not.exist'), until none does). Chained off
+ * a subject it only searches inside it. Anything that is not a registered name
+ * goes to Cypress's own find, which this overwrites (find is a built-in query).
+ * @example cy.find('dashboard.balance').should('contain', '$')
+ * @example cy.get('[data-test="sidenav"]').find('sidenav.signOut').click()
+ */
+Cypress.Commands.overwriteQuery('find', function find(originalFn, selector, options = {}) {
+  if (!isLogicalSelector(selector)) {
+    return originalFn.call(this, selector, options);
+  }
+
+  const candidates = getSelectorCandidates(selector);
+  const timeout = options.timeout || SELECTOR_STRATEGY.timeout;
+  const log = options.log !== false && Cypress.log({ name: 'find', message: selector, timeout });
+
+  this.set('timeout', timeout);
+
+  return (subject) => {
+    const scope = subject && subject.jquery ? subject : null;
+    const query = (candidate) => (scope ? scope.find(candidate) : cy.$$(candidate));
+    const resolved = candidates.find((candidate) => query(candidate).length > 0);
+    const $el = query(resolved || candidates.join(', '));
+
+    if (log) {
+      log.set({
+        $el,
+        consoleProps: () => ({
+          Name: selector,
+          Candidates: candidates,
+          Resolved: resolved || '(none present)',
+          Yielded: $el.toArray(),
+          Elements: $el.length,
+        }),
+      });
+    }
+
+    return $el;
+  };
+});
+
+/**
+ * Get an element by CSS selector, healing the lookup when the selector breaks
+ * Used by the page objects when self-healing is on (SELF_HEALING=true). Every
+ * match stores a fingerprint of the element; when the selector then finds
+ * nothing for half the timeout, the element matching the fingerprint best is
+ * yielded instead and the heal is logged and added to the healing report.
+ * Chained off a subject it only searches inside it.
+ * @param {string} selector - CSS selector
+ * @param {Object} options - Cypress get options, plus:
+ * @param {string} options.owner - Page object or component class that owns the selector
+ * @param {string} options.name - Key of the selector in the owner's selectors map
+ * @param {boolean} options.heal - Allow healing (default: true; fingerprints are stored either way)
+ * @example cy.locate('[data-test="signin-submit"]', { owner: 'LoginPage', name: 'submitButton' })
+ */
+Cypress.Commands.addQuery('locate', function locate(selector, options = {}) {
+  const { owner = null, name = null, heal = true } = options;
+  const timeout = options.timeout || Cypress.config('defaultCommandTimeout');
+  const key = fingerprintKey(owner, selector);
+  const started = Date.now();
+  const log = options.log !== false && Cypress.log({ name: 'locate', message: selector, timeout });
+  let healed = null;
+
+  this.set('timeout', timeout);
+
+  return (subject) => {
+    const scope = subject && subject.jquery ? subject : null;
+    const $el = scope ? scope.find(selector) : cy.$$(selector);
+    const fingerprint = getFingerprint(key);
+
+    if ($el.length > 0) {
+      recordFingerprint(key, $el[0]);
+    } else if (!healed && heal && fingerprint && Date.now() - started >= timeout / 2) {
+      const candidate = findHealingCandidate(fingerprint, scope || cy.$$('body'));
+
+      if (candidate) {
+        healed = { ...candidate, suggested: suggestSelector(candidate.element) };
+        recordHeal({
+          owner,
+          name,
+          selector,
+          suggested: healed.suggested,
+          score: Number(healed.score.toFixed(2)),
+          text: fingerprint.text,
+        });
+        Cypress.log({
+          name: 'self-healed',
+          message: `${owner ? `${owner}.${name || selector}` : selector} -> ${healed.suggested}`,
+          $el: Cypress.$(healed.element),
+          consoleProps: () => ({
+            Owner: owner,
+            Selector: name,
+            Broken: selector,
+            Suggested: healed.suggested,
+            Score: healed.score,
+            Fingerprint: fingerprint,
+          }),
+        });
+      }
+    }
+
+    const $result = $el.length > 0 || !healed ? $el : Cypress.$(healed.element);
+
+    if (log) {
+      log.set({
+        $el: $result,
+        consoleProps: () => ({
+          Selector: selector,
+          Owner: owner,
+          Healed: healed ? healed.suggested : false,
+          Yielded: $result.toArray(),
+          Elements: $result.length,
+        }),
+      });
+    }
+
+    return $result;
+  };
+});
+
 // ===== Authentication Commands =====
 
+/**
+ * Find the TOTP secret for a user: the one given, TEST_TOTP_SECRET for the
+ * TEST_USERNAME user, otherwise totpSecret from the users fixture
+ * @returns {Cypress.Chainable} Secret, or null for users without MFA
+ */
+const resolveTotpSecret = (username, totpSecret) => {
+  if (totpSecret || username === Cypress.env('username')) {
+    return cy.wrap(totpSecret || Cypress.env('totpSecret') || null, { log: false });
+  }
+
+  return cy.envFixture('users').then((users) => {
+    const user = Object.values(users).find((candidate) => candidate && candidate.username === username);
+    return (user && user.totpSecret) || null;
+  });
+};
+
 /**
  * Custom command to log in a user with session management
+ * An MFA challenge after the password step is answered with a TOTP code
+ * (see LoginPage.completeMfa). The cached session is checked with the
+ * sessionStrategy strategies (see src/utils/session-strategies.js) and is only
+ * reused for the same environment and baseUrl.
  * @param {string} username - Username or email
  * @param {string} password - Password
+ * @param {Object} options - Options
+ * @param {string} options.totpSecret - TOTP secret (default: looked up for the user)
+ * @param {string} options.sessionStrategy - Strategies to validate with, e.g. 'localStorage,whoami' (default: sessionStrategy env)
  * @example cy.login('testuser', 'password123')
+ * @example cy.createEphemeralUser({ mfa: true }).then((user) => cy.login(user.username, user.password, { totpSecret: user.totpSecret }))
  */
-Cypress.Commands.add('login', (username, password) => {
+Cypress.Commands.add('login', (username, password, options = {}) => {
+  Cypress.env('currentUser', username);
   cy.session(
-    [username, password],
+    sessionCacheKey('login', username, password),
     () => {
       cy.visit('/login');
       cy.getByTestId('username').type(username);
       cy.getByTestId('password').type(password);
       cy.getByTestId('signin-submit').click();
+      resolveTotpSecret(username, options.totpSecret).then((secret) => {
+        new LoginPage().completeMfaIfPrompted(secret);
+      });
       cy.url().should('include', '/dashboard');
     },
     {
       validate() {
-        // Validate session is still valid
-        cy.getCookie('session').should('exist');
+        return validateSession(options.sessionStrategy);
       },
       cacheAcrossSpecs: true,
     }
@@ -55,9 +227,9 @@ Cypress.Commands.add('login', (username, password) => {
  * @example cy.loginWithFixture('validUser')
  */
 Cypress.Commands.add('loginWithFixture', (userType = 'validUser') => {
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     const user = users[userType];
-    cy.login(user.username, user.password);
+    cy.login(user.username, user.password, { totpSecret: user.totpSecret });
   });
 });
 
@@ -71,6 +243,399 @@ Cypress.Commands.add('loginUser', () => {
   cy.login(username, password);
 });
 
+/**
+ * Log in through the API instead of the UI form
+ * The session is cached per role (or username) with cy.session; the token is
+ * set where the app reads it (the authSessionCookie cookie and the authTokenKey
+ * localStorage entry), kept in Cypress.env('authToken') and shared through the
+ * Node-side token store (cy.getAuthToken). cy.apiRequest then sends it and
+ * refreshes it before it expires.
+ * @param {Object} options - Options
+ * @param {string} options.role - Role of a users.json user (e.g. 'premium')
+ * @param {string} options.username - Username (password from users.json unless given)
+ * @param {string} options.password - Password
+ * @example cy.loginByApi({ role: 'admin' }); cy.visit('/dashboard')
+ * @example cy.loginByApi().then(({ token, userId }) => ...)
+ */
+Cypress.Commands.add('loginByApi', (options = {}) => {
+  const sessionCookie = Cypress.env('authSessionCookie');
+  const tokenKey = Cypress.env('authTokenKey');
+
+  return resolveApiLoginUser(options).then(({ key, username, password, role }) => {
+    cy.session(
+      sessionCacheKey('loginByApi', key),
+      () => {
+        requestApiLogin({ key, username, password, role }).then(({ token }) => {
+          if (sessionCookie) {
+            cy.setCookie(sessionCookie, token, {
+              domain: new URL(Cypress.config('baseUrl')).hostname,
+              log: false,
+            });
+          }
+        });
+      },
+      {
+        validate() {
+          // The cached session is only usable while its token is in the store
+          return cy.task('getAuthToken', key, { log: false }).then(Boolean);
+        },
+        cacheAcrossSpecs: true,
+      },
+    );
+
+    return cy.task('getAuthToken', key, { log: false }).then((auth) => {
+      Cypress.env('authKey', key);
+      Cypress.env('authToken', auth.token);
+      Cypress.env('currentUser', auth.username);
+
+      // Reads the token at load time, so cy.asUser switches apply to later visits
+      if (tokenKey) {
+        cy.on('window:before:load', (win) => {
+          if (Cypress.env('authToken')) {
+            win.localStorage.setItem(tokenKey, Cypress.env('authToken'));
+          }
+        });
+      }
+
+      Cypress.log({
+        name: 'loginByApi',
+        message: `${auth.username}${role ? ` (${role})` : ''}`,
+        consoleProps: () => ({ Key: key, Username: auth.username, UserId: auth.userId }),
+      });
+
+      return auth;
+    });
+  });
+});
+
+/**
+ * Get a token stored by cy.loginByApi
+ * @param {string} key - Role or username it was stored under (default: TEST_USERNAME)
+ * @example cy.getAuthToken('admin').then(({ token }) => cy.request({ headers: { Authorization: `Bearer ${token}` }, ... }))
+ */
+Cypress.Commands.add('getAuthToken', (key = Cypress.env('username') || 'testuser') => {
+  return cy.task('getAuthToken', key, { log: false }).then((auth) => {
+    if (!auth) {
+      throw new Error(`No API session for '${key}'. Call cy.loginByApi() first.`);
+    }
+    return auth;
+  });
+});
+
+/**
+ * Send an API request as the current API session (see src/utils/api-auth.js)
+ * The token is refreshed shortly before it expires, and a 401 is answered with
+ * one refresh and retry; refreshes show as "auth refresh" in the command log.
+ * @param {Object} options - cy.request options, plus session: the cy.loginByApi key to use
+ * @example cy.apiRequest({ method: 'POST', url: `${Cypress.env('apiUrl')}/orders`, body: order })
+ * @example cy.apiRequest({ url: `${Cypress.env('apiUrl')}/users`, session: 'admin' })
+ */
+Cypress.Commands.add('apiRequest', (options) => {
+  return authorizedRequest(options);
+});
+
+/**
+ * Refresh an API session's token now
+ * @param {string} key - Session key (default: the current cy.loginByApi session)
+ * @example cy.refreshAuthToken('admin')
+ */
+Cypress.Commands.add('refreshAuthToken', (key = Cypress.env('authKey')) => {
+  return refreshAuthToken(key);
+});
+
+/**
+ * Get an OIDC code for a user without the login form (prompt=none + login_hint,
+ * as when the identity provider already has a session) and exchange it for tokens
+ * @returns {Cypress.Chainable} Token response { id_token, access_token, expires_in, ... }
+ */
+const requestSsoTokens = ({ issuer, clientId, redirectUri, username }) => {
+  const state = Math.random().toString(36).slice(2);
+
+  return cy
+    .request({
+      url: `${issuer}/authorize`,
+      qs: {
+        response_type: 'code',
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        scope: 'openid profile email',
+        state,
+        nonce: Math.random().toString(36).slice(2),
+        prompt: 'none',
+        login_hint: username,
+      },
+      followRedirect: false,
+      log: false,
+    })
+    .then((response) => {
+      const callback = new URL(response.redirectedToUrl || response.headers.location);
+      const error = callback.searchParams.get('error');
+
+      if (error || callback.searchParams.get('state') !== state) {
+        throw new Error(`SSO authorize for '${username}' failed: ${error || 'state mismatch'}`);
+      }
+
+      return cy.request({
+        method: 'POST',
+        url: `${issuer}/token`,
+        form: true,
+        body: {
+          grant_type: 'authorization_code',
+          code: callback.searchParams.get('code'),
+          client_id: clientId,
+          redirect_uri: redirectUri,
+        },
+        log: false,
+      });
+    })
+    .its('body', { log: false });
+};
+
+/**
+ * Log in through the SSO identity provider (OIDC authorization code flow)
+ * Modes:
+ *   - token:    fetch tokens from the provider with cy.request and inject them
+ *               where the app's OIDC client keeps them (sessionStorage
+ *               oidc.user:<issuer>:<clientId>, plus the authTokenKey entry)
+ *   - redirect: visit ssoStartPath, sign in on the provider's page and follow
+ *               the redirect back to the app
+ * Sessions are cached per mode and role (or username) with cy.session. Locally,
+ * set MOCK_OIDC=true to start the bundled mock provider at ssoIssuer.
+ * @param {Object} options - Options
+ * @param {string} options.role - Role of a users.json user (e.g. 'manager')
+ * @param {string} options.username - Username (password from users.json unless given)
+ * @param {string} options.password - Password (redirect mode)
+ * @param {string} options.mode - token or redirect (default: ssoMode)
+ * @param {string} options.sessionStrategy - Strategies validating a redirect-mode session (default: sessionStrategy env)
+ * @example cy.loginSso({ role: 'admin' }); cy.visit('/admin')
+ * @example cy.loginSso({ role: 'manager', mode: 'redirect' })
+ */
+Cypress.Commands.add('loginSso', (options = {}) => {
+  const issuer = Cypress.env('ssoIssuer').replace(/\/$/, '');
+  const clientId = Cypress.env('ssoClientId');
+  const mode = options.mode || Cypress.env('ssoMode') || 'token';
+  const baseUrl = Cypress.config('baseUrl');
+  const redirectUri = new URL(Cypress.env('ssoRedirectPath'), baseUrl).toString();
+  const tokenKey = Cypress.env('authTokenKey');
+
+  if (!['token', 'redirect'].includes(mode)) {
+    throw new Error(`Unknown SSO mode '${mode}'. Use one of: token, redirect`);
+  }
+
+  return resolveApiLoginUser(options).then(({ key, username, password, role }) => {
+    const storeKey = `sso:${key}`;
+
+    if (mode === 'redirect') {
+      cy.session(
+        sessionCacheKey('loginSso', mode, key),
+        () => {
+          cy.visit(Cypress.env('ssoStartPath'));
+
+          // Self-contained so cy.origin can run it on the provider's page
+          const signIn = (credentials) => {
+            cy.get('[data-test="sso-username"]').clear();
+            cy.get('[data-test="sso-username"]').type(credentials.username);
+            cy.get('[data-test="sso-password"]').type(credentials.password, { log: false });
+            cy.get('[data-test="sso-submit"]').click();
+          };
+
+          if (new URL(issuer).origin === new URL(baseUrl).origin) {
+            signIn({ username, password });
+          } else {
+            cy.origin(issuer, { args: { username, password } }, signIn);
+          }
+
+          cy.location('origin').should('eq', new URL(baseUrl).origin);
+          cy.location('pathname').should('not.eq', Cypress.env('ssoRedirectPath'));
+        },
+        {
+          validate() {
+            return validateSession(options.sessionStrategy);
+          },
+          cacheAcrossSpecs: true,
+        },
+      );
+
+      Cypress.env('currentUser', username);
+      Cypress.log({ name: 'loginSso', message: `${username}${role ? ` (${role})` : ''} via redirect` });
+
+      return cy.wrap({ key, username, role, mode }, { log: false });
+    }
+
+    cy.session(
+      sessionCacheKey('loginSso', mode, key),
+      () => {
+        requestSsoTokens({ issuer, clientId, redirectUri, username }).then((tokens) => {
+          const profile = decodeJwt(tokens.id_token) || {};
+
+          cy.task(
+            'storeAuthToken',
+            {
+              key: storeKey,
+              username,
+              role: profile.role || role,
+              token: tokens.access_token,
+              idToken: tokens.id_token,
+              userId: profile.sub,
+              user: profile,
+              scope: tokens.scope,
+              expiresAt: new Date(Date.now() + tokens.expires_in * 1000).toISOString(),
+            },
+            { log: false },
+          );
+        });
+      },
+      {
+        validate() {
+          return cy.task('getAuthToken', storeKey, { log: false }).then(Boolean);
+        },
+        cacheAcrossSpecs: true,
+      },
+    );
+
+    return cy.task('getAuthToken', storeKey, { log: false }).then((auth) => {
+      // Same shape oidc-client-ts / react-oidc-context persist after a callback
+      const oidcUser = JSON.stringify({
+        id_token: auth.idToken,
+        access_token: auth.token,
+        token_type: 'Bearer',
+        scope: auth.scope,
+        profile: auth.user,
+        expires_at: Math.floor(new Date(auth.expiresAt).getTime() / 1000),
+      });
+
+      Cypress.env('authToken', auth.token);
+      Cypress.env('currentUser', auth.username);
+
+      cy.on('window:before:load', (win) => {
+        if (Cypress.env('currentUser') !== auth.username) {
+          return;
+        }
+        win.sessionStorage.setItem(`oidc.user:${issuer}:${clientId}`, oidcUser);
+        if (tokenKey) {
+          win.localStorage.setItem(tokenKey, auth.token);
+        }
+      });
+
+      Cypress.log({
+        name: 'loginSso',
+        message: `${auth.username}${auth.role ? ` (${auth.role})` : ''} via token`,
+        consoleProps: () => ({ Issuer: issuer, ClientId: clientId, Key: storeKey, Claims: auth.user }),
+      });
+
+      return auth;
+    });
+  });
+});
+
+/**
+ * Copy a Storage object into a plain object
+ */
+const readStorage = (storage) =>
+  Object.fromEntries(Object.keys(storage).map((name) => [name, storage.getItem(name)]));
+
+/**
+ * Capture the current user's cookies, storage, page and API token
+ * @returns {Cypress.Chainable} Browser state for restoreBrowserState
+ */
+const snapshotBrowserState = () =>
+  cy.getAllCookies({ log: false }).then((cookies) =>
+    cy.window({ log: false }).then((win) => {
+      let storage = { localStorage: {}, sessionStorage: {} };
+
+      // about:blank has no storage of its own
+      try {
+        storage = {
+          localStorage: readStorage(win.localStorage),
+          sessionStorage: readStorage(win.sessionStorage),
+        };
+      } catch (error) {
+        // nothing to save
+      }
+
+      return {
+        cookies,
+        url: win.location.href,
+        ...storage,
+        authKey: Cypress.env('authKey'),
+        authToken: Cypress.env('authToken'),
+        currentUser: Cypress.env('currentUser'),
+      };
+    }),
+  );
+
+/**
+ * Put back state captured by snapshotBrowserState
+ * The page is reloaded with the saved storage when one was open.
+ */
+const restoreBrowserState = (state) => {
+  cy.clearAllCookies({ log: false });
+  cy.clearAllLocalStorage({ log: false });
+  cy.clearAllSessionStorage({ log: false });
+
+  state.cookies.forEach(({ name, value, domain, path, secure, httpOnly, expiry, sameSite }) => {
+    cy.setCookie(name, value, { domain, path, secure, httpOnly, expiry, sameSite, log: false });
+  });
+
+  Cypress.env('authKey', state.authKey);
+  Cypress.env('authToken', state.authToken);
+  Cypress.env('currentUser', state.currentUser);
+
+  if (/^https?:/.test(state.url)) {
+    cy.visit(state.url, {
+      log: false,
+      onBeforeLoad(win) {
+        Object.entries(state.localStorage).forEach(([name, value]) => win.localStorage.setItem(name, value));
+        Object.entries(state.sessionStorage).forEach(([name, value]) =>
+          win.sessionStorage.setItem(name, value),
+        );
+      },
+    });
+  }
+};
+
+/**
+ * Run commands as another user, then switch back
+ * Saves the current user's cookies, storage and API token, logs in as the other
+ * user with cy.loginByApi (cached per role), runs the callback and restores the
+ * saved state (reloading the page that was open). Commands run inside the
+ * callback are grouped under "as <username>" in the command log.
+ * @param {string|Object} user - Role, or cy.loginByApi options ({ role | username })
+ * @param {Function} fn - Callback, receives the other user's session ({ token, userId, ... })
+ * @example cy.asUser('admin', () => { cy.visit('/approvals'); cy.contains('Approve').click(); })
+ */
+Cypress.Commands.add('asUser', (user, fn) => {
+  const options = typeof user === 'string' ? { role: user } : user;
+  let result;
+
+  return snapshotBrowserState().then((previous) => {
+    const group = Cypress.log({
+      name: 'asUser',
+      message: options.role || options.username,
+      groupStart: true,
+      consoleProps: () => ({ User: options, 'Switching from': previous.currentUser }),
+    });
+
+    cy.loginByApi(options).then((auth) => {
+      group.set({ displayName: `as ${auth.username}` });
+      return cy.then(() => fn(auth)).then((value) => {
+        result = value;
+      });
+    });
+
+    cy.then(() => {
+      group.endGroup();
+      restoreBrowserState(previous);
+    });
+
+    cy.then(() => {
+      Cypress.log({ name: 'asUser', message: `back to ${previous.currentUser || 'previous session'}` });
+    });
+
+    return cy.wrap(null, { log: false }).then(() => result);
+  });
+});
+
 /**
  * Logout user
  * @example cy.logout()
@@ -93,7 +658,7 @@ Cypress.Commands.add('logout', () => {
 Cypress.Commands.add('seedData', (endpoint, data) => {
   const apiUrl = Cypress.env('apiUrl') || 'http://localhost:3001';
 
-  cy.request({
+  cy.apiRequest({
     method: 'POST',
     url: `${apiUrl}${endpoint}`,
     body: data,
@@ -154,7 +719,7 @@ Cypress.Commands.add('resetState', () => {
   // Call API to reset database (if available)
   const apiUrl = Cypress.env('apiUrl');
   if (apiUrl) {
-    cy.request({
+    cy.apiRequest({
       method: 'POST',
       url: `${apiUrl}/api/reset`,
       failOnStatusCode: false,
@@ -171,7 +736,7 @@ Cypress.Commands.add('resetUser', (username) => {
   const apiUrl = Cypress.env('apiUrl');
 
   if (apiUrl) {
-    cy.request({
+    cy.apiRequest({
       method: 'POST',
       url: `${apiUrl}/api/users/${username}/reset`,
       failOnStatusCode: false,
@@ -293,6 +858,32 @@ Cypress.Commands.add('takeTimestampedScreenshot', (name) => {
   cy.screenshot(`${name}-${timestamp}`, { capture: 'fullPage' });
 });
 
+/**
+ * Save the current page's HTML for scaffolding a page object
+ * Writes <pageSnapshotDir>/<name>.html; then run
+ * node scripts/scaffold-page.cjs --snapshot <name> --name <Page>
+ * @param {string} name - Snapshot name
+ * @example cy.visit('/signin'); cy.capturePageSnapshot('signin')
+ */
+Cypress.Commands.add('capturePageSnapshot', (name) => {
+  return cy.document({ log: false }).then((doc) =>
+    cy
+      .task(
+        'savePageSnapshot',
+        { name, url: doc.location.href, html: doc.documentElement.outerHTML },
+        { log: false },
+      )
+      .then((saved) => {
+        Cypress.log({
+          name: 'page snapshot',
+          message: `${name}: ${saved.elements} hooked element(s)`,
+          consoleProps: () => ({ File: saved.file, URL: doc.location.href, Elements: saved.elements }),
+        });
+        return saved;
+      }),
+  );
+});
+
 /**
  * Log custom message to Cypress log
  * @param {string} message - Message to log
@@ -314,6 +905,31 @@ Cypress.Commands.add('waitForNetworkIdle', (timeout = 2000) => {
 
 // ===== Test Data Management Commands =====
 
+/**
+ * Load a fixture with the current environment's overlay merged in
+ * cypress/fixtures/<name>.json is the base; cypress/fixtures/<env>/<name>.json
+ * overrides only the keys that differ (deep merge), so every base key still works.
+ * @param {string} name - Fixture name without extension (e.g. 'users')
+ * @param {Object} options - Options
+ * @param {string} options.environment - Environment overlay to apply (default: Cypress.env('environment'))
+ * @example cy.envFixture('users').then((users) => cy.login(users.admin.username, users.admin.password))
+ */
+Cypress.Commands.add('envFixture', (name, options = {}) => {
+  const environment = options.environment || Cypress.env('environment');
+
+  return cy
+    .task('loadEnvFixture', { name, environment }, { log: false })
+    .then(({ fixture, layers }) => {
+      Cypress.log({
+        name: 'envFixture',
+        message: `${name} (${environment})`,
+        consoleProps: () => ({ Environment: environment, Layers: layers, Fixture: fixture }),
+      });
+
+      return fixture;
+    });
+});
+
 /**
  * Create test data using seed factory
  * @param {string} entityType - Type of entity (user, transaction, product, order)
@@ -352,13 +968,13 @@ Cypress.Commands.add('resetDatabase', () => {
 });
 
 /**
- * Load fixture data and create entities
+ * Load fixture data (environment overlay applied) and create entities
  * @param {string} fixtureName - Name of fixture file
  * @param {string} fixtureKey - Key within fixture
  * @example cy.seedFromFixture('users', 'admin')
  */
 Cypress.Commands.add('seedFromFixture', (fixtureName, fixtureKey) => {
-  return cy.fixture(fixtureName).then((fixtures) => {
+  return cy.envFixture(fixtureName).then((fixtures) => {
     const data = fixtures[fixtureKey];
 
     if (!data) {
@@ -367,6 +983,148 @@ Cypress.Commands.add('seedFromFixture', (fixtureName, fixtureKey) => {
 
     // Determine entity type from fixture name
     const entityType = fixtureName.slice(0, -1); // Remove 's' from plural
-    return cy.createTestData(entityType, data);
+
+    // Let the backend assign the id; the fixture's own id may already exist
+    const entity = { ...data };
+    delete entity.id;
+
+    return cy.createTestData(entityType, entity);
+  });
+});
+
+/**
+ * Seed a scenario world file (cypress/worlds/<name>.yml) through SeedFactory
+ * Entities are created in dependency order; each created id is aliased by its
+ * key and the created entities are aliased as '@world'.
+ * Pass the spec's SeedFactory so its cleanup() removes the world too.
+ * @param {string} name - World name
+ * @param {SeedFactory} seedFactory - Factory to seed with (default: a new one)
+ * @example cy.seedWorld('overdrawn-premium', seedFactory); cy.get('@alice').then((userId) => ...)
+ */
+Cypress.Commands.add('seedWorld', (name, seedFactory = new SeedFactory()) => {
+  return cy.task('loadWorld', name, { log: false }).then((world) =>
+    seedFactory.createWorld(world).then((created) => {
+      const entities = Object.values(created).flatMap((byKey) => Object.entries(byKey));
+
+      Cypress.log({
+        name: 'seedWorld',
+        message: `${name} (${entities.length} entities)`,
+        consoleProps: () => ({ World: name, Created: created }),
+      });
+
+      entities.forEach(([key, entity]) => {
+        cy.wrap(entity.id, { log: false }).as(key);
+      });
+
+      return cy.wrap(created, { log: false }).as('world');
+    }),
+  );
+});
+
+// ===== Ephemeral User Commands =====
+
+/**
+ * Create a temporary user with random credentials through the seed adapter
+ * The user is stored with its expiresAt, environment and runId and is deleted
+ * after the spec; if the run dies first, a later run's sweep deletes it.
+ * @param {Object} options - Options
+ * @param {string} options.prefix - Username prefix (default: 'test')
+ * @param {number} options.ttl - Time-to-live in milliseconds (default: 1 hour)
+ * @param {string} options.role - User role (default: 'standard')
+ * @param {boolean} options.mfa - Enroll the user in TOTP MFA (yields its totpSecret)
+ * @example cy.createEphemeralUser({ role: 'admin' }).then((user) => cy.login(user.username, user.password))
+ */
+Cypress.Commands.add('createEphemeralUser', (options = {}) => {
+  return cy.task('createEphemeralUser', options, { log: false }).then((user) => {
+    // Store for cleanup
+    Cypress.env('ephemeralUsers', [...(Cypress.env('ephemeralUsers') || []), user]);
+
+    Cypress.log({
+      name: 'ephemeralUser',
+      message: `${user.username} (expires ${user.expiresAt})`,
+      consoleProps: () => ({ Id: user.id, Username: user.username, ExpiresAt: user.expiresAt }),
+    });
+
+    return user;
+  });
+});
+
+/**
+ * Delete the ephemeral users created in this spec
+ * @example cy.cleanupEphemeralUsers()
+ */
+Cypress.Commands.add('cleanupEphemeralUsers', () => {
+  const users = Cypress.env('ephemeralUsers') || [];
+
+  if (users.length === 0) {
+    return cy.wrap(null, { log: false });
+  }
+
+  return cy.task('cleanupEphemeralUsers', users).then((result) => {
+    Cypress.env('ephemeralUsers', []);
+    return result;
   });
 });
+
+/**
+ * Delete expired ephemeral users in an environment
+ * @param {Object} options - Options
+ * @param {string} options.environment - Environment to sweep (default: current)
+ * @param {string} options.runId - Only sweep users created by this run
+ * @example cy.sweepEphemeralUsers({ runId: 'ci-1234' })
+ */
+Cypress.Commands.add('sweepEphemeralUsers', (options = {}) => {
+  return cy.task('sweepEphemeralUsers', options);
+});
+
+// ===== User Pool Commands =====
+
+/**
+ * Lease a fixture user that no other parallel worker is using
+ * The lease lasts until the end of the spec (released by the global after
+ * hook) or until it expires. Leasing the same role again within a spec,
+ * e.g. on a test retry, yields the same user.
+ * @param {Object} options - Options
+ * @param {string} options.role - Role of the user to lease (default: 'standard')
+ * @param {number} options.wait - How long to wait for a free user in milliseconds (default: 30s)
+ * @param {string} options.fallback - 'ephemeral' to create an ephemeral user when none becomes free
+ * @example cy.leaseUser({ role: 'premium' }).then((user) => cy.login(user.username, user.password))
+ */
+Cypress.Commands.add('leaseUser', ({ role = 'standard', wait = 30000, fallback = null } = {}) => {
+  return cy
+    .task(
+      'leaseUser',
+      { role, wait, spec: Cypress.spec.relative },
+      { log: false, timeout: wait + Cypress.config('taskTimeout') },
+    )
+    .then((lease) => {
+      if (lease.exhausted && fallback === 'ephemeral') {
+        Cypress.log({ name: 'leaseUser', message: `no free ${role} user, creating an ephemeral one` });
+        return cy.createEphemeralUser({ role });
+      }
+
+      if (lease.exhausted) {
+        const holders = lease.holders
+          .map(({ username, workerId, spec }) => `${username} (worker ${workerId}, ${spec})`)
+          .join(', ');
+        throw new Error(`No '${role}' user became free within ${wait}ms. Leased: ${holders || 'none'}`);
+      }
+
+      Cypress.log({
+        name: 'leaseUser',
+        message: `${lease.username} (${role})`,
+        consoleProps: () => ({ Username: lease.username, LeaseId: lease.leaseId, ExpiresAt: lease.expiresAt }),
+      });
+
+      return lease;
+    });
+});
+
+/**
+ * Release the users this worker leased
+ * @param {Array<string>} usernames - Users to release (default: all)
+ * @example cy.releaseLeasedUsers()
+ */
+Cypress.Commands.add('releaseLeasedUsers', (usernames) => {
+  return cy.task('releaseUserLeases', { usernames }, { log: false });
+});
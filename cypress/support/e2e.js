@@ -16,6 +16,15 @@
 // Import commands and Allure setup using ES module syntax
 import './commands.js';
 import './allure.js';
+import { seedRandomForTest } from '../../src/utils/random';
+import {
+  getSpecNamespace,
+  getWorkerId,
+  normalizeRequestArgs,
+  withNamespaceHeaders,
+  isAppUrl,
+} from '../../src/utils/namespace';
+import { isSelfHealingEnabled, setFingerprints, takePendingHealing } from '../../src/utils/self-healing';
 
 // Hide fetch/XHR requests from command log
 const app = window.top;
@@ -30,13 +39,82 @@ if (!app.document.head.querySelector('[data-hide-command-log-request]')) {
 // Preserve cookies between tests
 Cypress.Cookies.debug(true);
 
+// Stamp the spec namespace and worker id on every cy.request to the app or its
+// API, so the backend can partition data per worker (an explicit
+// X-Test-Namespace is kept; other hosts never see the headers)
+Cypress.Commands.overwrite('request', (originalFn, ...args) =>
+  originalFn(withNamespaceHeaders(normalizeRequestArgs(args))),
+);
+
 // Global before hook
 before(() => {
   cy.log('Starting test suite');
+
+  // Recorded by saveTestMetadata
+  cy.task(
+    'setSpecNamespace',
+    { spec: Cypress.spec.relative, namespace: getSpecNamespace(), workerId: getWorkerId() },
+    { log: false },
+  );
+
+  // Fingerprints the page objects heal broken selectors from
+  if (isSelfHealingEnabled()) {
+    cy.task('loadLocatorFingerprints', null, { log: false }).then(setFingerprints);
+  }
+});
+
+// Re-seed test data generation per test, so each test's users, amounts and
+// SKUs depend only on the run seed, the test title and the retry attempt
+// (replay with DATA_SEED)
+beforeEach(() => {
+  const seed = seedRandomForTest(Cypress.currentTest.titlePath);
+
+  Cypress.log({
+    name: 'data seed',
+    message: `${Cypress.env('dataSeed')} (test: ${seed})`,
+    consoleProps: () => ({
+      'Run Seed': Cypress.env('dataSeed'),
+      'Test Seed': seed,
+      Attempt: Cypress.currentRetry || 0,
+      Replay: `DATA_SEED=${Cypress.env('dataSeed')}`,
+    }),
+  });
+
+  Cypress.log({
+    name: 'namespace',
+    message: `${getSpecNamespace()} (worker ${getWorkerId()})`,
+    consoleProps: () => ({
+      Namespace: getSpecNamespace(),
+      'Worker ID': getWorkerId(),
+      Spec: Cypress.spec.relative,
+    }),
+  });
+
+  // Same headers on the app's own requests to baseUrl and apiUrl
+  cy.intercept({ url: '**', middleware: true }, (req) => {
+    if (isAppUrl(req.url)) {
+      req.headers['x-test-namespace'] = req.headers['x-test-namespace'] || getSpecNamespace();
+      req.headers['x-worker-id'] = getWorkerId();
+    }
+  });
+});
+
+// Save element fingerprints and healed selectors after every test, so a
+// crashed spec still leaves them in the healing report
+afterEach(() => {
+  const pending = isSelfHealingEnabled() && takePendingHealing();
+
+  if (pending) {
+    cy.task('saveLocatorHealing', pending, { log: false });
+  }
 });
 
 // Global after hook
 after(() => {
+  // Ephemeral users from this spec (expired leftovers are swept by later runs)
+  cy.cleanupEphemeralUsers();
+  // Users leased with cy.leaseUser go back to the pool for other workers
+  cy.releaseLeasedUsers();
   cy.log('Test suite completed');
 });
 
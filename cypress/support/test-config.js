@@ -113,7 +113,8 @@ export const WAIT_STRATEGY = {
  * Selector Strategy Configuration
  */
 export const SELECTOR_STRATEGY = {
-  // Preferred selector attributes in order
+  // Preferred selector attributes in order (resolution order for the selector
+  // registry: cy.find('dashboard.balance'), BasePage.getElement)
   preferredAttributes: ['data-cy', 'data-test', 'aria-label'],
 
   // Timeout for selector operations
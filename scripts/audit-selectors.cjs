@@ -0,0 +1,793 @@
+#!/usr/bin/env node
+
+/**
+ * Selector Usage Audit
+ *
+ * Statically analyses src/pages (page objects and components), the specs in
+ * cypress/e2e and the step definitions in src/tests/step-definitions, and
+ * reports:
+ *
+ *   - hardcoded:    selectors written in specs/steps instead of going through a
+ *                   page object (cy.getByCy('checkout-button'), cy.get('[data-test=...]'))
+ *   - unused:       page object selectors no reachable method or spec uses
+ *   - duplicates:   the same selector defined under different names
+ *   - inconsistent: hook values used with both data-test and data-cy
+ *   - undefined:    this.selectors.<key> references with no such key
+ *
+ * Page object selectors are resolved the way the classes build them: component
+ * selectors a page repeats (this.sideNav.selectors.homeLink, ...this.filterBar.selectors)
+ * count as the component's. A selector is used when a spec or step reads it
+ * (page.selectors.homeLink) or a method reached from a spec references it,
+ * directly or through the components a page delegates to. Specs are matched to
+ * methods by name, so a method shared by several page objects counts for all.
+ *
+ * Usage:
+ *   node scripts/audit-selectors.cjs
+ *   node scripts/audit-selectors.cjs --verbose
+ *   node scripts/audit-selectors.cjs --json --fail-on unused,undefined
+ *
+ * Options:
+ *   --json      Print the report as JSON
+ *   --output    Also write the JSON report to a file
+ *   --fail-on   Exit with 1 when any of these categories has findings
+ *               (comma-separated, or "all"; default: never fail)
+ *   --verbose   List every finding instead of the first 15 per section
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const option = (name) => (process.argv.includes(name) ? process.argv[process.argv.indexOf(name) + 1] : null);
+
+const CATEGORIES = ['hardcoded', 'unused', 'duplicates', 'inconsistent', 'undefined'];
+
+// Configuration from command-line arguments
+const config = {
+  pagesDir: 'src/pages',
+  specDirs: ['cypress/e2e', 'src/tests/step-definitions'],
+  definitionsFile: 'src/utils/selector-definitions.js',
+  json: process.argv.includes('--json'),
+  output: option('--output'),
+  failOn: option('--fail-on'),
+  verbose: process.argv.includes('--verbose'),
+  limit: 15,
+};
+
+// Selectors that are not worth moving into a page object
+const IGNORED_SELECTORS = ['body', 'html', 'head', 'window', 'document'];
+
+const HOOK_ATTRIBUTES = ['data-cy', 'data-test'];
+
+// Color utilities
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m',
+};
+
+function log(message, color = '') {
+  if (!config.json) {
+    console.log(`${colors[color] || ''}${message}${colors.reset}`);
+  }
+}
+
+function getFilesRecursive(dir, pattern) {
+  let files = [];
+
+  if (!fs.existsSync(dir)) {
+    return files;
+  }
+
+  fs.readdirSync(dir).forEach((item) => {
+    const fullPath = path.join(dir, item);
+
+    if (fs.statSync(fullPath).isDirectory()) {
+      files = files.concat(getFilesRecursive(fullPath, pattern));
+    } else if (pattern.test(fullPath)) {
+      files.push(fullPath);
+    }
+  });
+
+  return files.sort();
+}
+
+const relative = (file) => path.relative(process.cwd(), file);
+
+const lineOf = (content, index) => content.slice(0, index).split('\n').length;
+
+const normalizeSelector = (selector) => selector.replace(/'/g, '"').replace(/\s+/g, ' ').trim();
+
+/**
+ * Index of the bracket closing the one at `open`, skipping strings and comments
+ */
+function closingIndex(content, open) {
+  const pairs = { '{': '}', '(': ')', '[': ']' };
+  const stack = [];
+
+  for (let i = open; i < content.length; i++) {
+    const char = content[i];
+
+    if (char === '/' && content[i + 1] === '/') {
+      i = content.indexOf('\n', i);
+      if (i === -1) return -1;
+    } else if (char === '/' && content[i + 1] === '*') {
+      i = content.indexOf('*/', i) + 1;
+      if (i === 0) return -1;
+    } else if (char === '"' || char === '\'' || char === '`') {
+      for (i += 1; i < content.length && content[i] !== char; i++) {
+        if (content[i] === '\\') i++;
+      }
+    } else if (pairs[char]) {
+      stack.push(pairs[char]);
+    } else if (char === stack[stack.length - 1]) {
+      stack.pop();
+      if (stack.length === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+// ===== Page objects =====
+
+/**
+ * Parse the methods of a class: selector keys, dynamic lookups and calls
+ */
+function parseMethods(content) {
+  const methods = {};
+  const pattern = /^ {2}(?:async\s+)?(\w+)\s*\(/gm;
+  let match;
+
+  while ((match = pattern.exec(content))) {
+    const name = match[1];
+    const paramsEnd = closingIndex(content, match.index + match[0].length - 1);
+    const open = content.indexOf('{', paramsEnd);
+    const end = closingIndex(content, open);
+
+    const keyword = ['constructor', 'if', 'for', 'while', 'switch'].includes(name);
+
+    if (keyword || paramsEnd === -1 || open === -1 || end === -1) {
+      continue;
+    }
+
+    const body = content.slice(open, end);
+    const selectors = [...body.matchAll(/this\.selectors\.(\w+)/g)].map((m) => m[1]);
+    const dynamic = [...body.matchAll(/this\.selectors\[`([^`]*)`\]/g)].map(
+      (m) => new RegExp(`^${m[1].replace(/\$\{[^}]*\}/g, '\\w*')}$`),
+    );
+    const calls = [...body.matchAll(/this\.(?:(\w+)\.)?(\w+)\(/g)].map((m) => ({
+      property: m[1] || null,
+      method: m[2],
+    }));
+
+    methods[name] = { name, line: lineOf(content, match.index), selectors, dynamic, calls };
+    pattern.lastIndex = end;
+  }
+
+  return methods;
+}
+
+/**
+ * Parse the `this.selectors = { ... }` literal of a class
+ * Entries are literals ({ key, selector }), references to another object's
+ * selector ({ key, ref: 'topNav.selectors.appNameLogo' }) or spreads ({ spread }).
+ */
+function parseSelectorMap(content) {
+  const start = content.indexOf('this.selectors = {');
+
+  if (start === -1) {
+    return [];
+  }
+
+  const open = content.indexOf('{', start);
+  const firstLine = lineOf(content, open);
+  const entries = [];
+
+  content
+    .slice(open + 1, closingIndex(content, open))
+    .split('\n')
+    .forEach((text, offset) => {
+      const line = firstLine + offset;
+      const literal = text.match(/^\s*(\w+):\s*(['"])((?:\\.|(?!\2).)*)\2,?\s*(?:\/\/.*)?$/);
+      const reference = text.match(/^\s*(\w+):\s*this\.([\w.]+),?\s*(?:\/\/.*)?$/);
+      const spread = text.match(/^\s*\.\.\.this\.([\w.]+),?\s*$/);
+
+      if (literal) {
+        entries.push({ key: literal[1], selector: literal[3].replace(/\\(.)/g, '$1'), line });
+      } else if (reference) {
+        entries.push({ key: reference[1], ref: reference[2], line });
+      } else if (spread) {
+        entries.push({ spread: spread[1], line });
+      }
+    });
+
+  return entries;
+}
+
+/**
+ * Parse a page object or component class
+ * @param {string} file - Source file
+ * @returns {Object|null} Parsed class, or null when the file declares none
+ */
+function parsePageObject(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const declaration = content.match(/class (\w+)(?: extends (\w+))?/);
+
+  if (!declaration) {
+    return null;
+  }
+
+  const root = content.match(/constructor\(root = (['"])((?:\\.|(?!\1).)*)\1/);
+  const properties = {};
+
+  for (const match of content.matchAll(/this\.(\w+) = new (\w+)\(/g)) {
+    properties[match[1]] = { className: match[2] };
+  }
+  for (const match of content.matchAll(/this\.(\w+) = this\.([\w.]+);/g)) {
+    properties[match[1]] = { path: match[2] };
+  }
+
+  return {
+    name: declaration[1],
+    base: declaration[2] || null,
+    file: relative(file),
+    content,
+    root: root ? { selector: root[2], line: lineOf(content, root.index) } : null,
+    properties,
+    entries: parseSelectorMap(content),
+    methods: parseMethods(content),
+  };
+}
+
+/**
+ * Resolve page objects' selector maps, following component references
+ * @param {Object} owners - Parsed classes by name
+ * @returns {Array} Selectors: { owner, key, selector, file, line, source }
+ *   source is the "Owner.key" a repeated component selector comes from
+ */
+function resolveSelectors(owners) {
+  const resolved = {};
+
+  const propertyOwner = (owner, property) => {
+    const declared = owner && owner.properties[property];
+
+    if (!declared) {
+      return null;
+    }
+    if (declared.className) {
+      return owners[declared.className] || null;
+    }
+    return declared.path.split('.').reduce((current, part) => propertyOwner(current, part), owner);
+  };
+
+  const selectorsOf = (owner) => {
+    if (resolved[owner.name]) {
+      return resolved[owner.name];
+    }
+
+    const entries = [];
+    resolved[owner.name] = entries;
+
+    const target = (reference) => {
+      const parts = reference.split('.');
+      let current = owner;
+
+      while (current && parts.length > 0 && !['selectors', 'rootSelector'].includes(parts[0])) {
+        current = propertyOwner(current, parts.shift());
+      }
+      if (!current || current === owner) {
+        return null;
+      }
+      if (parts[0] === 'rootSelector') {
+        return current.root && { owner: current.name, key: 'root', selector: current.root.selector };
+      }
+      if (parts.length === 1) {
+        return { owner: current.name, all: selectorsOf(current) };
+      }
+      return selectorsOf(current).find((entry) => entry.key === parts[1]) || null;
+    };
+
+    const add = (key, selector, line, source = null) => {
+      entries.push({ owner: owner.name, key, selector, file: owner.file, line, source });
+    };
+
+    owner.entries.forEach((entry) => {
+      if (entry.selector !== undefined) {
+        add(entry.key, entry.selector, entry.line);
+        return;
+      }
+
+      const found = target(entry.ref || entry.spread);
+
+      if (found && found.all) {
+        found.all.forEach((item) => {
+          add(item.key, item.selector, entry.line, item.source || `${item.owner}.${item.key}`);
+        });
+      } else if (found) {
+        add(entry.key, found.selector, entry.line, found.source || `${found.owner}.${found.key}`);
+      }
+    });
+
+    return entries;
+  };
+
+  Object.values(owners).forEach(selectorsOf);
+
+  return Object.values(owners).flatMap((owner) => resolved[owner.name]);
+}
+
+// ===== Specs and step definitions =====
+
+/**
+ * Logical names registered in the selector registry (namespace.element)
+ */
+function readLogicalNames() {
+  if (!fs.existsSync(config.definitionsFile)) {
+    return new Set();
+  }
+
+  const content = fs.readFileSync(config.definitionsFile, 'utf8');
+  const names = new Set();
+
+  for (const match of content.matchAll(/defineSelectors\((['"])(\w+)\1,\s*\{/g)) {
+    const open = match.index + match[0].length - 1;
+    const block = content.slice(open, closingIndex(content, open));
+
+    for (const key of block.matchAll(/^ {2}(\w+):/gm)) {
+      names.add(`${match[2]}.${key[1]}`);
+    }
+  }
+
+  return names;
+}
+
+/**
+ * Find the selectors written directly in a spec or step definition file
+ * @returns {Array} { file, line, call, selector, dynamic }
+ */
+function findHardcodedSelectors(file, content, logicalNames) {
+  const found = [];
+  const record = (index, call, selector, dynamic = false) => {
+    found.push({ file: relative(file), line: lineOf(content, index), call, selector, dynamic });
+  };
+  const literal = (quote, value) => ({
+    value: quote === '`' ? value.replace(/\$\{[^}]*\}/g, '*') : value,
+    dynamic: quote === '`' && value.includes('${'),
+  });
+
+  for (const match of content.matchAll(/\b(getByCy|getByTestId)\(\s*(['"`])((?:\\.|(?!\2).)*)\2/g)) {
+    const { value, dynamic } = literal(match[2], match[3]);
+    const attribute = match[1] === 'getByCy' ? 'data-cy' : 'data-test';
+    record(match.index, match[1], `[${attribute}="${value}"]`, dynamic);
+  }
+
+  for (const match of content.matchAll(/\.(get|find|closest)\(\s*(['"`])((?:\\.|(?!\2).)*)\2/g)) {
+    const { value, dynamic } = literal(match[2], match[3]);
+
+    if (!value.startsWith('@') && !IGNORED_SELECTORS.includes(value) && !logicalNames.has(value)) {
+      record(match.index, match[1], value, dynamic);
+    }
+  }
+
+  // cy.contains(selector, text) - only the two-argument form names a selector
+  for (const match of content.matchAll(/\.contains\(\s*(['"`])((?:\\.|(?!\1).)*)\1\s*,/g)) {
+    const { value, dynamic } = literal(match[1], match[2]);
+    record(match.index, 'contains', value, dynamic);
+  }
+
+  return found.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Names of the methods called in specs and step definitions
+ */
+function findCalledMethods(contents) {
+  const called = new Set();
+
+  contents.forEach((content) => {
+    for (const match of content.matchAll(/\.(\w+)\(/g)) {
+      called.add(match[1]);
+    }
+  });
+
+  return called;
+}
+
+/**
+ * Selector keys read directly from page objects (page.selectors.homeLink)
+ */
+function findSelectorReads(contents) {
+  const keys = new Set();
+
+  contents.forEach((content) => {
+    for (const match of content.matchAll(/\.selectors\.(\w+)/g)) {
+      keys.add(match[1]);
+    }
+  });
+
+  return keys;
+}
+
+// ===== Analysis =====
+
+/**
+ * Methods reachable from the specs, following this.method() and
+ * this.component.method() calls inside page objects
+ * @returns {Set} "Owner.method" names
+ */
+function reachableMethods(owners, calledFromSpecs) {
+  const reached = new Set();
+  const queue = [];
+
+  const ownerOf = (owner, property) => {
+    const declared = owner.properties[property];
+    if (!declared) return null;
+    if (declared.className) return owners[declared.className] || null;
+    return declared.path.split('.').reduce((current, part) => current && ownerOf(current, part), owner);
+  };
+
+  const visit = (owner, method) => {
+    const name = `${owner.name}.${method}`;
+    if (owner.methods[method] && !reached.has(name)) {
+      reached.add(name);
+      queue.push([owner, owner.methods[method]]);
+    }
+  };
+
+  Object.values(owners).forEach((owner) => {
+    Object.keys(owner.methods)
+      .filter((method) => calledFromSpecs.has(method))
+      .forEach((method) => visit(owner, method));
+  });
+
+  while (queue.length > 0) {
+    const [owner, method] = queue.shift();
+
+    method.calls.forEach((call) => {
+      const target = call.property ? ownerOf(owner, call.property) : owner;
+      if (target) visit(target, call.method);
+    });
+  }
+
+  return reached;
+}
+
+function findUnusedSelectors(owners, selectors, reached, readKeys) {
+  const used = new Set();
+
+  selectors.forEach((entry) => {
+    const owner = owners[entry.owner];
+    const referencing = Object.values(owner.methods).filter(
+      (method) => method.selectors.includes(entry.key) || method.dynamic.some((pattern) => pattern.test(entry.key)),
+    );
+    entry.methods = referencing.map((method) => method.name);
+
+    if (readKeys.has(entry.key) || referencing.some((method) => reached.has(`${owner.name}.${method.name}`))) {
+      used.add(`${entry.owner}.${entry.key}`);
+      if (entry.source) used.add(entry.source);
+    }
+  });
+
+  return selectors
+    .filter((entry) => !entry.source && !used.has(`${entry.owner}.${entry.key}`))
+    .map((entry) => {
+      const aliases = selectors
+        .filter((other) => other.source === `${entry.owner}.${entry.key}`)
+        .map((other) => `${other.owner}.selectors.${other.key}`);
+
+      const methods = entry.methods.map((method) => `${entry.owner}.${method}()`);
+
+      return {
+        owner: entry.owner,
+        key: entry.key,
+        selector: entry.selector,
+        file: entry.file,
+        line: entry.line,
+        aliases,
+        reason:
+          entry.methods.length > 0
+            ? `only used by ${methods.join(', ')}, which no spec reaches`
+            : 'not referenced by any method, spec or step definition',
+      };
+    });
+}
+
+function findDuplicateSelectors(owners, selectors) {
+  const roots = Object.values(owners)
+    .filter((owner) => owner.root)
+    .map((owner) => ({
+      owner: owner.name,
+      key: 'root',
+      selector: owner.root.selector,
+      file: owner.file,
+      line: owner.root.line,
+    }));
+  const groups = {};
+
+  [...selectors, ...roots].forEach((entry) => {
+    const selector = normalizeSelector(entry.selector);
+    groups[selector] = groups[selector] || [];
+    groups[selector].push(entry);
+  });
+
+  return Object.entries(groups)
+    .filter(([, entries]) => {
+      // A page repeating a component selector under one key is composition,
+      // not duplication; two keys in one class or two separate definitions are
+      const independent = entries.filter((entry) => !entry.source);
+      const renamed = entries.some(
+        (entry) => entries.filter((other) => other.owner === entry.owner && other.key !== entry.key).length > 0,
+      );
+      return renamed || new Set(independent.map((entry) => entry.key)).size > 1;
+    })
+    .map(([selector, entries]) => ({
+      selector,
+      keys: [...new Set(entries.map((entry) => entry.key))],
+      definitions: entries.map((entry) => ({
+        name: `${entry.owner}.${entry.key === 'root' ? 'rootSelector' : `selectors.${entry.key}`}`,
+        file: entry.file,
+        line: entry.line,
+        source: entry.source || null,
+      })),
+    }));
+}
+
+/**
+ * Hook values used with both data-cy and data-test, and files mixing the two
+ */
+function findHookInconsistencies(usages) {
+  const values = {};
+  const files = {};
+
+  usages.forEach((usage) => {
+    for (const match of usage.selector.matchAll(/\[(data-cy|data-test)=["']?([^"'\]]+)["']?\]/g)) {
+      const [, attribute, value] = match;
+
+      values[value] = values[value] || { 'data-cy': [], 'data-test': [] };
+      values[value][attribute].push(usage.location);
+
+      files[usage.file] = files[usage.file] || { 'data-cy': 0, 'data-test': 0 };
+      files[usage.file][attribute] += 1;
+    }
+  });
+
+  return {
+    values: Object.entries(values)
+      .filter(([, byAttribute]) => HOOK_ATTRIBUTES.every((attribute) => byAttribute[attribute].length > 0))
+      .map(([value, byAttribute]) => ({ value, ...byAttribute })),
+    files: Object.entries(files)
+      .filter(([, counts]) => HOOK_ATTRIBUTES.every((attribute) => counts[attribute] > 0))
+      .map(([file, counts]) => ({ file, ...counts })),
+  };
+}
+
+function findUndefinedSelectors(owners, selectors) {
+  const undefinedKeys = [];
+
+  Object.values(owners).forEach((owner) => {
+    const keys = new Set(selectors.filter((entry) => entry.owner === owner.name).map((entry) => entry.key));
+
+    for (const match of owner.content.matchAll(/this\.selectors\.(\w+)/g)) {
+      if (!keys.has(match[1])) {
+        undefinedKeys.push({
+          owner: owner.name,
+          key: match[1],
+          file: owner.file,
+          line: lineOf(owner.content, match.index),
+        });
+      }
+    }
+  });
+
+  return undefinedKeys;
+}
+
+/**
+ * Suggest the page object selectors matching a hardcoded selector
+ * @returns {Array} "Owner.selectors.key" names
+ */
+function suggestPageObjectSelectors(selector, selectors) {
+  // Hooks match whichever of data-cy/data-test the page object uses
+  const comparable = (value) => normalizeSelector(value).replace(/\[data-cy([*^$~|]?=)/g, '[data-test$1');
+  const normalized = comparable(selector);
+
+  return [
+    ...new Set(
+      selectors
+        .filter((entry) => comparable(entry.selector) === normalized)
+        .map((entry) => entry.source || `${entry.owner}.${entry.key}`)
+        .map((name) =>
+          name.endsWith('.root') ? name.replace(/\.root$/, '.rootSelector') : name.replace('.', '.selectors.'),
+        ),
+    ),
+  ];
+}
+
+function audit() {
+  const pageFiles = getFilesRecursive(config.pagesDir, /\.js$/).filter((file) => path.basename(file) !== 'index.js');
+  const specFiles = config.specDirs.flatMap((dir) => getFilesRecursive(dir, /\.js$/));
+
+  const owners = {};
+  pageFiles.forEach((file) => {
+    const owner = parsePageObject(file);
+    if (owner) owners[owner.name] = owner;
+  });
+
+  const selectors = resolveSelectors(owners);
+  const specContents = specFiles.map((file) => fs.readFileSync(file, 'utf8'));
+  const logicalNames = readLogicalNames();
+
+  const hardcoded = specFiles.flatMap((file, index) => findHardcodedSelectors(file, specContents[index], logicalNames));
+  hardcoded.forEach((usage) => {
+    usage.pageObject = suggestPageObjectSelectors(usage.selector, selectors);
+  });
+
+  const reached = reachableMethods(owners, findCalledMethods(specContents));
+  const unused = findUnusedSelectors(owners, selectors, reached, findSelectorReads(specContents));
+
+  const inconsistent = findHookInconsistencies([
+    ...selectors
+      .filter((entry) => !entry.source)
+      .map((entry) => ({
+        selector: entry.selector,
+        file: entry.file,
+        location: `${entry.file}:${entry.line} (${entry.owner}.selectors.${entry.key})`,
+      })),
+    ...hardcoded.map((usage) => ({
+      selector: usage.selector,
+      file: usage.file,
+      location: `${usage.file}:${usage.line}`,
+    })),
+  ]);
+
+  const report = {
+    generatedAt: new Date().toISOString(),
+    scanned: {
+      pageObjects: Object.values(owners).filter((owner) => owner.entries.length > 0 || owner.root).length,
+      selectors: selectors.filter((entry) => !entry.source).length,
+      specFiles: specFiles.length,
+    },
+    hardcoded,
+    unused,
+    duplicates: findDuplicateSelectors(owners, selectors),
+    inconsistent: inconsistent.values,
+    mixedFiles: inconsistent.files,
+    undefined: findUndefinedSelectors(owners, selectors),
+  };
+
+  report.summary = CATEGORIES.reduce((summary, category) => ({ ...summary, [category]: report[category].length }), {});
+
+  return report;
+}
+
+// ===== Output =====
+
+function printSection(title, items, color, printItem) {
+  log(`\n${items.length === 0 ? '✅' : '⚠️ '} ${title}: ${items.length}`, items.length === 0 ? 'green' : color);
+
+  const shown = config.verbose ? items : items.slice(0, config.limit);
+  shown.forEach(printItem);
+
+  if (shown.length < items.length) {
+    log(`  ... ${items.length - shown.length} more (--verbose to list all)`);
+  }
+}
+
+const locations = (list, max = 3) =>
+  `${list.slice(0, max).join(', ')}${list.length > max ? ` (+${list.length - max} more)` : ''}`;
+
+function printReport(report) {
+  log('\n🔍 Selector usage audit', 'blue');
+  log(
+    `Scanned ${report.scanned.pageObjects} page objects (${report.scanned.selectors} selectors) ` +
+      `and ${report.scanned.specFiles} spec/step definition files`,
+    'cyan',
+  );
+
+  const bySelector = {};
+  report.hardcoded.forEach((usage) => {
+    bySelector[usage.selector] = bySelector[usage.selector] || { ...usage, places: [] };
+    bySelector[usage.selector].places.push(`${usage.file}:${usage.line}`);
+  });
+  const grouped = Object.values(bySelector).sort((a, b) => b.places.length - a.places.length);
+
+  printSection(
+    `Hardcoded selectors outside page objects (${report.hardcoded.length} uses)`,
+    grouped,
+    'yellow',
+    (usage) => {
+      log(`  ${usage.selector}  x${usage.places.length}  ${locations(usage.places)}`);
+      if (usage.pageObject.length > 0) {
+        log(`    → use ${usage.pageObject.join(' or ')}`, 'cyan');
+      }
+    },
+  );
+
+  printSection('Unused page object selectors', report.unused, 'yellow', (entry) => {
+    log(`  ${entry.owner}.selectors.${entry.key}  ${entry.selector}  (${entry.file}:${entry.line})`);
+    log(`    ${entry.reason}${entry.aliases.length > 0 ? `; also exposed as ${entry.aliases.join(', ')}` : ''}`);
+  });
+
+  printSection('Duplicate selectors with different names', report.duplicates, 'yellow', (group) => {
+    log(`  ${group.selector}`);
+    group.definitions.forEach((definition) => {
+      const from = definition.source ? `, from ${definition.source}` : '';
+      log(`    ${definition.name}  (${definition.file}:${definition.line}${from})`);
+    });
+  });
+
+  printSection('Hook values used with both data-test and data-cy', report.inconsistent, 'yellow', (entry) => {
+    log(`  ${entry.value}`);
+    HOOK_ATTRIBUTES.forEach((attribute) => log(`    ${attribute.padEnd(9)} ${locations(entry[attribute])}`));
+  });
+  if (report.mixedFiles.length > 0) {
+    log('  Files mixing both attributes:');
+    report.mixedFiles.forEach((entry) => {
+      log(`    ${entry.file}  data-cy: ${entry['data-cy']}, data-test: ${entry['data-test']}`);
+    });
+  }
+
+  printSection('Undefined page object selectors', report.undefined, 'red', (entry) => {
+    log(`  ${entry.owner}.selectors.${entry.key}  (${entry.file}:${entry.line})`);
+  });
+}
+
+/**
+ * Categories that fail the run (--fail-on)
+ */
+function failingCategories() {
+  if (!config.failOn) {
+    return [];
+  }
+  if (config.failOn === 'all') {
+    return CATEGORIES;
+  }
+
+  const categories = config.failOn.split(',').map((category) => category.trim());
+  const unknown = categories.find((category) => !CATEGORIES.includes(category));
+
+  if (unknown) {
+    throw new Error(`Unknown category '${unknown}'. Use one of: ${CATEGORIES.join(', ')}, all`);
+  }
+
+  return categories;
+}
+
+function main() {
+  const failOn = failingCategories();
+  const report = audit();
+
+  if (config.output) {
+    fs.mkdirSync(path.dirname(path.resolve(config.output)), { recursive: true });
+    fs.writeFileSync(config.output, `${JSON.stringify(report, null, 2)}\n`);
+  }
+
+  if (config.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+    if (config.output) {
+      log(`\n💾 Report saved to ${config.output}`, 'cyan');
+    }
+  }
+
+  const failed = failOn.filter((category) => report.summary[category] > 0);
+
+  if (failed.length > 0) {
+    const findings = failed.map((category) => `${report.summary[category]} ${category}`);
+    log(`\n❌ Selector audit found ${findings.join(', ')}`, 'red');
+    process.exit(1);
+  }
+
+  log('\n✅ Selector audit complete', 'green');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`${colors.red}❌ Selector audit failed: ${error.message}${colors.reset}`);
+  process.exit(1);
+}
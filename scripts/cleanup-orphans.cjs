@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * Orphaned Test Data Cleanup
+ *
+ * Deletes entities left behind by earlier runs that crashed, timed out or were
+ * interrupted before their cleanup ran. Reads the cleanup ledgers written by
+ * setupNodeEvents and deletes each remaining entity through the same
+ * DELETE /api/{type}/{id} path BaseFactory.cleanup() uses. Entities the lowdb
+ * seed adapter wrote straight into the database file are removed from that
+ * file through the adapter instead.
+ *
+ * Usage:
+ *   node scripts/cleanup-orphans.cjs
+ *   node scripts/cleanup-orphans.cjs --dry-run
+ *   node scripts/cleanup-orphans.cjs --dir cleanup-ledger --api-url https://api.staging.example.com
+ *
+ * Options:
+ *   --dir             Ledger directory (default: CLEANUP_LEDGER_DIR or cleanup-ledger)
+ *   --api-url         Override the API URL recorded in each ledger
+ *   --db-path         Override the lowdb database recorded in each ledger (or SEED_DB_PATH)
+ *   --environment     Only clean ledgers from this environment
+ *   --include-active  Also clean ledgers of runs still running on this host
+ *   --dry-run         List orphans without deleting them
+ *   --json            Print the result as JSON
+ *
+ * Exit code is 1 when any entity could not be deleted; those entries stay in
+ * their ledger for the next attempt.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+  countEntries,
+  readLedgers,
+  isRunActive,
+  deleteEntity,
+  summarizeByType,
+} = require('../cypress/plugins/cleanup-ledger/index.cjs');
+const { createSeedAdapter } = require('../cypress/plugins/seeding/index.cjs');
+
+require('dotenv').config();
+
+// Configuration from command-line arguments
+const config = {
+  dir: path.resolve(
+    process.argv.includes('--dir')
+      ? process.argv[process.argv.indexOf('--dir') + 1]
+      : process.env.CLEANUP_LEDGER_DIR || 'cleanup-ledger',
+  ),
+  apiUrl: process.argv.includes('--api-url')
+    ? process.argv[process.argv.indexOf('--api-url') + 1]
+    : null,
+  dbPath: process.argv.includes('--db-path')
+    ? process.argv[process.argv.indexOf('--db-path') + 1]
+    : null,
+  environment: process.argv.includes('--environment')
+    ? process.argv[process.argv.indexOf('--environment') + 1]
+    : null,
+  includeActive: process.argv.includes('--include-active'),
+  dryRun: process.argv.includes('--dry-run'),
+  json: process.argv.includes('--json'),
+  token: process.env.SEED_API_TOKEN || null,
+};
+
+// Color utilities
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m',
+};
+
+function log(message, color = '') {
+  if (!config.json) {
+    console.log(`${colors[color] || ''}${message}${colors.reset}`);
+  }
+}
+
+// lowdb adapters by database path, shared by every ledger that wrote to it
+const lowdbAdapters = {};
+
+/**
+ * Delete an entity the lowdb adapter wrote, from the database file it wrote to
+ * @param {Object} entry - Ledger entry ({ type, id })
+ * @param {string} dbPath - lowdb database file
+ * @returns {Promise<Object>} { type, id, status, deleted, error }
+ */
+async function deleteLowdbEntity({ type, id }, dbPath) {
+  try {
+    if (!dbPath) {
+      throw new Error('no lowdb database recorded; pass --db-path or set SEED_DB_PATH');
+    }
+
+    lowdbAdapters[dbPath] =
+      lowdbAdapters[dbPath] ||
+      createSeedAdapter({ env: { seedAdapter: 'lowdb', seedDbPath: dbPath } }, { quiet: true });
+
+    // Already gone counts as deleted, as a 404 does over HTTP
+    await lowdbAdapters[dbPath].remove(type, id);
+    return { type, id, status: null, deleted: true };
+  } catch (error) {
+    return { type, id, status: null, deleted: false, error: error.message };
+  }
+}
+
+/**
+ * Clean up the entities left in one ledger
+ * @returns {Promise<Array>} Result per entity
+ */
+async function cleanLedger({ file, ledger }) {
+  const apiUrl = config.apiUrl || ledger.apiUrl;
+  const dbPath = config.dbPath || ledger.seedDbPath || process.env.SEED_DB_PATH;
+  const results = [];
+  const remaining = {};
+
+  log(`\n📒 ${ledger.runId} (${ledger.environment}, ${countEntries(ledger)} entities)`, 'blue');
+
+  for (const [namespace, entries] of Object.entries(ledger.namespaces)) {
+    // Most recent first, so dependents go before the entities they reference
+    for (const entry of [...entries].reverse()) {
+      let result;
+
+      if (ledger.mockServer || entry.via === 'memory') {
+        // Lived in the run's own process - gone with it
+        result = { type: entry.type, id: entry.id, status: null, deleted: false, expired: true };
+      } else if (config.dryRun) {
+        result = { type: entry.type, id: entry.id, status: null, deleted: false, dryRun: true };
+      } else if (entry.via === 'lowdb') {
+        result = await deleteLowdbEntity(entry, dbPath);
+      } else {
+        result = await deleteEntity({ apiUrl, namespace, token: config.token, ...entry });
+      }
+
+      results.push({ runId: ledger.runId, namespace, ...result });
+
+      if (!result.deleted && !result.expired) {
+        remaining[namespace] = [entry, ...(remaining[namespace] || [])];
+        const reason = result.dryRun ? 'dry run' : result.error || `status ${result.status}`;
+        log(`  - ${entry.type}:${entry.id} (${reason})`, result.dryRun ? 'cyan' : 'red');
+      }
+    }
+  }
+
+  if (!config.dryRun) {
+    const left = { ...ledger, namespaces: remaining, updatedAt: new Date().toISOString() };
+
+    if (countEntries(left)) {
+      fs.writeFileSync(file, JSON.stringify(left, null, 2));
+    } else {
+      fs.unlinkSync(file);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Print deleted/expired/failed counts per entity type
+ */
+function printSummary(summary) {
+  log('\n📊 Cleanup by entity type:', 'blue');
+
+  if (!Object.keys(summary).length) {
+    log('  Nothing to clean up', 'green');
+    return;
+  }
+
+  const failedLabel = config.dryRun ? 'pending' : 'failed';
+
+  Object.entries(summary).forEach(([type, { total, deleted, expired, failed }]) => {
+    log(
+      `  ${type.padEnd(16)} ${String(deleted).padStart(4)} deleted  ${String(expired).padStart(4)} expired  ` +
+        `${String(failed).padStart(4)} ${failedLabel}  (${total} total)`,
+      failed && !config.dryRun ? 'red' : 'green',
+    );
+  });
+}
+
+async function main() {
+  log(`\n🧹 Orphaned test data cleanup${config.dryRun ? ' (dry run)' : ''}`, 'blue');
+  log(`Ledger directory: ${config.dir}`, 'cyan');
+
+  const ledgers = readLedgers(config.dir).filter(({ ledger }) => {
+    if (config.environment && ledger.environment !== config.environment) {
+      return false;
+    }
+
+    if (!config.includeActive && isRunActive(ledger)) {
+      log(`⏭️  Skipping ${ledger.runId}: run is still active (pid ${ledger.pid})`, 'yellow');
+      return false;
+    }
+
+    return true;
+  });
+
+  const results = [];
+  for (const entry of ledgers) {
+    results.push(...(await cleanLedger(entry)));
+  }
+
+  const summary = summarizeByType(results);
+  const failed = results.filter((result) => !result.deleted && !result.expired && !result.dryRun).length;
+
+  if (config.json) {
+    console.log(JSON.stringify({ ledgers: ledgers.length, summary, results }, null, 2));
+  } else {
+    printSummary(summary);
+  }
+
+  if (failed) {
+    log(`\n❌ ${failed} entities could not be deleted; they stay in the ledger`, 'red');
+    process.exit(1);
+  }
+
+  log(`\n✅ Processed ${ledgers.length} ledger(s)`, 'green');
+}
+
+main().catch((error) => {
+  console.error(`${colors.red}❌ Orphan cleanup failed: ${error.message}${colors.reset}`);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Backend Server Launcher
+ *
+ * Starts the in-memory mock API so the suite can run without the
+ * application backend (on a laptop or in CI).
+ *
+ * Usage:
+ *   node scripts/mock-server.cjs
+ *   node scripts/mock-server.cjs --port 3001 --host 0.0.0.0 --verbose
+ *   node scripts/mock-server.cjs --oidc --oidc-port 3002
+ *
+ * Then point the tests at it:
+ *   API_URL=http://localhost:3001 npm run test:run
+ *   SSO_ISSUER=http://localhost:3002 npm run test:run   (with --oidc)
+ */
+
+const { startMockServer } = require('../cypress/plugins/mock-server/index.cjs');
+const { startOidcProvider } = require('../cypress/plugins/oidc-provider/index.cjs');
+
+// Configuration from command-line arguments
+const config = {
+  port: process.argv.includes('--port')
+    ? parseInt(process.argv[process.argv.indexOf('--port') + 1], 10)
+    : parseInt(process.env.MOCK_SERVER_PORT || '3001', 10),
+  host: process.argv.includes('--host')
+    ? process.argv[process.argv.indexOf('--host') + 1]
+    : '127.0.0.1',
+  verbose: process.argv.includes('--verbose'),
+  oidc: process.argv.includes('--oidc'),
+  oidcPort: process.argv.includes('--oidc-port')
+    ? parseInt(process.argv[process.argv.indexOf('--oidc-port') + 1], 10)
+    : parseInt(process.env.MOCK_OIDC_PORT || '3002', 10),
+};
+
+// Color utilities
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  reset: '\x1b[0m',
+};
+
+function log(message, color = '') {
+  console.log(`${colors[color] || ''}${message}${colors.reset}`);
+}
+
+async function start() {
+  const server = await startMockServer(config);
+  let provider = null;
+
+  if (config.oidc) {
+    provider = await startOidcProvider({
+      port: config.oidcPort,
+      host: config.host,
+      issuer: process.env.SSO_ISSUER,
+      verbose: config.verbose,
+    });
+  }
+
+  return { server, provider };
+}
+
+start()
+  .then(({ server, provider }) => {
+    log(`✅ Mock API ready at ${server.url} (Ctrl-C to stop)`, 'green');
+    if (provider) {
+      log(`✅ Mock OIDC provider ready at ${provider.url} (issuer ${provider.issuer})`, 'green');
+    }
+
+    const shutdown = () => {
+      Promise.all([server.stop(), provider && provider.stop()]).then(() => process.exit(0));
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  })
+  .catch((error) => {
+    log(`❌ Failed to start mock server: ${error.message}`, 'red');
+    process.exit(1);
+  });
@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+
+/**
+ * Page Object Scaffolding
+ *
+ * Generates a BasePage subclass from a page's HTML: every data-cy, data-test
+ * and aria-label element goes into the selectors map, with action methods for
+ * the inputs, selects, checkboxes, buttons and links, and a verifyPageLoaded.
+ *
+ * The HTML comes from a file saved from the browser (DevTools > Save as), or
+ * from a snapshot captured during a run with cy.capturePageSnapshot(name):
+ *
+ *   cy.visit('/signin');
+ *   cy.capturePageSnapshot('signin');   // -> cypress/snapshots/pages/signin.html
+ *
+ * Usage:
+ *   node scripts/scaffold-page.cjs --snapshot signin --name Login --list
+ *   node scripts/scaffold-page.cjs --snapshot signin --name Login --strip-prefix signin
+ *   node scripts/scaffold-page.cjs --html saved/settings.html --name Settings --url /user/settings --stdout
+ *
+ * Options:
+ *   --html           HTML file to read
+ *   --snapshot       Name of a captured snapshot (in PAGE_SNAPSHOT_DIR or cypress/snapshots/pages)
+ *   --name           Page name, e.g. Login (class LoginPage, file src/pages/LoginPage.js)
+ *   --url            Page URL path (default: the captured URL's path, or /)
+ *   --strip-prefix   Hook prefix to drop from selector keys (signin-username -> username)
+ *   --out            Output file (default: src/pages/<Name>Page.js)
+ *   --list           Only list the hooked elements found
+ *   --stdout         Print the page object instead of writing it
+ *   --force          Overwrite an existing file
+ */
+
+const path = require('path');
+const fs = require('fs');
+const {
+  extractElements,
+  buildSelectors,
+  generatePageObject,
+  readPageSnapshot,
+} = require('../cypress/plugins/page-scaffold/index.cjs');
+
+require('dotenv').config();
+
+const option = (name) => (process.argv.includes(name) ? process.argv[process.argv.indexOf(name) + 1] : null);
+
+// Configuration from command-line arguments
+const config = {
+  html: option('--html'),
+  snapshot: option('--snapshot'),
+  snapshotDir: path.resolve(process.env.PAGE_SNAPSHOT_DIR || 'cypress/snapshots/pages'),
+  name: option('--name'),
+  url: option('--url'),
+  stripPrefix: option('--strip-prefix'),
+  out: option('--out'),
+  list: process.argv.includes('--list'),
+  stdout: process.argv.includes('--stdout'),
+  force: process.argv.includes('--force'),
+};
+
+// Color utilities
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  cyan: '\x1b[36m',
+  reset: '\x1b[0m',
+};
+
+function log(message, color = '') {
+  if (!config.stdout) {
+    console.log(`${colors[color] || ''}${message}${colors.reset}`);
+  }
+}
+
+/**
+ * Resolve the HTML file from --html or --snapshot
+ */
+function sourceFile() {
+  if (config.html) {
+    return path.resolve(config.html);
+  }
+  if (config.snapshot) {
+    return path.join(config.snapshotDir, `${config.snapshot.replace(/\.html$/, '')}.html`);
+  }
+  throw new Error('Pass --html <file> or --snapshot <name>');
+}
+
+/**
+ * Print the hooked elements found in the snapshot
+ */
+function printElements(elements, selectors) {
+  log(`\n🔎 ${elements.length} hooked element(s):`, 'blue');
+
+  selectors.forEach((entry) => {
+    log(
+      `  ${entry.key.padEnd(28)} ${(entry.kind || '-').padEnd(9)} ${entry.selector}${entry.text ? `  "${entry.text}"` : ''}`,
+      entry.kind ? 'green' : '',
+    );
+  });
+}
+
+function main() {
+  const file = sourceFile();
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No snapshot at ${file}`);
+  }
+
+  const snapshot = readPageSnapshot(file);
+  const elements = extractElements(snapshot.html);
+  const selectors = buildSelectors(elements, { stripPrefix: config.stripPrefix });
+
+  log('\n🏗️  Page object scaffolding', 'blue');
+  log(`Snapshot: ${path.relative(process.cwd(), file)}${snapshot.url ? ` (${snapshot.url})` : ''}`, 'cyan');
+
+  if (config.list) {
+    printElements(elements, selectors);
+    return;
+  }
+
+  if (!config.name) {
+    throw new Error('Pass --name <Page> (e.g. --name Login)');
+  }
+
+  if (selectors.length === 0) {
+    throw new Error('No data-cy, data-test or aria-label elements in the snapshot');
+  }
+
+  const url = config.url || (snapshot.url ? new URL(snapshot.url).pathname : '/');
+  const source = generatePageObject({
+    name: config.name,
+    url,
+    selectors,
+    source: snapshot.url ? `a snapshot of ${url}` : path.basename(file),
+  });
+
+  if (config.stdout) {
+    process.stdout.write(source);
+    return;
+  }
+
+  const className = /Page$/.test(config.name) ? config.name : `${config.name}Page`;
+  const out = path.resolve(config.out || path.join('src/pages', `${className}.js`));
+
+  if (fs.existsSync(out) && !config.force) {
+    throw new Error(`${path.relative(process.cwd(), out)} exists; pass --force to overwrite or --stdout to compare`);
+  }
+
+  fs.writeFileSync(out, source);
+  printElements(elements, selectors);
+  log(`\n✅ Wrote ${path.relative(process.cwd(), out)}`, 'green');
+  log('   Export it from src/pages/index.js and review the generated keys and methods', 'yellow');
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`${colors.red}❌ Page scaffolding failed: ${error.message}${colors.reset}`);
+  process.exit(1);
+}
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Fixture Schema Validation Script
+ *
+ * Validates cypress/fixtures/*.json against the entity schemas in
+ * cypress/schemas, so hand edits that the API would reject are caught
+ * before a test run. Environment overlays (cypress/fixtures/<env>/*.json)
+ * are validated merged onto their base fixture. Errors name the fixture key
+ * and field, e.g.
+ *   users.premium.address.zipCode must match pattern ...
+ *
+ * Usage:
+ *   node scripts/validate-fixtures.cjs
+ *   node scripts/validate-fixtures.cjs --fixtures cypress/fixtures --json
+ *
+ * Options:
+ *   --fixtures  Fixture directory (default: cypress/fixtures)
+ *   --schemas   Schema directory (default: cypress/schemas)
+ *   --json      Print the result as JSON
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadEnvFixture, listOverlayEnvironments } = require('../cypress/plugins/fixtures/index.cjs');
+
+// Configuration from command-line arguments
+const config = {
+  fixturesDir: path.resolve(
+    process.argv.includes('--fixtures')
+      ? process.argv[process.argv.indexOf('--fixtures') + 1]
+      : 'cypress/fixtures',
+  ),
+  schemasDir: path.resolve(
+    process.argv.includes('--schemas')
+      ? process.argv[process.argv.indexOf('--schemas') + 1]
+      : 'cypress/schemas',
+  ),
+  json: process.argv.includes('--json'),
+};
+
+/**
+ * Which schema each fixture file's entries follow
+ * Keys listed in `ignore` hold lookup data rather than entities.
+ * Array values (e.g. users.testUsers) are validated item by item.
+ */
+const FIXTURE_SCHEMAS = {
+  'users.json': { schema: 'user', ignore: [] },
+  'products.json': { schema: 'product', ignore: ['categories', 'priceRanges'] },
+  'roles.json': { schema: 'role', ignore: ['allRoles', 'roleHierarchy'] },
+};
+
+// Color utilities
+const colors = {
+  red: '\x1b[31m',
+  green: '\x1b[32m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+};
+
+function log(message, color = '') {
+  if (!config.json) {
+    console.log(`${colors[color] || ''}${message}${colors.reset}`);
+  }
+}
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(config.schemasDir, `${name}.schema.json`), 'utf8'));
+}
+
+/**
+ * Validate one fixture file (merged with an environment overlay when given)
+ * @returns {Object} { file, entries, errors }
+ */
+function validateFixture(file, { schema: schemaName, ignore }, validateSchema, environment = null) {
+  const schema = loadSchema(schemaName);
+  const root = path.basename(file, '.json');
+  const fixtures = environment
+    ? loadEnvFixture(root, { fixturesFolder: config.fixturesDir, environment }).fixture
+    : JSON.parse(fs.readFileSync(path.join(config.fixturesDir, file), 'utf8'));
+  const errors = [];
+  let entries = 0;
+
+  Object.entries(fixtures)
+    .filter(([key]) => !ignore.includes(key))
+    .forEach(([key, value]) => {
+      const items = Array.isArray(value)
+        ? value.map((item, index) => [`${root}.${key}[${index}]`, item])
+        : [[`${root}.${key}`, value]];
+
+      items.forEach(([itemPath, item]) => {
+        entries += 1;
+        errors.push(...validateSchema(schema, item, itemPath));
+      });
+    });
+
+  return { file: environment ? `${environment}/${file}` : file, entries, errors };
+}
+
+async function main() {
+  const { validateSchema } = await import('../src/utils/schema-validator.js');
+
+  log('\n🔍 Fixture Schema Validation', 'blue');
+
+  const files = fs.readdirSync(config.fixturesDir).filter((file) => file.endsWith('.json'));
+  const results = files
+    .filter((file) => {
+      if (!FIXTURE_SCHEMAS[file]) {
+        log(`⏭️  ${file}: no schema mapping, skipped`, 'yellow');
+        return false;
+      }
+      return true;
+    })
+    .map((file) => validateFixture(file, FIXTURE_SCHEMAS[file], validateSchema));
+
+  // Environment overlays, validated merged onto their base fixture
+  listOverlayEnvironments(config.fixturesDir).forEach((environment) => {
+    fs.readdirSync(path.join(config.fixturesDir, environment))
+      .filter((file) => FIXTURE_SCHEMAS[file])
+      .forEach((file) => {
+        results.push(validateFixture(file, FIXTURE_SCHEMAS[file], validateSchema, environment));
+      });
+  });
+
+  results.forEach(({ file, entries, errors }) => {
+    if (errors.length) {
+      log(`❌ ${file}: ${errors.length} error(s) in ${entries} entries`, 'red');
+      errors.forEach(({ path: at, message }) => log(`  - ${at} ${message}`, 'red'));
+    } else {
+      log(`✅ ${file}: ${entries} entries valid`, 'green');
+    }
+  });
+
+  const errorCount = results.reduce((total, { errors }) => total + errors.length, 0);
+
+  if (config.json) {
+    console.log(JSON.stringify({ valid: errorCount === 0, results }, null, 2));
+  }
+
+  if (errorCount) {
+    log(`\n❌ Fixture validation FAILED (${errorCount} error(s))`, 'red');
+    process.exit(1);
+  }
+
+  log('\n✅ All fixtures match their schemas', 'green');
+}
+
+main().catch((error) => {
+  console.error(`${colors.red}❌ Fixture validation error: ${error.message}${colors.reset}`);
+  process.exit(1);
+});
@@ -1,3 +1,6 @@
+import { isLogicalSelector } from '../utils/selector-registry.js';
+import { isSelfHealingEnabled, selectorOwner } from '../utils/self-healing.js';
+
 /**
  * Base Page Object Model
  * Contains common methods used across all pages
@@ -20,13 +23,25 @@ class BasePage {
   }
 
   /**
-   * Get element by CSS selector
-   * @param {string} selector - CSS selector
-   * @param {Object} options - Cypress get options
+   * Get element by CSS selector or logical name from the selector registry
+   * With self-healing on (SELF_HEALING=true), CSS selectors go through cy.locate,
+   * which falls back to the element's stored fingerprint when the selector breaks.
+   * @param {string} selector - CSS selector or logical name (e.g. 'dashboard.balance')
+   * @param {Object} options - Cypress get options, plus heal: false to never heal
    * @returns {Cypress.Chainable} Cypress element
    */
   getElement(selector, options = {}) {
-    return cy.get(selector, options);
+    const { heal = true, ...getOptions } = options;
+
+    if (isLogicalSelector(selector)) {
+      return cy.find(selector, getOptions);
+    }
+
+    if (isSelfHealingEnabled()) {
+      return cy.locate(selector, { ...getOptions, ...selectorOwner(this, selector), heal });
+    }
+
+    return cy.get(selector, getOptions);
   }
 
   /**
@@ -169,7 +184,7 @@ class BasePage {
    * @param {string} selector - CSS selector
    */
   verifyElementNotExists(selector) {
-    cy.get(selector).should('not.exist');
+    this.getElement(selector, { heal: false }).should('not.exist');
     return this;
   }
 
@@ -210,7 +225,7 @@ class BasePage {
    * @param {number} timeout - Timeout in milliseconds
    */
   waitForElement(selector, timeout = this.timeout) {
-    cy.get(selector, { timeout }).should('be.visible');
+    this.getElement(selector, { timeout }).should('be.visible');
     return this;
   }
 
@@ -220,7 +235,7 @@ class BasePage {
    * @param {number} timeout - Timeout in milliseconds
    */
   waitForElementToExist(selector, timeout = this.timeout) {
-    cy.get(selector, { timeout }).should('exist');
+    this.getElement(selector, { timeout }).should('exist');
     return this;
   }
 
@@ -230,7 +245,7 @@ class BasePage {
    * @param {number} timeout - Timeout in milliseconds
    */
   waitForElementToNotExist(selector, timeout = this.timeout) {
-    cy.get(selector, { timeout }).should('not.exist');
+    this.getElement(selector, { timeout, heal: false }).should('not.exist');
     return this;
   }
 
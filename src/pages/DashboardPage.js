@@ -1,8 +1,12 @@
 import BasePage from './BasePage.js';
+import { TopNav, SideNav, FilterBar, TransactionList } from './components/index.js';
 
 /**
  * Dashboard Page Object Model
  * Handles all interactions with the dashboard page
+ *
+ * Navigation, notifications and the transaction list are component objects
+ * (dashboardPage.sideNav.logout()); the page methods below delegate to them.
  */
 class DashboardPage extends BasePage {
   constructor() {
@@ -11,50 +15,51 @@ class DashboardPage extends BasePage {
     // Page URL
     this.url = '/';
 
+    // Shared components
+    this.topNav = new TopNav();
+    this.sideNav = new SideNav();
+    this.notifications = this.topNav.notifications;
+    this.filterBar = new FilterBar();
+    this.transactionList = new TransactionList();
+
     // Selectors - Based on actual dashboard HTML
+    // Component selectors are repeated here unscoped so existing specs that
+    // read dashboardPage.selectors keep working
     this.selectors = {
       // App branding
-      appNameLogo: '[data-test="app-name-logo"]',
+      appNameLogo: this.topNav.selectors.appNameLogo,
 
       // Top navigation
-      newTransactionButton: '[data-test="nav-top-new-transaction"]',
-      notificationsLink: '[data-test="nav-top-notifications-link"]',
-      notificationCount: '[data-test="nav-top-notifications-count"]',
+      newTransactionButton: this.topNav.selectors.newTransactionButton,
+      notificationsLink: this.notifications.rootSelector,
+      notificationCount: this.notifications.selectors.count,
 
       // Navigation tabs
-      publicTab: '[data-test="nav-public-tab"]',
-      contactsTab: '[data-test="nav-contacts-tab"]',
-      personalTab: '[data-test="nav-personal-tab"]',
+      publicTab: this.topNav.selectors.publicTab,
+      contactsTab: this.topNav.selectors.contactsTab,
+      personalTab: this.topNav.selectors.personalTab,
 
       // Side navigation
-      sideNav: '[data-test="sidenav"]',
-      menuButton: '[data-test="sidenav-toggle"]',
-      userFullName: '[data-test="sidenav-user-full-name"]',
-      username: '[data-test="sidenav-username"]',
-      userBalance: '[data-test="sidenav-user-balance"]',
-      homeLink: '[data-test="sidenav-home"]',
-      settingsButton: '[data-test="sidenav-user-settings"]',
-      bankAccountsLink: '[data-test="sidenav-bankaccounts"]',
-      notificationBell: '[data-test="sidenav-notifications"]',
-      logoutButton: '[data-test="sidenav-signout"]',
+      sideNav: this.sideNav.rootSelector,
+      menuButton: this.topNav.selectors.menuButton,
+      ...this.sideNav.selectors,
 
       // Main content
       mainContent: '[data-test="main"]',
 
       // Transaction filters
-      dateRangeFilter: '[data-test="transaction-list-filter-date-range-button"]',
-      amountRangeFilter: '[data-test="transaction-list-filter-amount-range-button"]',
+      ...this.filterBar.selectors,
 
       // Transactions list
-      transactionsList: '[data-test="transaction-list"]',
-      transactionItem: '[data-test^="transaction-item-"]',
+      transactionsList: this.transactionList.rootSelector,
+      transactionItem: this.transactionList.selectors.item,
 
       // Backward compatibility aliases
-      pageTitle: '[data-test="app-name-logo"]',
-      userGreeting: '[data-test="sidenav-user-full-name"]',
-      balanceDisplay: '[data-test="sidenav-user-balance"]',
-      accountLink: '[data-test="sidenav-user-settings"]',
-      notificationBadge: '[data-test="nav-top-notifications-count"]',
+      pageTitle: this.topNav.selectors.appNameLogo,
+      userGreeting: this.sideNav.selectors.userFullName,
+      balanceDisplay: this.sideNav.selectors.userBalance,
+      accountLink: this.sideNav.selectors.settingsButton,
+      notificationBadge: this.notifications.selectors.count,
       loadingSpinner: '[data-test="loading-spinner"]',
     };
   }
@@ -75,7 +80,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   logout() {
-    this.click(this.selectors.logoutButton);
+    this.sideNav.logout();
     return this;
   }
 
@@ -84,7 +89,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   openNotifications() {
-    this.click(this.selectors.notificationBell);
+    this.sideNav.openNotifications();
     return this;
   }
 
@@ -93,7 +98,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   openSettings() {
-    this.click(this.selectors.settingsButton);
+    this.sideNav.openSettings();
     return this;
   }
 
@@ -131,7 +136,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   navigateToHome() {
-    this.click(this.selectors.homeLink);
+    this.sideNav.goHome();
     return this;
   }
 
@@ -140,7 +145,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   navigateToAccount() {
-    this.click(this.selectors.accountLink);
+    this.sideNav.openSettings();
     return this;
   }
 
@@ -149,7 +154,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   toggleMenu() {
-    this.click(this.selectors.menuButton);
+    this.topNav.toggleSideNav();
     return this;
   }
 
@@ -158,7 +163,7 @@ class DashboardPage extends BasePage {
    * @returns {Cypress.Chainable} Greeting text
    */
   getUserGreeting() {
-    return this.getText(this.selectors.userGreeting);
+    return this.sideNav.getUserFullName();
   }
 
   /**
@@ -166,7 +171,7 @@ class DashboardPage extends BasePage {
    * @returns {Cypress.Chainable} Balance text
    */
   getBalance() {
-    return this.getText(this.selectors.balanceDisplay);
+    return this.sideNav.getBalance();
   }
 
   /**
@@ -174,7 +179,7 @@ class DashboardPage extends BasePage {
    * @returns {Cypress.Chainable} Notification count
    */
   getNotificationCount() {
-    return this.getText(this.selectors.notificationBadge);
+    return this.notifications.getCount();
   }
 
   /**
@@ -182,7 +187,7 @@ class DashboardPage extends BasePage {
    * @returns {Cypress.Chainable} Transaction elements
    */
   getTransactions() {
-    return this.getElement(this.selectors.transactionItem);
+    return this.transactionList.getItems();
   }
 
   /**
@@ -191,7 +196,7 @@ class DashboardPage extends BasePage {
    * @returns {Cypress.Chainable} Transaction element
    */
   getTransactionByIndex(index) {
-    return this.getElement(this.selectors.transactionItem).eq(index);
+    return this.transactionList.getItem(index);
   }
 
   /**
@@ -200,7 +205,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   clickTransaction(index) {
-    this.getTransactionByIndex(index).click();
+    this.transactionList.clickItem(index);
     return this;
   }
 
@@ -221,7 +226,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   waitForTransactionsLoad(timeout = 10000) {
-    this.waitForElement(this.selectors.transactionsList, timeout);
+    this.transactionList.waitForLoad(timeout);
     return this;
   }
 
@@ -234,7 +239,7 @@ class DashboardPage extends BasePage {
   verifyPageLoaded() {
     this.verifyUrlContains(this.url);
     this.verifyElementVisible(this.selectors.mainContent);
-    this.verifyElementVisible(this.selectors.sideNav);
+    this.sideNav.verifyVisible();
     return this;
   }
 
@@ -244,12 +249,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyUserLoggedIn(expectedUsername = null) {
-    this.verifyElementVisible(this.selectors.userGreeting);
-
-    if (expectedUsername) {
-      this.verifyElementContainsText(this.selectors.userGreeting, expectedUsername);
-    }
-
+    this.sideNav.verifyUser(expectedUsername);
     return this;
   }
 
@@ -259,7 +259,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyPageTitle(expectedTitle = 'Dashboard') {
-    this.verifyElementContainsText(this.selectors.pageTitle, expectedTitle);
+    this.topNav.verifyTitle(expectedTitle);
     return this;
   }
 
@@ -269,12 +269,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyNotificationBadge(expectedCount = null) {
-    this.verifyElementVisible(this.selectors.notificationBadge);
-
-    if (expectedCount !== null) {
-      this.verifyElementText(this.selectors.notificationBadge, expectedCount.toString());
-    }
-
+    this.notifications.verifyCount(expectedCount);
     return this;
   }
 
@@ -283,7 +278,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyNoNotifications() {
-    this.verifyElementNotExists(this.selectors.notificationBadge);
+    this.notifications.verifyNone();
     return this;
   }
 
@@ -293,7 +288,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyTransactionsDisplayed(minCount = 1) {
-    this.getTransactions().should('have.length.at.least', minCount);
+    this.transactionList.verifyDisplayed(minCount);
     return this;
   }
 
@@ -302,7 +297,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyNoTransactions() {
-    this.verifyElementNotExists(this.selectors.transactionItem);
+    this.transactionList.verifyEmpty();
     return this;
   }
 
@@ -312,12 +307,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifyBalanceDisplayed(expectedBalance = null) {
-    this.verifyElementVisible(this.selectors.balanceDisplay);
-
-    if (expectedBalance) {
-      this.verifyElementContainsText(this.selectors.balanceDisplay, expectedBalance);
-    }
-
+    this.sideNav.verifyBalance(expectedBalance);
     return this;
   }
 
@@ -326,7 +316,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifySideNavVisible() {
-    this.verifyElementVisible(this.selectors.sideNav);
+    this.sideNav.verifyVisible();
     return this;
   }
 
@@ -335,7 +325,7 @@ class DashboardPage extends BasePage {
    * @returns {DashboardPage} DashboardPage instance for chaining
    */
   verifySideNavHidden() {
-    this.verifyElementNotExists(this.selectors.sideNav);
+    this.sideNav.verifyNotExists();
     return this;
   }
 }
@@ -1,4 +1,5 @@
 import BasePage from './BasePage.js';
+import { generateTotp, getTotpSecondsRemaining, TOTP_STEP } from '../utils/totp.js';
 
 /**
  * Login Page Object Model
@@ -26,6 +27,10 @@ class LoginPage extends BasePage {
       formTitle: 'h1',
       loadingSpinner: '[data-test="loading-spinner"]',
       successMessage: '[data-test="success-message"]',
+      // MFA challenge (shown after the password step for users with TOTP enabled)
+      mfaCodeInput: '[data-test="mfa-code"]',
+      mfaSubmitButton: '[data-test="mfa-submit"]',
+      mfaErrorMessage: '[data-test="mfa-error"]',
     };
   }
 
@@ -101,14 +106,118 @@ class LoginPage extends BasePage {
     return this;
   }
 
+  /**
+   * Enter a one-time code on the MFA challenge and submit it
+   * @param {string} code - TOTP code
+   * @returns {LoginPage} LoginPage instance for chaining
+   */
+  enterOtp(code) {
+    this.type(this.selectors.mfaCodeInput, code);
+    this.click(this.selectors.mfaSubmitButton);
+    return this;
+  }
+
+  /**
+   * Answer the MFA challenge with codes generated from the user's TOTP secret
+   * A code entered just before its 30-second window closes may be rejected, so
+   * near the boundary it waits for the next window, and a rejected code is
+   * retried with a fresh one (after the window turns when the rejected code is
+   * still current, e.g. because the server refuses reused codes).
+   * @param {string} secret - Base32 TOTP secret (users.json totpSecret)
+   * @param {Object} options - Options
+   * @param {number} options.attempts - Codes to try before failing (default: 2)
+   * @param {number} options.minSecondsLeft - Wait for the next window when fewer seconds remain (default: 3)
+   * @returns {LoginPage} LoginPage instance for chaining
+   */
+  completeMfa(secret, options = {}) {
+    const { attempts = 2, minSecondsLeft = 3 } = options;
+
+    if (!secret) {
+      throw new Error('MFA challenge needs a TOTP secret (totpSecret in users.json)');
+    }
+
+    const waitForNextWindow = () => {
+      cy.wait(Math.ceil(getTotpSecondsRemaining() * 1000) + 250, { log: false });
+    };
+
+    const attempt = (remaining) => {
+      if (getTotpSecondsRemaining() < minSecondsLeft) {
+        waitForNextWindow();
+      }
+
+      cy.document({ log: false }).then((doc) => {
+        const staleError = doc.querySelector(this.selectors.mfaErrorMessage);
+        const codeWindow = Math.floor(Date.now() / 1000 / TOTP_STEP);
+
+        this.enterOtp(generateTotp(secret));
+
+        // Resolved once the challenge is gone or a new error is rendered
+        cy.document({ log: false })
+          .should((current) => {
+            const error = current.querySelector(this.selectors.mfaErrorMessage);
+            expect(
+              !current.querySelector(this.selectors.mfaCodeInput) || (error !== null && error !== staleError),
+              'MFA challenge answered',
+            ).to.equal(true);
+          })
+          .then((current) => {
+            if (!current.querySelector(this.selectors.mfaCodeInput)) {
+              return;
+            }
+
+            if (remaining <= 1) {
+              throw new Error(`MFA code rejected ${attempts} time(s); check the user's totpSecret and clock`);
+            }
+
+            Cypress.log({ name: 'mfa', message: 'code rejected, retrying with a fresh code' });
+
+            if (Math.floor(Date.now() / 1000 / TOTP_STEP) === codeWindow) {
+              waitForNextWindow();
+            }
+            attempt(remaining - 1);
+          });
+      });
+    };
+
+    cy.then(() => attempt(attempts));
+    return this;
+  }
+
+  /**
+   * Complete the MFA challenge if one appears after the password step
+   * @param {string} secret - Base32 TOTP secret (needed only when challenged)
+   * @param {Object} options - Options for completeMfa, plus:
+   * @param {string} options.successUrl - URL reached when no challenge is shown (default: '/dashboard')
+   * @returns {LoginPage} LoginPage instance for chaining
+   */
+  completeMfaIfPrompted(secret, options = {}) {
+    const { successUrl = '/dashboard', ...mfaOptions } = options;
+
+    cy.document({ log: false })
+      .should((doc) => {
+        expect(
+          Boolean(doc.querySelector(this.selectors.mfaCodeInput)) || doc.location.href.includes(successUrl),
+          'signed in or challenged for MFA',
+        ).to.equal(true);
+      })
+      .then((doc) => {
+        if (doc.querySelector(this.selectors.mfaCodeInput)) {
+          this.completeMfa(secret, mfaOptions);
+        }
+      });
+
+    return this;
+  }
+
   /**
    * Perform complete login action
    * @param {string} username - Username
    * @param {string} password - Password
    * @param {boolean} rememberMe - Whether to check remember me
+   * @param {string} totpSecret - TOTP secret for users with MFA (answers the challenge when shown)
    * @returns {LoginPage} LoginPage instance for chaining
    */
-  login(username, password, rememberMe = false) {
+  login(username, password, rememberMe = false, totpSecret = null) {
     this.enterUsername(username);
     this.enterPassword(password);
 
@@ -117,18 +226,24 @@ class LoginPage extends BasePage {
     }
 
     this.clickSubmit();
+
+    if (totpSecret) {
+      this.completeMfaIfPrompted(totpSecret);
+    }
+
     return this;
   }
 
   /**
    * Login with credentials from fixture or env
+   * Reads the users fixture with the environment overlay applied (cy.envFixture)
    * @param {string} userType - Type of user (validUser, adminUser, etc.)
    * @returns {LoginPage} LoginPage instance for chaining
    */
   loginWithFixture(userType = 'validUser') {
-    cy.fixture('users').then((users) => {
+    cy.envFixture('users').then((users) => {
       const user = users[userType];
-      this.login(user.username, user.password);
+      this.login(user.username, user.password, false, user.totpSecret);
     });
     return this;
   }
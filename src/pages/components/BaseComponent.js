@@ -0,0 +1,171 @@
+import { isSelfHealingEnabled, selectorOwner } from '../../utils/self-healing.js';
+
+/**
+ * Base Component Object Model
+ * A piece of UI shared by several pages (navigation, badges, lists, ...)
+ * All component objects should extend this base class
+ *
+ * A component is scoped to a root selector: its queries only match elements
+ * inside the root, so the same selector can appear elsewhere on the page
+ * without being picked up. Components nest by passing the parent component,
+ * which scopes the child's root to the parent's.
+ *
+ * Pages compose components instead of copying their selectors:
+ *   this.sideNav = new SideNav();
+ *   dashboardPage.sideNav.logout();
+ */
+
+class BaseComponent {
+  /**
+   * @param {string} root - CSS selector of the component's root element
+   * @param {BaseComponent} parent - Component this one is nested in (optional)
+   */
+  constructor(root, parent = null) {
+    this.rootSelector = root;
+    this.parent = parent;
+    this.timeout = 10000;
+    this.selectors = {};
+  }
+
+  /**
+   * Get the component's root element
+   * @param {Object} options - Cypress get options
+   * @returns {Cypress.Chainable} Root element
+   */
+  root(options = {}) {
+    if (isSelfHealingEnabled()) {
+      const locateOptions = { ...options, owner: this.constructor.name, name: 'root' };
+      return this.parent
+        ? this.parent.root(options).locate(this.rootSelector, locateOptions)
+        : cy.locate(this.rootSelector, locateOptions);
+    }
+
+    return this.parent
+      ? this.parent.root(options).find(this.rootSelector, options)
+      : cy.get(this.rootSelector, options);
+  }
+
+  /**
+   * Full descendant selector of the root (parents' roots included)
+   * @returns {string} CSS selector
+   */
+  path() {
+    return this.parent ? `${this.parent.path()} ${this.rootSelector}` : this.rootSelector;
+  }
+
+  /**
+   * Get an element inside the component
+   * Self-healing (SELF_HEALING=true) applies as in BasePage.getElement.
+   * @param {string} selector - CSS selector
+   * @param {Object} options - Cypress get options
+   * @returns {Cypress.Chainable} Cypress element
+   */
+  getElement(selector, options = {}) {
+    if (isSelfHealingEnabled()) {
+      return this.root(options).locate(selector, { ...options, ...selectorOwner(this, selector) });
+    }
+
+    return this.root(options).find(selector, options);
+  }
+
+  /**
+   * Run commands with cy.get scoped to the root element (cy.within)
+   * Inside the callback use plain cy queries; component methods query from
+   * the document and already scope themselves.
+   * @param {Function} callback - Receives the root element
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  within(callback) {
+    this.root().within(callback);
+    return this;
+  }
+
+  /**
+   * Click an element inside the component, or the root itself
+   * @param {string} selector - CSS selector (default: the root)
+   * @param {Object} options - Cypress click options
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  click(selector = null, options = {}) {
+    (selector ? this.getElement(selector) : this.root()).click(options);
+    return this;
+  }
+
+  /**
+   * Clear and type into an input inside the component
+   * @param {string} selector - CSS selector
+   * @param {string} text - Text to type
+   * @param {Object} options - Cypress type options
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  type(selector, text, options = {}) {
+    this.getElement(selector).clear().type(text, options);
+    return this;
+  }
+
+  /**
+   * Get element text content
+   * @param {string} selector - CSS selector (default: the root)
+   * @returns {Cypress.Chainable} Text content
+   */
+  getText(selector = null) {
+    return (selector ? this.getElement(selector) : this.root()).invoke('text');
+  }
+
+  // ===== Assertion Methods =====
+
+  /**
+   * Verify an element inside the component, or the root, is visible
+   * @param {string} selector - CSS selector (default: the root)
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  verifyVisible(selector = null) {
+    (selector ? this.getElement(selector) : this.root()).should('be.visible');
+    return this;
+  }
+
+  /**
+   * Verify an element inside the component contains text
+   * @param {string} selector - CSS selector
+   * @param {string} text - Expected text
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  verifyContainsText(selector, text) {
+    this.getElement(selector).should('contain.text', text);
+    return this;
+  }
+
+  /**
+   * Verify an element has exact text
+   * @param {string} selector - CSS selector
+   * @param {string} text - Expected text
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  verifyText(selector, text) {
+    this.getElement(selector).should('have.text', text);
+    return this;
+  }
+
+  /**
+   * Verify an element inside the component, or the root, does not exist
+   * Passes when the root itself is absent too.
+   * @param {string} selector - CSS selector (default: the root)
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  verifyNotExists(selector = null) {
+    cy.get(selector ? `${this.path()} ${selector}` : this.path()).should('not.exist');
+    return this;
+  }
+
+  /**
+   * Wait for the component's root to be visible
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {BaseComponent} Component instance for chaining
+   */
+  waitForVisible(timeout = this.timeout) {
+    this.root({ timeout }).should('be.visible');
+    return this;
+  }
+}
+
+export default BaseComponent;
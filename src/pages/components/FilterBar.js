@@ -0,0 +1,51 @@
+import BaseComponent from './BaseComponent.js';
+
+/**
+ * Filter Bar Component
+ * Date range and amount range filters above the transaction list
+ *
+ * The filters have no container hook of their own, so the bar is scoped to the
+ * main content by default.
+ */
+class FilterBar extends BaseComponent {
+  constructor(root = '[data-test="main"]', parent = null) {
+    super(root, parent);
+
+    this.selectors = {
+      dateRangeFilter: '[data-test="transaction-list-filter-date-range-button"]',
+      amountRangeFilter: '[data-test="transaction-list-filter-amount-range-button"]',
+    };
+  }
+
+  /**
+   * Open the date range filter
+   * @returns {FilterBar} FilterBar instance for chaining
+   */
+  openDateRange() {
+    this.click(this.selectors.dateRangeFilter);
+    return this;
+  }
+
+  /**
+   * Open the amount range filter
+   * @returns {FilterBar} FilterBar instance for chaining
+   */
+  openAmountRange() {
+    this.click(this.selectors.amountRangeFilter);
+    return this;
+  }
+
+  // ===== Assertion Methods =====
+
+  /**
+   * Verify both filters are shown
+   * @returns {FilterBar} FilterBar instance for chaining
+   */
+  verifyFiltersVisible() {
+    this.verifyVisible(this.selectors.dateRangeFilter);
+    this.verifyVisible(this.selectors.amountRangeFilter);
+    return this;
+  }
+}
+
+export default FilterBar;
@@ -0,0 +1,58 @@
+import BaseComponent from './BaseComponent.js';
+
+/**
+ * Notification Badge Component
+ * The notifications link in the top navigation and its unread count
+ */
+class NotificationBadge extends BaseComponent {
+  constructor(root = '[data-test="nav-top-notifications-link"]', parent = null) {
+    super(root, parent);
+
+    this.selectors = {
+      count: '[data-test="nav-top-notifications-count"]',
+    };
+  }
+
+  /**
+   * Open the notifications list
+   * @returns {NotificationBadge} NotificationBadge instance for chaining
+   */
+  open() {
+    this.click();
+    return this;
+  }
+
+  /**
+   * Get the unread notification count
+   * @returns {Cypress.Chainable} Count text
+   */
+  getCount() {
+    return this.getText(this.selectors.count);
+  }
+
+  /**
+   * Verify the badge is shown
+   * @param {number} expectedCount - Expected count (optional)
+   * @returns {NotificationBadge} NotificationBadge instance for chaining
+   */
+  verifyCount(expectedCount = null) {
+    this.verifyVisible(this.selectors.count);
+
+    if (expectedCount !== null) {
+      this.verifyText(this.selectors.count, expectedCount.toString());
+    }
+
+    return this;
+  }
+
+  /**
+   * Verify no unread count is shown
+   * @returns {NotificationBadge} NotificationBadge instance for chaining
+   */
+  verifyNone() {
+    this.verifyNotExists(this.selectors.count);
+    return this;
+  }
+}
+
+export default NotificationBadge;
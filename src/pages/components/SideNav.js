@@ -0,0 +1,125 @@
+import BaseComponent from './BaseComponent.js';
+
+/**
+ * Side Navigation Component
+ * Drawer with the signed-in user, their balance and the app sections
+ */
+class SideNav extends BaseComponent {
+  constructor(root = '[data-test="sidenav"]', parent = null) {
+    super(root, parent);
+
+    this.selectors = {
+      userFullName: '[data-test="sidenav-user-full-name"]',
+      username: '[data-test="sidenav-username"]',
+      userBalance: '[data-test="sidenav-user-balance"]',
+      homeLink: '[data-test="sidenav-home"]',
+      settingsButton: '[data-test="sidenav-user-settings"]',
+      bankAccountsLink: '[data-test="sidenav-bankaccounts"]',
+      notificationBell: '[data-test="sidenav-notifications"]',
+      logoutButton: '[data-test="sidenav-signout"]',
+    };
+  }
+
+  /**
+   * Navigate to home
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  goHome() {
+    this.click(this.selectors.homeLink);
+    return this;
+  }
+
+  /**
+   * Open user settings
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  openSettings() {
+    this.click(this.selectors.settingsButton);
+    return this;
+  }
+
+  /**
+   * Open bank accounts
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  openBankAccounts() {
+    this.click(this.selectors.bankAccountsLink);
+    return this;
+  }
+
+  /**
+   * Open notifications
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  openNotifications() {
+    this.click(this.selectors.notificationBell);
+    return this;
+  }
+
+  /**
+   * Sign out
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  logout() {
+    this.click(this.selectors.logoutButton);
+    return this;
+  }
+
+  /**
+   * Get the signed-in user's full name
+   * @returns {Cypress.Chainable} Full name text
+   */
+  getUserFullName() {
+    return this.getText(this.selectors.userFullName);
+  }
+
+  /**
+   * Get the signed-in user's username
+   * @returns {Cypress.Chainable} Username text
+   */
+  getUsername() {
+    return this.getText(this.selectors.username);
+  }
+
+  /**
+   * Get the signed-in user's balance
+   * @returns {Cypress.Chainable} Balance text
+   */
+  getBalance() {
+    return this.getText(this.selectors.userBalance);
+  }
+
+  // ===== Assertion Methods =====
+
+  /**
+   * Verify a user is shown as signed in
+   * @param {string} expectedName - Expected text in the full name (optional)
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  verifyUser(expectedName = null) {
+    this.verifyVisible(this.selectors.userFullName);
+
+    if (expectedName) {
+      this.verifyContainsText(this.selectors.userFullName, expectedName);
+    }
+
+    return this;
+  }
+
+  /**
+   * Verify the balance is shown
+   * @param {string} expectedBalance - Expected balance amount (optional)
+   * @returns {SideNav} SideNav instance for chaining
+   */
+  verifyBalance(expectedBalance = null) {
+    this.verifyVisible(this.selectors.userBalance);
+
+    if (expectedBalance) {
+      this.verifyContainsText(this.selectors.userBalance, expectedBalance);
+    }
+
+    return this;
+  }
+}
+
+export default SideNav;
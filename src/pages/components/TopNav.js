@@ -0,0 +1,78 @@
+import BaseComponent from './BaseComponent.js';
+import NotificationBadge from './NotificationBadge.js';
+
+/**
+ * Top Navigation Component
+ * App bar with the logo, side nav toggle, new transaction button,
+ * notifications and the transaction tabs
+ */
+class TopNav extends BaseComponent {
+  constructor(root = 'header', parent = null) {
+    super(root, parent);
+
+    this.selectors = {
+      appNameLogo: '[data-test="app-name-logo"]',
+      menuButton: '[data-test="sidenav-toggle"]',
+      newTransactionButton: '[data-test="nav-top-new-transaction"]',
+      publicTab: '[data-test="nav-public-tab"]',
+      contactsTab: '[data-test="nav-contacts-tab"]',
+      personalTab: '[data-test="nav-personal-tab"]',
+    };
+
+    this.notifications = new NotificationBadge(undefined, this);
+  }
+
+  /**
+   * Toggle the side navigation
+   * @returns {TopNav} TopNav instance for chaining
+   */
+  toggleSideNav() {
+    this.click(this.selectors.menuButton);
+    return this;
+  }
+
+  /**
+   * Start a new transaction
+   * @returns {TopNav} TopNav instance for chaining
+   */
+  newTransaction() {
+    this.click(this.selectors.newTransactionButton);
+    return this;
+  }
+
+  /**
+   * Open a transaction tab
+   * @param {string} tab - 'public', 'contacts' or 'personal'
+   * @returns {TopNav} TopNav instance for chaining
+   */
+  openTab(tab) {
+    const selector = this.selectors[`${tab}Tab`];
+
+    if (!selector) {
+      throw new Error(`Unknown tab '${tab}'. Use one of: public, contacts, personal`);
+    }
+
+    this.click(selector);
+    return this;
+  }
+
+  /**
+   * Get the app title shown in the logo
+   * @returns {Cypress.Chainable} Title text
+   */
+  getTitle() {
+    return this.getText(this.selectors.appNameLogo);
+  }
+
+  /**
+   * Verify the app title
+   * @param {string} expectedTitle - Expected title text
+   * @returns {TopNav} TopNav instance for chaining
+   */
+  verifyTitle(expectedTitle) {
+    this.verifyContainsText(this.selectors.appNameLogo, expectedTitle);
+    return this;
+  }
+}
+
+export default TopNav;
@@ -0,0 +1,75 @@
+import BaseComponent from './BaseComponent.js';
+
+/**
+ * Transaction List Component
+ * Feed of transaction items (public, contacts or personal)
+ */
+class TransactionList extends BaseComponent {
+  constructor(root = '[data-test="transaction-list"]', parent = null) {
+    super(root, parent);
+
+    this.selectors = {
+      item: '[data-test^="transaction-item-"]',
+    };
+  }
+
+  /**
+   * Get all transaction items
+   * @returns {Cypress.Chainable} Transaction elements
+   */
+  getItems() {
+    return this.getElement(this.selectors.item);
+  }
+
+  /**
+   * Get a transaction by index
+   * @param {number} index - Zero-based index
+   * @returns {Cypress.Chainable} Transaction element
+   */
+  getItem(index) {
+    return this.getItems().eq(index);
+  }
+
+  /**
+   * Open a transaction
+   * @param {number} index - Zero-based index
+   * @returns {TransactionList} TransactionList instance for chaining
+   */
+  clickItem(index) {
+    this.getItem(index).click();
+    return this;
+  }
+
+  /**
+   * Wait for the list to load
+   * @param {number} timeout - Timeout in milliseconds
+   * @returns {TransactionList} TransactionList instance for chaining
+   */
+  waitForLoad(timeout = this.timeout) {
+    this.waitForVisible(timeout);
+    return this;
+  }
+
+  // ===== Assertion Methods =====
+
+  /**
+   * Verify transactions are shown
+   * @param {number} minCount - Minimum expected transaction count
+   * @returns {TransactionList} TransactionList instance for chaining
+   */
+  verifyDisplayed(minCount = 1) {
+    this.getItems().should('have.length.at.least', minCount);
+    return this;
+  }
+
+  /**
+   * Verify no transactions are shown
+   * @returns {TransactionList} TransactionList instance for chaining
+   */
+  verifyEmpty() {
+    this.verifyNotExists(this.selectors.item);
+    return this;
+  }
+}
+
+export default TransactionList;
@@ -0,0 +1,26 @@
+/**
+ * Components Module - Single Point Import
+ * Component objects shared between page objects
+ *
+ * Usage:
+ * import { SideNav, TransactionList } from '../../src/pages/components/index.js';
+ *
+ * const sideNav = new SideNav();
+ * sideNav.verifyUser('testuser').logout();
+ */
+
+import BaseComponent from './BaseComponent.js';
+import SideNav from './SideNav.js';
+import TopNav from './TopNav.js';
+import NotificationBadge from './NotificationBadge.js';
+import TransactionList from './TransactionList.js';
+import FilterBar from './FilterBar.js';
+
+export {
+  BaseComponent,
+  SideNav,
+  TopNav,
+  NotificationBadge,
+  TransactionList,
+  FilterBar,
+};
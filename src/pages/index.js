@@ -7,14 +7,32 @@
  *
  * const loginPage = new LoginPage();
  * const dashboardPage = new DashboardPage();
+ *
+ * Component objects (side nav, top nav, ...) are exported too, for composing
+ * new pages:
+ * import { BasePage, SideNav } from '../../src/pages/index.js';
  */
 
 import BasePage from './BasePage.js';
 import LoginPage from './LoginPage.js';
 import DashboardPage from './DashboardPage.js';
+import {
+  BaseComponent,
+  SideNav,
+  TopNav,
+  NotificationBadge,
+  TransactionList,
+  FilterBar,
+} from './components/index.js';
 
 export {
   BasePage,
   LoginPage,
   DashboardPage,
+  BaseComponent,
+  SideNav,
+  TopNav,
+  NotificationBadge,
+  TransactionList,
+  FilterBar,
 };
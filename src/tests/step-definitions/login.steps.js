@@ -18,7 +18,7 @@ Given('I am on the login page', () => {
 // ===== When Steps =====
 
 When('I enter valid username and password', () => {
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     const user = users.validUser;
     loginPage.enterUsername(user.username);
     loginPage.enterPassword(user.password);
@@ -26,7 +26,7 @@ When('I enter valid username and password', () => {
 });
 
 When('I enter invalid username and password', () => {
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     const user = users.invalidUser;
     loginPage.enterUsername(user.username);
     loginPage.enterPassword(user.password);
@@ -50,13 +50,13 @@ When('I enter invalid username {string}', (username) => {
 });
 
 When('I enter valid username', () => {
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     loginPage.enterUsername(users.validUser.username);
   });
 });
 
 When('I enter valid password', () => {
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     loginPage.enterPassword(users.validUser.password);
   });
 });
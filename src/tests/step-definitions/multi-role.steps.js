@@ -28,18 +28,16 @@ Given('the application is running', () => {
 });
 
 Given('test data is seeded for all roles', () => {
-  // Seed users for all roles
-  const roles = ['standard', 'premium', 'manager', 'admin', 'readonly'];
-
-  roles.forEach((role) => {
-    seedFactory.createUserWithRole(role);
-  });
+  // Seed one user per role from cypress/worlds/all-roles.yml
+  cy.seedWorld('all-roles', seedFactory)
+    .then((world) => Object.values(world.users))
+    .as('seededUsers');
 });
 
 Given('I am logged in as a {string} user', (role) => {
   currentRole = role;
 
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     const user = users[role];
 
     if (!user) {
@@ -53,17 +51,15 @@ Given('I am logged in as a {string} user', (role) => {
 });
 
 Given('there are existing transactions', () => {
-  seedFactory.transaction.createMany(5);
+  seedFactory.createTransactions(5).as('seededTransactions');
 });
 
 Given('there are 10 transactions in the system', () => {
-  seedFactory.transaction.createMany(10);
+  seedFactory.createTransactions(10).as('seededTransactions');
 });
 
 Given('there are users with roles {string}, {string}, and {string}', (role1, role2, role3) => {
-  [role1, role2, role3].forEach((role) => {
-    seedFactory.createUserWithRole(role);
-  });
+  seedFactory.createUsersWithRoles([role1, role2, role3]).as('seededUsers');
 });
 
 // ===== When Steps =====
@@ -71,7 +67,7 @@ Given('there are users with roles {string}, {string}, and {string}', (role1, rol
 When('I login as a {string} user', (role) => {
   currentRole = role;
 
-  cy.fixture('users').then((users) => {
+  cy.envFixture('users').then((users) => {
     const user = users[role];
     loginPage.enterUsername(user.username);
     loginPage.enterPassword(user.password);
@@ -105,7 +101,7 @@ When('I attempt to create a transaction of {string} dollars', (amount) => {
 });
 
 When('I check my API access permissions', () => {
-  cy.fixture('roles').then((roles) => {
+  cy.envFixture('roles').then((roles) => {
     const roleData = roles[currentRole];
     cy.wrap(roleData.features.canAccessApi).as('hasApiAccess');
     cy.wrap(roleData.limits.apiRateLimit).as('rateLimit');
@@ -152,7 +148,7 @@ Then('I should see the dashboard page', () => {
 });
 
 Then('I should see features appropriate for {string} role', (role) => {
-  cy.fixture('roles').then((roles) => {
+  cy.envFixture('roles').then((roles) => {
     const roleData = roles[role];
 
     // Verify role-specific features
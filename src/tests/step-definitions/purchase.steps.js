@@ -22,12 +22,9 @@ Given('I am logged in as a test user', () => {
 
 Given('my cart is empty', () => {
   // Clear cart via API or UI
-  cy.request({
+  cy.apiRequest({
     method: 'DELETE',
     url: `${Cypress.env('apiUrl') || '/api'}/cart`,
-    headers: {
-      'Authorization': `Bearer ${Cypress.env('authToken')}`
-    },
     failOnStatusCode: false
   });
 
@@ -47,12 +44,9 @@ Given('I have sufficient balance', () => {
     const balance = parseFloat(balanceText.replace(/[^0-9.-]+/g, ''));
     if (balance < 1000) {
       cy.log('⚠️  Low balance, seeding funds via API');
-      cy.request({
+      cy.apiRequest({
         method: 'POST',
         url: `${Cypress.env('apiUrl') || '/api'}/users/balance`,
-        headers: {
-          'Authorization': `Bearer ${Cypress.env('authToken')}`
-        },
         body: { amount: 5000 },
         failOnStatusCode: false
       });
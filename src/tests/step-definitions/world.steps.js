@@ -0,0 +1,27 @@
+/**
+ * Step Definitions for Scenario Worlds
+ *
+ * Seeds a world file from cypress/worlds in any feature:
+ *   Given the "overdrawn-premium" world is seeded
+ *
+ * Created ids are available as aliases named after their world keys
+ * (cy.get('@alice')) and all created entities as '@world'.
+ */
+
+import { Given, After } from '@badeball/cypress-cucumber-preprocessor';
+import { SeedFactory } from '../../utils';
+
+let worldFactory = null;
+
+Given('the {string} world is seeded', (name) => {
+  worldFactory = worldFactory || new SeedFactory();
+  cy.seedWorld(name, worldFactory);
+});
+
+// Cleanup world entities after each scenario that seeded one
+After(() => {
+  if (worldFactory) {
+    worldFactory.cleanup();
+    worldFactory = null;
+  }
+});
@@ -0,0 +1,247 @@
+/**
+ * API Auth Manager
+ * Keeps API sessions usable for the whole spec, however long it runs
+ *
+ * Sessions created by cy.loginByApi live in the Node-side token store with the
+ * token's expiry (JWT exp, or expiresIn from the login response). Requests
+ * sent through authorizedRequest (cy.apiRequest):
+ *
+ *   1. refresh the token when it expires within authRefreshMargin,
+ *   2. send it as a Bearer token,
+ *   3. on a 401, refresh and retry once.
+ *
+ * A refresh uses the session's refresh token (POST {apiUrl}{authRefreshPath})
+ * and falls back to logging in again with the user's credentials. Every
+ * refresh is logged in the command log as "auth refresh".
+ */
+
+import { getJwtExpiry } from './jwt';
+
+/**
+ * Find the credentials for an API login
+ * A role picks users[role] from the users fixture (or the first active user with
+ * that role); a username without a password is looked up in the fixture too.
+ * Without either, the TEST_USERNAME/TEST_PASSWORD user is used.
+ * @returns {Cypress.Chainable} { key, username, password, role }
+ */
+export const resolveApiLoginUser = ({ role, username, password } = {}) => {
+  const envUsername = Cypress.env('username') || 'testuser';
+
+  if (!role && (!username || password || username === envUsername)) {
+    const user = {
+      username: username || envUsername,
+      password: password || Cypress.env('password') || 'Password123!',
+    };
+    return cy.wrap({ ...user, key: user.username, role: null }, { log: false });
+  }
+
+  return cy.envFixture('users').then((users) => {
+    const candidates = Object.values(users).filter((user) => user && user.username && user.password);
+    const user = role
+      ? [users[role], ...candidates].find(
+        (candidate) => candidate && candidate.role === role && (candidate.status || 'active') === 'active',
+      )
+      : candidates.find((candidate) => candidate.username === username);
+
+    if (!user) {
+      throw new Error(`No user for ${role ? `role '${role}'` : `username '${username}'`} in users.json`);
+    }
+
+    return { key: role || user.username, username: user.username, password: user.password, role: user.role };
+  });
+};
+
+/**
+ * When a token expires: its JWT exp, else the response's expiresIn (seconds)
+ * @returns {string|null} ISO timestamp, or null when unknown
+ */
+const tokenExpiresAt = (token, expiresIn) => {
+  const expiry = getJwtExpiry(token) || (expiresIn ? Date.now() + expiresIn * 1000 : null);
+  return expiry ? new Date(expiry).toISOString() : null;
+};
+
+/**
+ * Store the session from a login or refresh response in the token store
+ * Only the session's identity and token fields are stored; whether the token
+ * has expired is derived from expiresAt whenever the session is read.
+ * @returns {Cypress.Chainable} Stored session
+ */
+const storeSession = (session, body) => {
+  const token = body.token || body.accessToken;
+
+  return cy.task(
+    'storeAuthToken',
+    {
+      key: session.key,
+      username: session.username,
+      role: session.role,
+      token,
+      refreshToken: body.refreshToken || session.refreshToken || null,
+      expiresAt: tokenExpiresAt(token, body.expiresIn),
+      userId: body.userId || (body.user && body.user.id) || session.userId,
+      user: body.user || session.user || null,
+    },
+    { log: false },
+  );
+};
+
+/**
+ * Log in through the API and store the session under its key
+ * @param {Object} credentials - { key, username, password, role }
+ * @returns {Cypress.Chainable} Stored session ({ key, token, expiresAt, ... })
+ */
+export const requestApiLogin = ({ key, username, password, role }) =>
+  cy
+    .request({
+      method: 'POST',
+      url: `${Cypress.env('apiUrl')}${Cypress.env('authLoginPath')}`,
+      body: { username, password },
+      log: false,
+    })
+    .then((response) => storeSession({ key, username, role, refreshToken: null }, response.body));
+
+/**
+ * Refresh a session's token: with its refresh token when it has one, otherwise
+ * (or when the refresh is refused) by logging in again
+ * @param {string} key - Session key (role or username)
+ * @param {string} reason - Why, shown in the command log
+ * @returns {Cypress.Chainable} Refreshed session
+ */
+export const refreshAuthToken = (key, reason = 'requested') =>
+  cy.task('getAuthSession', key, { log: false }).then((session) => {
+    if (!session) {
+      throw new Error(`No API session for '${key}'. Call cy.loginByApi() first.`);
+    }
+
+    let via = 'refresh token';
+
+    const relogin = () => {
+      via = 'login';
+      return resolveApiLoginUser(
+        session.role && session.key === session.role ? { role: session.role } : { username: session.username },
+      ).then((credentials) => requestApiLogin({ ...credentials, key, role: session.role }));
+    };
+
+    const refresh = () => {
+      if (!session.refreshToken) {
+        return relogin();
+      }
+
+      return cy
+        .request({
+          method: 'POST',
+          url: `${Cypress.env('apiUrl')}${Cypress.env('authRefreshPath')}`,
+          body: { refreshToken: session.refreshToken },
+          failOnStatusCode: false,
+          log: false,
+        })
+        .then((response) =>
+          response.status >= 200 && response.status < 300 ? storeSession(session, response.body) : relogin(),
+        );
+    };
+
+    return refresh().then((refreshed) => {
+      if (Cypress.env('authKey') === key) {
+        Cypress.env('authToken', refreshed.token);
+      }
+
+      Cypress.log({
+        name: 'auth refresh',
+        message: `${session.username}: ${reason}`,
+        consoleProps: () => ({
+          Key: key,
+          Reason: reason,
+          Via: via,
+          'Previous expiry': session.expiresAt,
+          'New expiry': refreshed.expiresAt,
+        }),
+      });
+
+      return refreshed;
+    });
+  });
+
+/**
+ * Get a session whose token is not about to expire, refreshing it if needed
+ * @param {string} key - Session key (role or username)
+ * @returns {Cypress.Chainable} Session, or null when there is no such session
+ */
+export const getFreshAuthSession = (key) =>
+  cy.task('getAuthSession', key, { log: false }).then((session) => {
+    if (!session || !session.expiresAt) {
+      return session;
+    }
+
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+
+    if (remaining > Cypress.env('authRefreshMargin')) {
+      return session;
+    }
+
+    return refreshAuthToken(
+      key,
+      remaining <= 0 ? 'token expired' : `token expires in ${Math.round(remaining / 1000)}s`,
+    );
+  });
+
+/**
+ * Send an API request as the current (or given) API session
+ * Takes cy.request options plus `session`, the session key. Without a managed
+ * session, Cypress.env('authToken') is sent as is; a request that sets its own
+ * Authorization header is sent untouched.
+ * @param {Object} options - cy.request options
+ * @param {string} options.session - Session key (default: the last cy.loginByApi session)
+ * @returns {Cypress.Chainable} Response
+ */
+export const authorizedRequest = (options) => {
+  const { session: key = Cypress.env('authKey'), ...requestOptions } = options;
+  const headers = requestOptions.headers || {};
+  const failOnStatusCode = requestOptions.failOnStatusCode !== false;
+
+  const send = (token, overrides = {}) =>
+    cy.request({
+      ...requestOptions,
+      ...overrides,
+      headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers,
+    });
+
+  if (Object.keys(headers).some((name) => name.toLowerCase() === 'authorization')) {
+    return cy.request(requestOptions);
+  }
+
+  if (!key) {
+    return send(Cypress.env('authToken'));
+  }
+
+  return getFreshAuthSession(key).then((session) => {
+    if (!session) {
+      return send(Cypress.env('authToken'));
+    }
+
+    return send(session.token, { failOnStatusCode: false })
+      .then((response) => {
+        if (response.status !== 401) {
+          return response;
+        }
+        return refreshAuthToken(key, `401 from ${requestOptions.method || 'GET'} ${requestOptions.url}`).then(
+          (refreshed) => send(refreshed.token, { failOnStatusCode: false }),
+        );
+      })
+      .then((response) => {
+        if (failOnStatusCode && response.status >= 400) {
+          throw new Error(
+            `${requestOptions.method || 'GET'} ${requestOptions.url} failed with ${response.status}: ${JSON.stringify(response.body)}`,
+          );
+        }
+        return response;
+      });
+  });
+};
+
+export default {
+  resolveApiLoginUser,
+  requestApiLogin,
+  refreshAuthToken,
+  getFreshAuthSession,
+  authorizedRequest,
+};
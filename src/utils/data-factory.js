@@ -2,26 +2,49 @@
  * Data Factory Utility
  * Creates unique test data entities via API
  * Supports environment-aware seeding and parallel execution
+ * Entity defaults and traits live in factory-definitions.js
  */
 
+import { generateRandomString, generateRandomNumber } from './test-utils';
 import {
-  generateRandomEmail,
-  generateRandomUsername,
-  generateRandomString,
-  generateRandomNumber,
-} from './helpers';
+  association,
+  mergeFactoryLayers,
+  getAssociations,
+  resolveAttributes,
+} from './factory-registry';
+import { toOrderItems } from './factory-definitions';
+import { getSeed, randomDigits, randomInt } from './random';
+import { planWorld, resolveReferences } from './world';
+import { assertValidEntity } from './entity-schemas';
+import { getWorkerId } from './namespace';
+import { authorizedRequest } from './api-auth';
 
 /**
  * Get unique namespace for parallel execution
- * Uses combination of timestamp, worker ID, and random string
+ * Uses combination of the data seed, worker ID, and a seeded random number,
+ * so a replayed run (same DATA_SEED) gets the same namespace
  */
 const getNamespace = () => {
-  const timestamp = Date.now();
-  const workerId = Cypress.env('WORKER_ID') || '0';
-  const random = Math.floor(Math.random() * 10000);
-  return `${timestamp}_${workerId}_${random}`;
+  const seed = getSeed();
+  const workerId = getWorkerId();
+  const random = randomInt(0, 9999);
+  return `${seed}_${workerId}_${random}`;
 };
 
+/**
+ * Group cleanup results by entity type
+ * @param {Array<Object>} results - Results yielded by cleanup()
+ * @returns {Object} { [type]: { total, deleted, failed } }
+ * @example seedFactory.cleanup().then((results) => summarizeCleanup(results).users.failed)
+ */
+const summarizeCleanup = (results) =>
+  results.reduce((summary, { type, deleted }) => {
+    const counts = summary[type] || { total: 0, deleted: 0, failed: 0 };
+    counts.total += 1;
+    counts[deleted ? 'deleted' : 'failed'] += 1;
+    return { ...summary, [type]: counts };
+  }, {});
+
 /**
  * Get environment-specific configuration
  */
@@ -61,18 +84,28 @@ const getEnvironmentConfig = () => {
 
 /**
  * Base factory class for creating test data
+ *
+ * Every method returns a Cypress chainable, so calls are queued in order
+ * with the rest of the test and yield the created entities.
  */
 class BaseFactory {
-  constructor() {
+  /**
+   * @param {Object} options - Factory options
+   * @param {string} options.namespace - Namespace shared with sibling factories
+   * @param {string} options.factoryName - Definition used by create() (e.g. 'user')
+   */
+  constructor(options = {}) {
     this.config = getEnvironmentConfig();
     this.createdEntities = [];
-    this.namespace = getNamespace();
+    this.namespace = options.namespace || getNamespace();
+    this.factoryName = options.factoryName || null;
   }
 
   /**
-   * Make API request
+   * Make API request (as the current API session, when there is one)
+   * @returns {Cypress.Chainable} API response
    */
-  async makeRequest(method, endpoint, data = null) {
+  makeRequest(method, endpoint, data = null) {
     const url = `${this.config.apiUrl}${endpoint}`;
 
     const options = {
@@ -89,33 +122,198 @@ class BaseFactory {
       options.body = data;
     }
 
-    return cy.request(options);
+    return authorizedRequest(options);
   }
 
   /**
    * Track created entity for cleanup
+   * Also recorded in the Node-side cleanup ledger, so the entity can still be
+   * removed by `npm run cleanup:orphans` if the run never reaches cleanup()
+   * @returns {Cypress.Chainable} Ledger task
    */
   trackEntity(type, id) {
     this.createdEntities.push({ type, id });
+
+    return cy.task(
+      'recordCreatedEntity',
+      { namespace: this.namespace, type, id },
+      { log: false },
+    );
   }
 
   /**
-   * Clean up all created entities
+   * Validate, POST and track an entity for cleanup
+   * @param {string} type - Entity collection (users, transactions, ...)
+   * @param {Object} data - Entity payload
+   * @param {Object} options - Options
+   * @param {boolean} options.failOnStatusCode - Throw on non-2xx (default: true);
+   *   when false the raw response is yielded instead
+   * @param {boolean} options.validate - Check the payload against cypress/schemas
+   *   before sending (default: same as failOnStatusCode, so negative tests can
+   *   send invalid payloads on purpose)
+   * @param {string} options.schemaPath - Root of validation error paths (default: type)
+   * @returns {Cypress.Chainable} Created entity (or response)
    */
-  async cleanup() {
-    if (!this.config.cleanupAfterTest) {
-      return;
+  createEntity(type, data, options = {}) {
+    const { failOnStatusCode = true, validate = failOnStatusCode, schemaPath = type } = options;
+    const label = type.replace(/s$/, '');
+
+    if (validate) {
+      assertValidEntity(type, data, schemaPath);
     }
 
-    for (const entity of this.createdEntities.reverse()) {
-      try {
-        await this.makeRequest('DELETE', `/${entity.type}/${entity.id}`);
-      } catch (error) {
-        cy.log(`Failed to cleanup ${entity.type}:${entity.id}`, error);
+    return this.makeRequest('POST', `/api/${type}`, data).then((response) => {
+      const created = response.status === 200 || response.status === 201;
+
+      if (!created && failOnStatusCode) {
+        throw new Error(`Failed to create ${label}: ${(response.body && response.body.error) || response.status}`);
       }
+
+      const result = failOnStatusCode ? response.body : response;
+
+      if (!created) {
+        return result;
+      }
+
+      return this.trackEntity(type, response.body.id || data.id).then(() => result);
+    });
+  }
+
+  /**
+   * Create an entity from this factory's definition
+   * @param {Object} overrides - Attribute overrides
+   * @param {Object} options - Request options (see createEntity)
+   * @param {Array<string>} options.traits - Traits to apply, e.g. ['premium']
+   * @returns {Cypress.Chainable} Created entity
+   */
+  create(overrides = {}, options = {}) {
+    const spec = [this.factoryName, ...(options.traits || [])].join(':');
+    return this.createFromDefinition(spec, overrides, options);
+  }
+
+  /**
+   * Create an entity from a factory spec such as 'user:premium'
+   * Associations are created first and their ids (or mapped values)
+   * are filled in before sequences and lazy attributes resolve.
+   * @param {string} spec - Factory name plus traits, colon-separated
+   * @param {Object} overrides - Attribute overrides (replace associations too)
+   * @param {Object} options - Request options (see createEntity)
+   * @returns {Cypress.Chainable} Created entity
+   */
+  createFromDefinition(spec, overrides = {}, options = {}) {
+    const { definition, attributes } = mergeFactoryLayers(spec, overrides);
+
+    return getAssociations(attributes)
+      .reduce(
+        (chain, [key, related]) =>
+          chain.then((resolved) =>
+            this.createAssociation(related).then((created) => ({
+              ...resolved,
+              [key]: related.value(created),
+            })),
+          ),
+        cy.wrap({}, { log: false }),
+      )
+      .then((resolvedAssociations) => {
+        const data = resolveAttributes(
+          definition.name,
+          { ...attributes, ...resolvedAssociations },
+          {
+            namespace: this.namespace,
+            uniqueId: `${this.namespace}_${generateRandomString(8)}`,
+          },
+        );
+
+        return this.createEntity(definition.collection, data, options);
+      });
+  }
+
+  /**
+   * Create the entity (or list of entities) behind an association
+   * @param {Object} related - Association marker from factory-registry
+   * @returns {Cypress.Chainable} Created entity or array of entities
+   */
+  createAssociation(related) {
+    if (related.count) {
+      return this.createSequence(related.count, () =>
+        this.createFromDefinition(related.spec, related.overrides),
+      );
     }
 
-    this.createdEntities = [];
+    return this.createFromDefinition(related.spec, related.overrides);
+  }
+
+  /**
+   * Create entities one after another and yield them as a single array
+   * @param {number} count - Number of entities to create
+   * @param {Function} createOne - (index) => chainable creating one entity
+   * @returns {Cypress.Chainable<Array>} Created entities
+   */
+  createSequence(count, createOne) {
+    return Cypress._.range(count).reduce(
+      (chain, index) =>
+        chain.then((entities) =>
+          createOne(index).then((entity) => [...entities, entity]),
+        ),
+      cy.wrap([], { log: false }),
+    );
+  }
+
+  /**
+   * Clean up all created entities (most recent first)
+   * Entities are read when the command runs, so creates queued
+   * earlier in the test are always included. Deleted entities are
+   * released from the cleanup ledger.
+   * @returns {Cypress.Chainable<Array>} Cleanup result per entity
+   */
+  cleanup() {
+    return cy.wrap(null, { log: false }).then(() => {
+      const results = [];
+      const entities = [...this.createdEntities].reverse();
+
+      if (!this.config.cleanupAfterTest) {
+        // The environment is destroyed after the run, nothing will be orphaned
+        return this.releaseEntities(entities).then(() => results);
+      }
+
+      this.createdEntities = [];
+
+      entities.forEach(({ type, id }) => {
+        this.makeRequest('DELETE', `/api/${type}/${id}`).then((response) => {
+          const deleted = response.status < 300 || response.status === 404;
+
+          if (!deleted) {
+            cy.log(`Failed to cleanup ${type}:${id} (${response.status})`);
+          }
+
+          results.push({ type, id, status: response.status, deleted });
+        });
+      });
+
+      return cy
+        .wrap(results, { log: false })
+        .then((done) => this.releaseEntities(done.filter((result) => result.deleted)))
+        .then(() => results);
+    });
+  }
+
+  /**
+   * Release entities from the cleanup ledger
+   * @param {Array<Object>} entities - [{ type, id }]
+   * @returns {Cypress.Chainable} Ledger task
+   */
+  releaseEntities(entities) {
+    if (!entities.length) {
+      return cy.wrap(null, { log: false });
+    }
+
+    return cy.task(
+      'releaseDeletedEntities',
+      {
+        entities: entities.map(({ type, id }) => ({ namespace: this.namespace, type, id })),
+      },
+      { log: false },
+    );
   }
 }
 
@@ -124,63 +322,34 @@ class BaseFactory {
  * Creates unique user entities
  */
 class UserFactory extends BaseFactory {
-  /**
-   * Create a user with unique data
-   * @param {Object} overrides - Override default user properties
-   * @returns {Promise} Created user data
-   */
-  create(overrides = {}) {
-    const uniqueId = `${this.namespace}_${generateRandomString(8)}`;
-
-    const defaultData = {
-      id: `user-${uniqueId}`,
-      username: generateRandomUsername('user'),
-      email: generateRandomEmail('user'),
-      password: 'Test123!',
-      firstName: 'Test',
-      lastName: 'User',
-      role: 'standard',
-      status: 'active',
-      balance: 1000.0,
-      phone: `+1-555-${generateRandomNumber(1000, 9999)}`,
-    };
-
-    const userData = { ...defaultData, ...overrides };
-
-    return this.makeRequest('POST', '/api/users', userData).then((response) => {
-      if (response.status === 200 || response.status === 201) {
-        this.trackEntity('users', userData.id);
-        return cy.wrap(response.body);
-      } else {
-        throw new Error(`Failed to create user: ${response.body.error}`);
-      }
-    });
+  constructor(options = {}) {
+    super({ factoryName: 'user', ...options });
   }
 
   /**
    * Create user from fixture
-   * @param {string} fixtureKey - Key in users.json fixture
-   * @returns {Promise} Created user data
+   * @param {string} fixtureKey - Key in users.json fixture (environment overlay applied)
+   * @returns {Cypress.Chainable} Created user data
    */
   createFromFixture(fixtureKey) {
-    return cy.fixture('users').then((users) => {
+    return cy.envFixture('users').then((users) => {
       const fixtureUser = users[fixtureKey];
 
       if (!fixtureUser) {
         throw new Error(`User fixture '${fixtureKey}' not found`);
       }
 
-      // Make email and username unique
-      const uniqueSuffix = `_${Date.now()}_${Math.random()
-        .toString(36)
-        .substring(7)}`;
+      // Make email and username unique; the fixture id belongs to the fixture
+      // user itself (the mock server preloads it), so the API assigns a new one
+      const uniqueSuffix = `_${randomDigits(13)}_${generateRandomString(6).toLowerCase()}`;
       const uniqueUser = {
         ...fixtureUser,
         email: fixtureUser.email.replace('@', `${uniqueSuffix}@`),
         username: `${fixtureUser.username}${uniqueSuffix}`,
       };
+      delete uniqueUser.id;
 
-      return this.create(uniqueUser);
+      return this.create(uniqueUser, { schemaPath: `users.${fixtureKey}` });
     });
   }
 
@@ -188,30 +357,34 @@ class UserFactory extends BaseFactory {
    * Create multiple users
    * @param {number} count - Number of users to create
    * @param {Object} baseData - Base data for all users
-   * @returns {Promise} Array of created users
+   * @returns {Cypress.Chainable<Array>} Array of created users
    */
   createMany(count, baseData = {}) {
-    const promises = [];
-
-    for (let i = 0; i < count; i++) {
-      promises.push(
-        this.create({
-          ...baseData,
-          username: `${baseData.username || 'user'}_${i}`,
-        })
-      );
-    }
+    return this.createSequence(count, (i) =>
+      this.create(
+        baseData.username
+          ? { ...baseData, username: `${baseData.username}_${i}` }
+          : baseData,
+      ),
+    );
+  }
 
-    return cy.wrap(Promise.all(promises));
+  /**
+   * Create one user per role
+   * @param {Array<string>} roles - Roles to create users for
+   * @returns {Cypress.Chainable<Array>} Array of created users
+   */
+  createWithRoles(roles) {
+    return this.createSequence(roles.length, (i) => this.createWithRole(roles[i]));
   }
 
   /**
    * Create user with specific role
    * @param {string} role - User role (standard, premium, admin, etc.)
-   * @returns {Promise} Created user data
+   * @returns {Cypress.Chainable} Created user data
    */
   createWithRole(role) {
-    return cy.fixture('roles').then((roles) => {
+    return cy.envFixture('roles').then((roles) => {
       const roleData = roles[role];
 
       if (!roleData) {
@@ -231,65 +404,30 @@ class UserFactory extends BaseFactory {
  * Creates unique transaction entities
  */
 class TransactionFactory extends BaseFactory {
-  /**
-   * Create a transaction
-   * @param {Object} overrides - Override default transaction properties
-   * @returns {Promise} Created transaction data
-   */
-  create(overrides = {}) {
-    const uniqueId = `${this.namespace}_${generateRandomString(8)}`;
-
-    const defaultData = {
-      id: `txn-${uniqueId}`,
-      amount: generateRandomNumber(10, 1000),
-      type: 'payment',
-      status: 'completed',
-      description: `Test transaction ${uniqueId}`,
-      createdAt: new Date().toISOString(),
-    };
-
-    const transactionData = { ...defaultData, ...overrides };
-
-    return this.makeRequest('POST', '/api/transactions', transactionData).then(
-      (response) => {
-        if (response.status === 200 || response.status === 201) {
-          this.trackEntity('transactions', transactionData.id);
-          return cy.wrap(response.body);
-        } else {
-          throw new Error(
-            `Failed to create transaction: ${response.body.error}`
-          );
-        }
-      }
-    );
+  constructor(options = {}) {
+    super({ factoryName: 'transaction', ...options });
   }
 
   /**
    * Create multiple transactions
    * @param {number} count - Number of transactions to create
    * @param {Object} baseData - Base data for all transactions
-   * @returns {Promise} Array of created transactions
+   * @returns {Cypress.Chainable<Array>} Array of created transactions
    */
   createMany(count, baseData = {}) {
-    const promises = [];
-
-    for (let i = 0; i < count; i++) {
-      promises.push(
-        this.create({
-          ...baseData,
-          description: `${baseData.description || 'Transaction'} ${i + 1}`,
-        })
-      );
-    }
-
-    return cy.wrap(Promise.all(promises));
+    return this.createSequence(count, (i) =>
+      this.create({
+        ...baseData,
+        description: `${baseData.description || 'Transaction'} ${i + 1}`,
+      }),
+    );
   }
 
   /**
    * Create transaction for specific user
    * @param {string} userId - User ID
    * @param {Object} overrides - Override default properties
-   * @returns {Promise} Created transaction data
+   * @returns {Cypress.Chainable} Created transaction data
    */
   createForUser(userId, overrides = {}) {
     return this.create({
@@ -304,47 +442,17 @@ class TransactionFactory extends BaseFactory {
  * Creates unique product entities
  */
 class ProductFactory extends BaseFactory {
-  /**
-   * Create a product
-   * @param {Object} overrides - Override default product properties
-   * @returns {Promise} Created product data
-   */
-  create(overrides = {}) {
-    const uniqueId = `${this.namespace}_${generateRandomString(8)}`;
-
-    const defaultData = {
-      id: `prod-${uniqueId}`,
-      sku: `SKU-${uniqueId}`,
-      name: `Test Product ${uniqueId}`,
-      description: 'Test product description',
-      category: 'widgets',
-      price: generateRandomNumber(10, 100),
-      currency: 'USD',
-      stock: generateRandomNumber(10, 100),
-      status: 'active',
-    };
-
-    const productData = { ...defaultData, ...overrides };
-
-    return this.makeRequest('POST', '/api/products', productData).then(
-      (response) => {
-        if (response.status === 200 || response.status === 201) {
-          this.trackEntity('products', productData.id);
-          return cy.wrap(response.body);
-        } else {
-          throw new Error(`Failed to create product: ${response.body.error}`);
-        }
-      }
-    );
+  constructor(options = {}) {
+    super({ factoryName: 'product', ...options });
   }
 
   /**
    * Create product from fixture
-   * @param {string} fixtureKey - Key in products.json fixture
-   * @returns {Promise} Created product data
+   * @param {string} fixtureKey - Key in products.json fixture (environment overlay applied)
+   * @returns {Cypress.Chainable} Created product data
    */
   createFromFixture(fixtureKey) {
-    return cy.fixture('products').then((products) => {
+    return cy.envFixture('products').then((products) => {
       const fixtureProduct = products[fixtureKey];
 
       if (!fixtureProduct) {
@@ -352,16 +460,14 @@ class ProductFactory extends BaseFactory {
       }
 
       // Make SKU unique
-      const uniqueSuffix = `_${Date.now()}_${Math.random()
-        .toString(36)
-        .substring(7)}`;
+      const uniqueSuffix = `_${randomDigits(13)}_${generateRandomString(6).toLowerCase()}`;
       const uniqueProduct = {
         ...fixtureProduct,
         sku: `${fixtureProduct.sku}-${uniqueSuffix}`,
         id: `${fixtureProduct.id}-${uniqueSuffix}`,
       };
 
-      return this.create(uniqueProduct);
+      return this.create(uniqueProduct, { schemaPath: `products.${fixtureKey}` });
     });
   }
 
@@ -369,21 +475,15 @@ class ProductFactory extends BaseFactory {
    * Create multiple products
    * @param {number} count - Number of products to create
    * @param {Object} baseData - Base data for all products
-   * @returns {Promise} Array of created products
+   * @returns {Cypress.Chainable<Array>} Array of created products
    */
   createMany(count, baseData = {}) {
-    const promises = [];
-
-    for (let i = 0; i < count; i++) {
-      promises.push(
-        this.create({
-          ...baseData,
-          name: `${baseData.name || 'Product'} ${i + 1}`,
-        })
-      );
-    }
-
-    return cy.wrap(Promise.all(promises));
+    return this.createSequence(count, (i) =>
+      this.create({
+        ...baseData,
+        name: `${baseData.name || 'Product'} ${i + 1}`,
+      }),
+    );
   }
 }
 
@@ -392,79 +492,107 @@ class ProductFactory extends BaseFactory {
  * Creates unique order entities
  */
 class OrderFactory extends BaseFactory {
-  /**
-   * Create an order
-   * @param {Object} overrides - Override default order properties
-   * @returns {Promise} Created order data
-   */
-  create(overrides = {}) {
-    const uniqueId = `${this.namespace}_${generateRandomString(8)}`;
-
-    const defaultData = {
-      id: `order-${uniqueId}`,
-      orderNumber: `ORD-${uniqueId}`,
-      status: 'pending',
-      total: generateRandomNumber(100, 1000),
-      currency: 'USD',
-      items: [],
-      createdAt: new Date().toISOString(),
-    };
-
-    const orderData = { ...defaultData, ...overrides };
-
-    return this.makeRequest('POST', '/api/orders', orderData).then(
-      (response) => {
-        if (response.status === 200 || response.status === 201) {
-          this.trackEntity('orders', orderData.id);
-          return cy.wrap(response.body);
-        } else {
-          throw new Error(`Failed to create order: ${response.body.error}`);
-        }
-      }
-    );
+  constructor(options = {}) {
+    super({ factoryName: 'order', ...options });
   }
 
   /**
-   * Create order with products
-   * @param {Array} productIds - Array of product IDs
-   * @param {Object} overrides - Override default properties
-   * @returns {Promise} Created order data
+   * Create order with products and its user
+   * The user and any products not passed in are created first through
+   * the 'user' and 'product' definitions, then cleaned up with the order.
+   * @param {Array|number} products - Existing product IDs, or how many products to create
+   * @param {Object} overrides - Override default properties (pass userId to skip the user)
+   * @returns {Cypress.Chainable} Created order data
    */
-  createWithProducts(productIds, overrides = {}) {
-    const items = productIds.map((productId, index) => ({
-      productId,
-      quantity: generateRandomNumber(1, 5),
-      price: generateRandomNumber(10, 100),
-    }));
-
-    const total = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
-
-    return this.create({
-      items,
-      total,
-      ...overrides,
-    });
+  createWithProducts(products = 2, overrides = {}) {
+    const items = Array.isArray(products)
+      ? products.map((productId) => ({
+        productId,
+        quantity: generateRandomNumber(1, 5),
+        price: generateRandomNumber(10, 100),
+      }))
+      : association('product', { count: products, value: toOrderItems });
+
+    return this.createFromDefinition('order:withUser', { items, ...overrides });
   }
 }
 
 /**
  * Main Seed Factory
  * Orchestrates all factories and provides unified interface
+ * All factories share one namespace, and every method returns a chainable,
+ * so the same calls work in .cy.js specs and in step definitions.
  */
 class SeedFactory {
-  constructor() {
-    this.user = new UserFactory();
-    this.transaction = new TransactionFactory();
-    this.product = new ProductFactory();
-    this.order = new OrderFactory();
-    this.namespace = getNamespace();
+  /**
+   * @param {Object} options - Factory options
+   * @param {string} options.namespace - Namespace for all created entities
+   */
+  constructor(options = {}) {
+    this.namespace = options.namespace || getNamespace();
+
+    const factoryOptions = { namespace: this.namespace };
+    this.user = new UserFactory(factoryOptions);
+    this.transaction = new TransactionFactory(factoryOptions);
+    this.product = new ProductFactory(factoryOptions);
+    this.order = new OrderFactory(factoryOptions);
+    this.entity = new BaseFactory(factoryOptions);
+  }
+
+  /**
+   * Create any defined entity from a factory spec
+   * @param {string} spec - Factory name plus traits, e.g. 'user:premium' or 'order:shipped'
+   * @param {Object} overrides - Attribute overrides
+   * @param {Object} options - Request options
+   * @example seedFactory.create('order:shipped:withUser')
+   */
+  create(spec, overrides = {}, options = {}) {
+    return this.entity.createFromDefinition(spec, overrides, options);
+  }
+
+  /**
+   * Create every entity of a scenario world, referenced entities first
+   * @param {Object} world - Parsed world ({ [collection]: { [key]: entity } }), see world.js
+   * @returns {Cypress.Chainable<Object>} Created entities ({ [collection]: { [key]: entity } })
+   * @example seedFactory.createWorld({ users: { alice: { traits: ['premium'] } } })
+   */
+  createWorld(world) {
+    return planWorld(world).reduce(
+      (chain, { collection, key, spec, attributes }) =>
+        chain.then((created) =>
+          this.create(spec, resolveReferences(attributes, created)).then((entity) => ({
+            ...created,
+            [collection]: { ...created[collection], [key]: entity },
+          })),
+        ),
+      cy.wrap({}, { log: false }),
+    );
+  }
+
+  /**
+   * Create a list of defined entities, yielded as one array
+   * @param {string} spec - Factory spec
+   * @param {number} count - Number of entities
+   * @param {Object} overrides - Attribute overrides for every entity
+   */
+  createList(spec, count, overrides = {}) {
+    return this.entity.createSequence(count, () =>
+      this.entity.createFromDefinition(spec, overrides),
+    );
   }
 
   /**
    * Create user via API
    */
-  createUser(overrides = {}) {
-    return this.user.create(overrides);
+  createUser(overrides = {}, options = {}) {
+    return this.user.create(overrides, options);
+  }
+
+  /**
+   * Create multiple users, yielded as one array
+   */
+  createUsers(count, baseData = {}) {
+    return this.user.createMany(count, baseData);
   }
 
   /**
@@ -481,18 +609,39 @@ class SeedFactory {
     return this.user.createWithRole(role);
   }
 
+  /**
+   * Create one user per role, yielded as one array
+   */
+  createUsersWithRoles(roles) {
+    return this.user.createWithRoles(roles);
+  }
+
   /**
    * Create transaction via API
    */
-  createTransaction(overrides = {}) {
-    return this.transaction.create(overrides);
+  createTransaction(overrides = {}, options = {}) {
+    return this.transaction.create(overrides, options);
+  }
+
+  /**
+   * Create multiple transactions, yielded as one array
+   */
+  createTransactions(count, baseData = {}) {
+    return this.transaction.createMany(count, baseData);
   }
 
   /**
    * Create product via API
    */
-  createProduct(overrides = {}) {
-    return this.product.create(overrides);
+  createProduct(overrides = {}, options = {}) {
+    return this.product.create(overrides, options);
+  }
+
+  /**
+   * Create multiple products, yielded as one array
+   */
+  createProducts(count, baseData = {}) {
+    return this.product.createMany(count, baseData);
   }
 
   /**
@@ -505,27 +654,47 @@ class SeedFactory {
   /**
    * Create order via API
    */
-  createOrder(overrides = {}) {
-    return this.order.create(overrides);
+  createOrder(overrides = {}, options = {}) {
+    return this.order.create(overrides, options);
   }
 
   /**
-   * Create order with products
+   * Create order with products (and its user)
    */
-  createOrderWithProducts(productIds, overrides = {}) {
-    return this.order.createWithProducts(productIds, overrides);
+  createOrderWithProducts(products, overrides = {}) {
+    return this.order.createWithProducts(products, overrides);
   }
 
   /**
    * Cleanup all created entities
+   * Dependents go first: generic entities, orders, transactions, products, then users
+   * Logs a deleted/failed count per entity type.
+   * @returns {Cypress.Chainable<Array>} Cleanup result per entity
    */
   cleanup() {
-    return Promise.all([
-      this.user.cleanup(),
-      this.transaction.cleanup(),
-      this.product.cleanup(),
-      this.order.cleanup(),
-    ]);
+    const results = [];
+
+    [this.entity, this.order, this.transaction, this.product, this.user].forEach((factory) => {
+      factory.cleanup().then((factoryResults) => {
+        results.push(...factoryResults);
+      });
+    });
+
+    return cy.wrap(results, { log: false }).then(() => {
+      const summary = summarizeCleanup(results);
+
+      if (results.length) {
+        Cypress.log({
+          name: 'cleanup',
+          message: Object.entries(summary)
+            .map(([type, { deleted, total }]) => `${type} ${deleted}/${total}`)
+            .join(', '),
+          consoleProps: () => ({ Namespace: this.namespace, Summary: summary, Results: results }),
+        });
+      }
+
+      return results;
+    });
   }
 
   /**
@@ -545,6 +714,7 @@ export {
   OrderFactory,
   getNamespace,
   getEnvironmentConfig,
+  summarizeCleanup,
 };
 
 // Default export
@@ -0,0 +1,63 @@
+/**
+ * Entity Schemas
+ * JSON Schemas (cypress/schemas) for the entities SeedFactory sends to the API
+ *
+ * Every factory payload is checked before it is sent, so a definition or
+ * override the API would reject fails with the exact field instead of a 400.
+ * The same schemas validate the fixtures (npm run validate:fixtures).
+ */
+
+import userSchema from '../../cypress/schemas/user.schema.json';
+import roleSchema from '../../cypress/schemas/role.schema.json';
+import productSchema from '../../cypress/schemas/product.schema.json';
+import orderSchema from '../../cypress/schemas/order.schema.json';
+import transactionSchema from '../../cypress/schemas/transaction.schema.json';
+import { validateSchema, formatSchemaErrors } from './schema-validator';
+
+/**
+ * Schemas by API collection
+ */
+export const ENTITY_SCHEMAS = {
+  users: userSchema,
+  roles: roleSchema,
+  products: productSchema,
+  orders: orderSchema,
+  transactions: transactionSchema,
+};
+
+/**
+ * Validate an entity payload
+ * Collections without a schema (e.g. ones added with defineFactory) always pass.
+ * @param {string} collection - API collection (e.g. 'users')
+ * @param {Object} data - Payload
+ * @param {string} path - Root of error paths (default: the collection)
+ * @returns {Array<Object>} Errors: [{ path, message }]
+ */
+export const validateEntity = (collection, data, path = collection) => {
+  const schema = ENTITY_SCHEMAS[collection];
+  return schema ? validateSchema(schema, data, path) : [];
+};
+
+/**
+ * Validate an entity payload and throw on the first invalid payload
+ * @param {string} collection - API collection
+ * @param {Object} data - Payload
+ * @param {string} path - Root of error paths
+ * @throws {Error} Listing every invalid field, e.g. "users.premium.address.zipCode must match ..."
+ * @example assertValidEntity('users', payload, 'users.premium')
+ */
+export const assertValidEntity = (collection, data, path = collection) => {
+  const errors = validateEntity(collection, data, path);
+
+  if (errors.length) {
+    throw new Error(
+      `Invalid ${collection.replace(/s$/, '')} payload (${errors.length} error${errors.length > 1 ? 's' : ''}):\n${formatSchemaErrors(errors)}`,
+    );
+  }
+};
+
+export default {
+  ENTITY_SCHEMAS,
+  validateEntity,
+  assertValidEntity,
+};
@@ -10,9 +10,59 @@
  * - Unique user generation per test run
  * - No hardcoded credentials
  * - API key rotation support
+ *
+ * Users are created through the run's seed adapter by the createEphemeralUser
+ * task (cy.createEphemeralUser) and stored with ephemeral, environment, runId
+ * and expiresAt fields. cleanupExpiredUsers() sweeps users past their expiresAt,
+ * so users left behind by a crashed run are deleted at the start of the next one.
  */
 
 const crypto = require('crypto');
+const { createSecretStore } = require('./secret-store');
+
+// Per-process counter so seeded usernames stay unique within a run
+let seededUserCount = 0;
+
+/**
+ * Random username suffix - derived from DATA_SEED when set, so the usernames
+ * of a replayed run follow the same sequence (passwords stay cryptographically
+ * random). The run is mixed in too: a replay or a CI job sharing the seed must
+ * not regenerate usernames an earlier run left in a persistent backend.
+ *
+ * @param {string} prefix - Username prefix
+ * @param {string} run - Run the user belongs to (the ledger run id or a timestamp)
+ * @returns {string} 8 hex characters
+ */
+function usernameSuffix(prefix, run) {
+  const seed = process.env.DATA_SEED;
+  if (!seed) {
+    return crypto.randomBytes(4).toString('hex');
+  }
+
+  seededUserCount += 1;
+  return crypto
+    .createHash('sha256')
+    .update(`${seed}:${run}:${process.env.WORKER_ID || '0'}:${prefix}:${seededUserCount}`)
+    .digest('hex')
+    .substring(0, 8);
+}
+
+/**
+ * Generate a base32 TOTP secret (RFC 4648 alphabet, 160 bits as RFC 4226 recommends)
+ *
+ * @returns {string} 32-character secret
+ */
+function generateTotpSecret() {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bytes = crypto.randomBytes(20);
+  let bits = '';
+
+  for (const byte of bytes) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  return bits.match(/.{5}/g).map((chunk) => alphabet[parseInt(chunk, 2)]).join('');
+}
 
 /**
  * Generate ephemeral test user credentials
@@ -21,6 +71,9 @@ const crypto = require('crypto');
  * @param {string} options.prefix - Username prefix (default: 'test')
  * @param {number} options.ttl - Time-to-live in milliseconds (default: 1 hour)
  * @param {string} options.environment - Environment identifier
+ * @param {string} options.runId - Run the user belongs to (default: CI run id)
+ * @param {string} options.role - User role (default: 'standard')
+ * @param {boolean} options.mfa - Enroll the user in TOTP MFA (adds totpSecret)
  * @returns {Object} User credentials with expiration
  */
 function generateEphemeralUser(options = {}) {
@@ -28,11 +81,14 @@ function generateEphemeralUser(options = {}) {
     prefix = 'test',
     ttl = 60 * 60 * 1000, // 1 hour
     environment = process.env.ENVIRONMENT || 'local',
+    runId = null,
+    role = 'standard',
+    mfa = false,
   } = options;
 
   const timestamp = Date.now();
-  const random = crypto.randomBytes(4).toString('hex');
-  const username = `${prefix}_${environment}_${timestamp}_${random}`;
+  const random = usernameSuffix(prefix, runId || timestamp);
+  const username = `${prefix}_${environment}_${random}`;
 
   // Generate secure random password
   const password = crypto.randomBytes(16).toString('base64');
@@ -44,13 +100,15 @@ function generateEphemeralUser(options = {}) {
     username,
     password,
     email: `${username}@ephemeral.test`,
+    role,
+    ...(mfa ? { totpSecret: generateTotpSecret() } : {}),
     createdAt: new Date(timestamp),
     expiresAt,
     ttl,
     environment,
     metadata: {
       isEphemeral: true,
-      runId: process.env.GITHUB_RUN_ID || process.env.BUILD_NUMBER || random,
+      runId: runId || process.env.GITHUB_RUN_ID || process.env.BUILD_NUMBER || random,
       workerId: process.env.WORKER_ID || '0',
     },
   };
@@ -92,111 +150,162 @@ function generateRotatableApiKey(options = {}) {
 }
 
 /**
- * Create ephemeral user via API (simulated)
+ * Seed adapter used when none is passed: the application API at API_URL
+ */
+function defaultAdapter() {
+  const { HttpSeedAdapter } = require('../../cypress/plugins/seeding/http-adapter.cjs');
+
+  return new HttpSeedAdapter({
+    apiUrl: process.env.API_URL,
+    token: process.env.SEED_API_TOKEN,
+  });
+}
+
+/**
+ * Check whether an ephemeral user is past its expiresAt
+ * A missing or unparseable expiresAt never counts as expired.
+ *
+ * @param {Object} user - Ephemeral user (or stored user record)
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} Whether the user has expired
+ */
+function isExpiredUser(user, now = Date.now()) {
+  const expiresAt = new Date(user.expiresAt).getTime();
+  return !Number.isNaN(expiresAt) && expiresAt <= now;
+}
+
+/**
+ * Check whether a stored user is an ephemeral user of the swept environment (and run)
  *
- * In a real implementation, this would call your backend API
- * to create a temporary user account.
+ * @param {Object} user - Stored user record
+ * @param {string} environment - Environment being swept
+ * @param {string} runId - Run being swept (optional)
+ * @returns {boolean} Whether the sweep may delete the user
+ */
+function isSweepCandidate(user, environment, runId = null) {
+  return user.ephemeral === true && user.environment === environment && (!runId || user.runId === runId);
+}
+
+/**
+ * Create ephemeral user through a seed adapter
+ *
+ * The stored user carries the fields the sweeper filters on:
+ * ephemeral, environment, runId and expiresAt.
  *
  * @param {Object} user - User credentials from generateEphemeralUser
+ * @param {Object} adapter - Seed adapter (default: HTTP adapter for API_URL)
  * @returns {Promise<Object>} Created user with ID
  */
-async function createEphemeralUser(user) {
-  // Simulate API call
-  console.log(`[Ephemeral User] Creating user: ${user.username}`);
-
-  // In reality, call your API:
-  // const response = await fetch(`${API_URL}/users/ephemeral`, {
-  //   method: 'POST',
-  //   headers: { 'Content-Type': 'application/json' },
-  //   body: JSON.stringify(user),
-  // });
-  // return response.json();
+async function createEphemeralUser(user, adapter = defaultAdapter()) {
+  const record = await adapter.create('users', {
+    username: user.username,
+    password: user.password,
+    email: user.email,
+    role: user.role || 'standard',
+    status: 'active',
+    ...(user.totpSecret ? { totpSecret: user.totpSecret } : {}),
+    ephemeral: true,
+    environment: user.environment,
+    runId: user.metadata.runId,
+    workerId: user.metadata.workerId,
+    createdAt: new Date(user.createdAt).toISOString(),
+    expiresAt: new Date(user.expiresAt).toISOString(),
+  });
+
+  console.log(`[Ephemeral User] Created ${user.username} (expires ${record.expiresAt})`);
 
   return {
     ...user,
-    id: crypto.randomUUID(),
+    id: record.id,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
     created: true,
   };
 }
 
 /**
- * Cleanup expired ephemeral users
+ * Delete ephemeral users
+ * A user that no longer exists counts as deleted.
  *
- * @param {string} environment - Environment to cleanup
- * @returns {Promise<Object>} Cleanup results
+ * @param {Array<Object>} users - Users with an id
+ * @param {Object} adapter - Seed adapter (default: HTTP adapter for API_URL)
+ * @returns {Promise<Object>} { deleted, failed, results: [{ id, username, deleted, error }] }
  */
-async function cleanupExpiredUsers(environment = process.env.ENVIRONMENT) {
-  console.log(`[Ephemeral User] Cleaning up expired users in ${environment}`);
-
-  // In reality, call your cleanup API:
-  // const response = await fetch(`${API_URL}/users/ephemeral/cleanup`, {
-  //   method: 'DELETE',
-  //   headers: {
-  //     'Content-Type': 'application/json',
-  //     'Authorization': `Bearer ${ADMIN_TOKEN}`,
-  //   },
-  //   body: JSON.stringify({ environment }),
-  // });
-  // return response.json();
+async function deleteEphemeralUsers(users = [], adapter = defaultAdapter()) {
+  const results = [];
+
+  for (const user of users) {
+    try {
+      await adapter.remove('users', user.id);
+      results.push({ id: user.id, username: user.username, deleted: true });
+    } catch (error) {
+      console.log(`[Ephemeral User] Failed to delete ${user.username}: ${error.message}`);
+      results.push({ id: user.id, username: user.username, deleted: false, error: error.message });
+    }
+  }
 
   return {
-    environment,
-    deleted: 0,
-    timestamp: new Date().toISOString(),
+    deleted: results.filter((result) => result.deleted).length,
+    failed: results.filter((result) => !result.deleted).length,
+    results,
   };
 }
 
 /**
- * Cypress command integration
+ * Cleanup expired ephemeral users
  *
- * Usage in tests:
- * cy.createEphemeralUser().then((user) => {
- *   cy.login(user.username, user.password);
- * });
+ * @param {Object|string} options - Sweep options (or just the environment)
+ * @param {string} options.environment - Environment to sweep
+ * @param {string} options.runId - Only sweep users created by this run
+ * @param {Object} options.adapter - Seed adapter (default: HTTP adapter for API_URL)
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {Promise<Object>} Cleanup results
  */
-if (typeof Cypress !== 'undefined') {
-  Cypress.Commands.add('createEphemeralUser', (options = {}) => {
-    const user = generateEphemeralUser(options);
-
-    return cy.task('createEphemeralUser', user).then((createdUser) => {
-      // Store for cleanup
-      Cypress.env('ephemeralUsers', [
-        ...(Cypress.env('ephemeralUsers') || []),
-        createdUser,
-      ]);
-
-      return createdUser;
-    });
-  });
+async function cleanupExpiredUsers(options = {}) {
+  const {
+    environment = process.env.ENVIRONMENT || 'local',
+    runId = null,
+    adapter = defaultAdapter(),
+    now = Date.now(),
+  } = typeof options === 'string' ? { environment: options } : options;
 
-  Cypress.Commands.add('cleanupEphemeralUsers', () => {
-    const users = Cypress.env('ephemeralUsers') || [];
+  const filter = runId ? { ephemeral: true, environment, runId } : { ephemeral: true, environment };
+  const candidates = await adapter.find('users', filter);
 
-    if (users.length === 0) {
-      return cy.wrap(null);
-    }
+  // Backends may ignore the query and list every user, so filter here as well
+  const expired = candidates.filter(
+    (user) => isSweepCandidate(user, environment, runId) && isExpiredUser(user, now),
+  );
+  const { deleted, failed, results } = await deleteEphemeralUsers(expired, adapter);
 
-    return cy.task('cleanupEphemeralUsers', users).then((result) => {
-      Cypress.env('ephemeralUsers', []);
-      return result;
-    });
-  });
+  console.log(
+    `[Ephemeral User] Swept ${deleted} of ${expired.length} expired user(s) in ${environment}` +
+      (runId ? ` for run ${runId}` : ''),
+  );
 
-  // Automatic cleanup after tests
-  after(() => {
-    cy.cleanupEphemeralUsers();
-  });
+  return {
+    environment,
+    runId,
+    expired: expired.length,
+    deleted,
+    failed,
+    users: results,
+    timestamp: new Date(now).toISOString(),
+  };
 }
 
 /**
  * Environment-specific user pools
  *
- * Manages pools of ephemeral users for different environments
+ * Manages pools of ephemeral users for different environments.
+ * The pool lives in one process; to share fixture users between parallel
+ * workers use cy.leaseUser (cypress/plugins/user-pool).
  */
 class EphemeralUserPool {
-  constructor(environment, poolSize = 5) {
+  constructor(environment, poolSize = 5, adapter = defaultAdapter()) {
     this.environment = environment;
     this.poolSize = poolSize;
+    this.adapter = adapter;
     this.users = [];
   }
 
@@ -212,7 +321,7 @@ class EphemeralUserPool {
         environment: this.environment,
       });
 
-      const created = await createEphemeralUser(user);
+      const created = await createEphemeralUser(user, this.adapter);
       this.users.push(created);
     }
 
@@ -240,22 +349,42 @@ class EphemeralUserPool {
   async cleanup() {
     console.log(`[User Pool] Cleaning up ${this.users.length} users`);
 
-    for (const user of this.users) {
-      // Call cleanup API for each user
-      console.log(`[User Pool] Deleting user: ${user.username}`);
-    }
+    const result = await deleteEphemeralUsers(this.users, this.adapter);
 
-    this.users = [];
+    // Keep users that could not be deleted so a later cleanup can retry them
+    this.users = this.users.filter((user) =>
+      result.results.some((entry) => entry.id === user.id && !entry.deleted),
+    );
+
+    return result;
   }
 }
 
 /**
  * API Key rotation helper for CI
+ *
+ * Keys live in a secret store (src/utils/secret-store.js) under storageKey as
+ * { current, history }. An unexpired key is reused, so a CI job with a
+ * persistent store (encrypted file cache, or env) keeps one key across runs.
+ * On expiry a new version is generated and the previous one is revoked.
  */
 class ApiKeyRotator {
-  constructor(service, storageKey = 'API_KEY') {
+  /**
+   * @param {string} service - Service name
+   * @param {string} storageKey - Record name in the secret store
+   * @param {Object} options - Rotator options
+   * @param {Object} options.store - Secret store (default: createSecretStore())
+   * @param {number} options.ttl - Key time-to-live in milliseconds (default: 24 hours)
+   * @param {Function} options.revoke - async (key) => void, revokes a key at the service
+   * @param {number} options.historyLimit - Rotation history entries to keep (default: 20)
+   */
+  constructor(service, storageKey = 'API_KEY', options = {}) {
     this.service = service;
     this.storageKey = storageKey;
+    this.store = options.store || createSecretStore();
+    this.ttl = options.ttl;
+    this.revokeKey = options.revoke || null;
+    this.historyLimit = options.historyLimit || 20;
     this.currentKey = null;
   }
 
@@ -264,7 +393,7 @@ class ApiKeyRotator {
    */
   async getKey() {
     // Check if we have a valid key
-    const stored = this.getStoredKey();
+    const stored = await this.getStoredKey();
 
     if (stored && !this.isExpired(stored)) {
       this.currentKey = stored;
@@ -276,22 +405,66 @@ class ApiKeyRotator {
   }
 
   /**
-   * Rotate API key
+   * Rotate API key: store a new version, then revoke the previous one
    */
   async rotate() {
     console.log(`[API Key] Rotating key for ${this.service}`);
 
+    const record = (await this.store.get(this.storageKey)) || { current: null, history: [] };
+    const previous = record.current;
     const newKey = generateRotatableApiKey({
       service: this.service,
+      ttl: this.ttl,
     });
 
-    // In reality, store in secure vault (AWS Secrets Manager, etc.)
-    // await storeInVault(this.storageKey, newKey);
+    newKey.metadata.version = ((previous && previous.metadata && previous.metadata.version) || 0) + 1;
+
+    const entry = {
+      keyId: newKey.keyId,
+      version: newKey.metadata.version,
+      createdAt: newKey.createdAt.toISOString(),
+      expiresAt: newKey.expiresAt.toISOString(),
+      status: 'active',
+    };
+
+    // Store the new key before revoking the old one, so a failed revoke never loses it
+    record.current = JSON.parse(JSON.stringify(newKey));
+    record.history = [...(record.history || []), entry].slice(-this.historyLimit);
+    await this.store.set(this.storageKey, record);
 
-    this.currentKey = newKey;
+    if (previous) {
+      await this.revoke(previous, record);
+    }
+
+    this.currentKey = record.current;
     return newKey.apiKey;
   }
 
+  /**
+   * Revoke a previous key version and record it in the rotation history
+   *
+   * @param {Object} key - Stored key
+   * @param {Object} record - Secret store record holding the history
+   */
+  async revoke(key, record) {
+    const entry = (record.history || []).find((item) => item.keyId === key.keyId);
+    const update = { status: 'revoked', revokedAt: new Date().toISOString() };
+
+    try {
+      if (this.revokeKey) {
+        await this.revokeKey(key);
+      }
+    } catch (error) {
+      console.log(`[API Key] Failed to revoke ${this.service} key v${entry ? entry.version : '?'}: ${error.message}`);
+      Object.assign(update, { status: 'revoke-failed', revokeError: error.message });
+    }
+
+    if (entry) {
+      Object.assign(entry, update);
+      await this.store.set(this.storageKey, record);
+    }
+  }
+
   /**
    * Check if key is expired
    */
@@ -300,20 +473,32 @@ class ApiKeyRotator {
   }
 
   /**
-   * Get stored key (simulated)
+   * Get stored key from the secret store
+   */
+  async getStoredKey() {
+    const record = await this.store.get(this.storageKey);
+    return (record && record.current) || null;
+  }
+
+  /**
+   * Get rotation history (key ids, versions and status; no secrets)
    */
-  getStoredKey() {
-    // In reality, retrieve from secure vault
-    return this.currentKey;
+  async getHistory() {
+    const record = await this.store.get(this.storageKey);
+    return (record && record.history) || [];
   }
 }
 
 // Export functions
 module.exports = {
   generateEphemeralUser,
+  generateTotpSecret,
   generateRotatableApiKey,
   createEphemeralUser,
+  deleteEphemeralUsers,
   cleanupExpiredUsers,
+  isExpiredUser,
+  isSweepCandidate,
   EphemeralUserPool,
   ApiKeyRotator,
 };
@@ -0,0 +1,129 @@
+/**
+ * Built-in Factory Definitions
+ * Default attributes and traits for the entities SeedFactory creates
+ *
+ * Add new entity types with defineFactory() - no BaseFactory subclass needed.
+ */
+
+import {
+  defineFactory,
+  sequence,
+  association,
+} from './factory-registry';
+import { generateRandomNumber } from './test-utils';
+import {
+  fakeFirstName,
+  fakeLastName,
+  fakePhone,
+  fakeAddress,
+  fakeSentence,
+} from './fake-data';
+
+/**
+ * Turn created products into order line items
+ */
+const toOrderItems = (products) =>
+  products.map((product) => ({
+    productId: product.id,
+    quantity: generateRandomNumber(1, 5),
+    price: product.price,
+  }));
+
+/**
+ * Sum order line items
+ */
+const sumItems = (items) =>
+  items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+defineFactory('user', {
+  collection: 'users',
+  attributes: {
+    id: (attrs, { uniqueId }) => `user-${uniqueId}`,
+    username: sequence((n, { namespace }) => `user_${namespace}_${n}`),
+    email: (attrs) => `${attrs.username}@example.com`,
+    password: 'Test123!',
+    firstName: () => fakeFirstName(),
+    lastName: () => fakeLastName(),
+    role: 'standard',
+    status: 'active',
+    balance: 1000.0,
+    phone: () => fakePhone(),
+    address: () => fakeAddress(),
+  },
+  traits: {
+    premium: { role: 'premium', balance: 5000.0 },
+    manager: { role: 'manager', balance: 7500.0 },
+    admin: { role: 'admin', balance: 10000.0 },
+    readonly: { role: 'readonly', balance: 0 },
+    suspended: { status: 'suspended', permissions: [] },
+    overdrawn: { balance: -250.0 },
+  },
+});
+
+defineFactory('transaction', {
+  collection: 'transactions',
+  attributes: {
+    id: (attrs, { uniqueId }) => `txn-${uniqueId}`,
+    amount: () => generateRandomNumber(10, 1000),
+    type: 'payment',
+    status: 'completed',
+    description: (attrs, { uniqueId }) => `Test transaction ${uniqueId}`,
+    createdAt: () => new Date().toISOString(),
+  },
+  traits: {
+    request: { type: 'request' },
+    pending: { status: 'pending' },
+    declined: { status: 'declined' },
+    withUser: { userId: association('user') },
+  },
+});
+
+defineFactory('product', {
+  collection: 'products',
+  attributes: {
+    id: (attrs, { uniqueId }) => `prod-${uniqueId}`,
+    sku: sequence((n, { namespace }) => `SKU-${namespace}-${n}`),
+    name: (attrs, { uniqueId }) => `Test Product ${uniqueId}`,
+    description: () => fakeSentence(),
+    category: 'widgets',
+    price: () => generateRandomNumber(10, 100),
+    currency: 'USD',
+    stock: () => generateRandomNumber(10, 100),
+    status: 'active',
+  },
+  traits: {
+    premium: { category: 'widgets', price: () => generateRandomNumber(100, 200) },
+    outOfStock: { stock: 0, status: 'out_of_stock' },
+    discontinued: { status: 'discontinued', category: 'legacy' },
+  },
+});
+
+defineFactory('order', {
+  collection: 'orders',
+  attributes: {
+    id: (attrs, { uniqueId }) => `order-${uniqueId}`,
+    orderNumber: sequence((n, { namespace }) => `ORD-${namespace}-${n}`),
+    status: 'pending',
+    items: [],
+    total: (attrs) =>
+      attrs.items.length ? sumItems(attrs.items) : generateRandomNumber(100, 1000),
+    currency: 'USD',
+    createdAt: () => new Date().toISOString(),
+  },
+  traits: {
+    withUser: { userId: association('user') },
+    withProducts: {
+      items: association('product', { count: 2, value: toOrderItems }),
+    },
+    paid: { status: 'paid', paidAt: () => new Date().toISOString() },
+    shipped: {
+      status: 'shipped',
+      shippedAt: () => new Date().toISOString(),
+      trackingNumber: sequence((n) => `TRK-${String(n).padStart(8, '0')}`),
+    },
+    delivered: { status: 'delivered', deliveredAt: () => new Date().toISOString() },
+    cancelled: { status: 'cancelled', cancelledAt: () => new Date().toISOString() },
+  },
+});
+
+export { toOrderItems };
@@ -0,0 +1,219 @@
+/**
+ * Factory Definition Registry
+ * Declarative factory definitions in the style of factory_bot
+ *
+ * A definition lists the attributes of an entity type. Each attribute is one of:
+ * - a static value:     status: 'active'
+ * - a lazy attribute:   email: (attrs, ctx) => `${attrs.username}@example.com`
+ * - a sequence:         sku: sequence((n) => `SKU-${n}`)
+ * - an association:     userId: association('user:premium')
+ *
+ * Named traits layer extra attributes on top of the defaults and are selected
+ * with a colon-separated spec, e.g. 'user:premium:suspended'.
+ *
+ * Usage:
+ * defineFactory('notification', {
+ *   collection: 'notifications',
+ *   attributes: { message: sequence((n) => `Notification ${n}`), read: false },
+ *   traits: { read: { read: true } },
+ * });
+ *
+ * seedFactory.create('notification:read');
+ */
+
+const definitions = {};
+const sequenceCounters = {};
+
+/**
+ * Sequence attribute marker
+ */
+class Sequence {
+  constructor(generate) {
+    this.generate = generate;
+  }
+}
+
+/**
+ * Association attribute marker
+ */
+class Association {
+  constructor(spec, options = {}) {
+    this.spec = spec;
+    this.count = options.count || null;
+    this.overrides = options.overrides || {};
+    this.value = options.value || ((created) =>
+      Array.isArray(created) ? created.map((entity) => entity.id) : created.id);
+  }
+}
+
+/**
+ * Declare a per-attribute sequence
+ * @param {Function} generate - (n, ctx) => value, n starts at 1
+ * @returns {Sequence} Sequence marker
+ * @example sku: sequence((n, { namespace }) => `SKU-${namespace}-${n}`)
+ */
+export const sequence = (generate = (n) => n) => new Sequence(generate);
+
+/**
+ * Declare an association created before the owning entity
+ * @param {string} spec - Factory spec, e.g. 'user' or 'user:premium'
+ * @param {Object} options - Association options
+ * @param {number} options.count - Create a list of this many entities
+ * @param {Object} options.overrides - Overrides for the associated entity
+ * @param {Function} options.value - (created) => attribute value (default: id, or list of ids)
+ * @returns {Association} Association marker
+ * @example userId: association('user')
+ */
+export const association = (spec, options = {}) => new Association(spec, options);
+
+/**
+ * Register a factory definition
+ * @param {string} name - Factory name (e.g. 'user')
+ * @param {Object} definition - Definition
+ * @param {string} definition.collection - API collection (e.g. 'users')
+ * @param {Object} definition.attributes - Default attributes
+ * @param {Object} definition.traits - Named trait attribute sets
+ * @returns {Object} Registered definition
+ */
+export const defineFactory = (name, definition) => {
+  if (!definition || !definition.collection) {
+    throw new Error(`Factory '${name}' needs a collection`);
+  }
+
+  definitions[name] = {
+    name,
+    collection: definition.collection,
+    attributes: definition.attributes || {},
+    traits: definition.traits || {},
+  };
+
+  return definitions[name];
+};
+
+/**
+ * Get a registered factory definition
+ * @param {string} name - Factory name
+ * @returns {Object} Definition
+ */
+export const getFactoryDefinition = (name) => {
+  const definition = definitions[name];
+
+  if (!definition) {
+    throw new Error(
+      `Factory '${name}' is not defined. Defined factories: ${Object.keys(definitions).join(', ')}`,
+    );
+  }
+
+  return definition;
+};
+
+/**
+ * Find the factory definition for an API collection
+ * @param {string} collection - Collection name (e.g. 'users')
+ * @returns {Object} Definition
+ */
+export const findFactoryByCollection = (collection) => {
+  const definition = Object.values(definitions).find((item) => item.collection === collection);
+
+  if (!definition) {
+    throw new Error(`No factory is defined for collection '${collection}'`);
+  }
+
+  return definition;
+};
+
+/**
+ * Split a factory spec into its name and traits
+ * @param {string} spec - e.g. 'order:shipped'
+ * @returns {Object} { name, traits }
+ */
+export const parseFactorySpec = (spec) => {
+  const [name, ...traits] = spec.split(':').filter(Boolean);
+  return { name, traits };
+};
+
+/**
+ * Merge defaults, traits (in order) and overrides into one attribute layer
+ * @param {string} spec - Factory spec
+ * @param {Object} overrides - Attribute overrides
+ * @returns {Object} { definition, attributes }
+ */
+export const mergeFactoryLayers = (spec, overrides = {}) => {
+  const { name, traits } = parseFactorySpec(spec);
+  const definition = getFactoryDefinition(name);
+
+  const attributes = traits.reduce((merged, trait) => {
+    if (!definition.traits[trait]) {
+      throw new Error(`Trait '${trait}' is not defined for factory '${name}'`);
+    }
+    return { ...merged, ...definition.traits[trait] };
+  }, { ...definition.attributes });
+
+  return { definition, attributes: { ...attributes, ...overrides } };
+};
+
+/**
+ * Get the associations left in a merged attribute layer
+ * @param {Object} attributes - Merged attributes
+ * @returns {Array} [key, Association] pairs
+ */
+export const getAssociations = (attributes) =>
+  Object.entries(attributes).filter(([, value]) => value instanceof Association);
+
+/**
+ * Resolve sequences and lazy attributes into plain values
+ * Static values and sequences resolve first, then lazy attributes in
+ * declaration order, so a lazy attribute can read any attribute before it.
+ * @param {string} name - Factory name (sequence counters are per factory and attribute)
+ * @param {Object} attributes - Merged attributes with associations already resolved
+ * @param {Object} ctx - Build context passed to generators ({ namespace, uniqueId })
+ * @returns {Object} Plain attribute values
+ */
+export const resolveAttributes = (name, attributes, ctx = {}) => {
+  const resolved = {};
+  const lazy = [];
+
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (value instanceof Sequence) {
+      const counter = `${name}.${key}`;
+      sequenceCounters[counter] = (sequenceCounters[counter] || 0) + 1;
+      resolved[key] = value.generate(sequenceCounters[counter], ctx);
+    } else if (typeof value === 'function') {
+      lazy.push(key);
+      resolved[key] = undefined;
+    } else {
+      resolved[key] = value;
+    }
+  });
+
+  lazy.forEach((key) => {
+    resolved[key] = attributes[key](resolved, ctx);
+  });
+
+  return resolved;
+};
+
+/**
+ * Reset sequence counters (all, or for one factory)
+ * @param {string} name - Optional factory name
+ */
+export const resetSequences = (name = null) => {
+  Object.keys(sequenceCounters)
+    .filter((counter) => !name || counter.startsWith(`${name}.`))
+    .forEach((counter) => {
+      delete sequenceCounters[counter];
+    });
+};
+
+export default {
+  sequence,
+  association,
+  defineFactory,
+  getFactoryDefinition,
+  findFactoryByCollection,
+  parseFactorySpec,
+  mergeFactoryLayers,
+  getAssociations,
+  resolveAttributes,
+  resetSequences,
+};
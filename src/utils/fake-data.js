@@ -0,0 +1,434 @@
+/**
+ * Fake Data Generator
+ * Offline, locale-aware realistic test data (no external services or packages)
+ *
+ * Values come from the seeded generator in random.js, so a run replayed with
+ * the same DATA_SEED produces the same names, addresses and account numbers.
+ *
+ * The default locale is Cypress.env('dataLocale') (DATA_LOCALE), falling back
+ * to en_US. Every generator also accepts a locale per call:
+ *
+ *   fakeFullName({ locale: 'de_DE' })   // 'Jürgen Groß'
+ *   fakeAddress({ locale: 'ja_JP' })    // { street: '北区西ヶ原2-7-14', ... }
+ *   fakeIban({ locale: 'fr_FR' })       // 'FR76 3000 6000 0112 3456 7890 189'
+ *   fakeCardNumber({ brand: 'amex' })   // Luhn-valid, 15 digits
+ */
+
+import { randomElement, randomInt } from './random';
+
+/**
+ * Per-locale source data
+ * Names deliberately include diacritics, apostrophes, hyphens and non-Latin
+ * scripts, and streets include long names, to exercise input validation.
+ */
+const LOCALES = {
+  en_US: {
+    country: 'USA',
+    firstNames: ['James', 'Mary', 'José', 'Aaliyah', 'D\'Andre', 'Nguyễn', 'Zoë', 'Mary-Kate', 'Chidi', 'Siobhan'],
+    lastNames: ['Smith', 'Johnson', 'O\'Connor', 'García', 'Washington', 'Nakamura', 'Van der Berg', 'Al-Amin', 'Kowalczyk'],
+    streets: ['Main', 'Oak', 'Maple', 'Martin Luther King Jr.', 'Pennsylvania', 'Cedar Ridge', 'Old Farm'],
+    streetTypes: ['St', 'Ave', 'Blvd', 'Road', 'Lane', 'Parkway'],
+    cities: ['Springfield', 'Portland', 'San José', 'Coeur d’Alene', 'Winston-Salem', 'Truth or Consequences'],
+    states: ['CA', 'NY', 'TX', 'OR', 'ID', 'NC', 'NM'],
+    street: (l) => `${randomInt(1, 99999)} ${randomElement(l.streets)} ${randomElement(l.streetTypes)}`,
+    postcode: () => (randomInt(0, 1) ? digits('#####') : digits('#####-####')),
+    phone: () => digits('+1 !## !## ####'),
+    iban: null,
+    companySuffixes: ['Inc.', 'LLC', 'Corp.', '& Sons', 'Group'],
+    words: ['account', 'balance', 'transfer', 'payment', 'monthly', 'invoice', 'refund', 'shared', 'dinner', 'rent', 'groceries', 'gift'],
+  },
+  en_GB: {
+    country: 'United Kingdom',
+    firstNames: ['Oliver', 'Amelia', 'Siân', 'Aoife', 'Mohammed', 'Bartholomew', 'Eilidh', 'Rhodri'],
+    lastNames: ['Smith', 'Jones', 'Ffion-Williams', 'MacDonald', 'O\'Brien', 'Patel', 'Featherstonehaugh', 'ap Rhys'],
+    streets: ['High', 'Church', 'Station', 'Victoria', 'Llanfairpwllgwyngyll', 'St John’s'],
+    streetTypes: ['Street', 'Road', 'Lane', 'Close', 'Crescent', 'Mews'],
+    cities: ['London', 'Manchester', 'Bristol', 'Stoke-on-Trent', 'Westward Ho!', 'Aberystwyth'],
+    states: ['Greater London', 'Greater Manchester', 'Bristol', 'Staffordshire', 'Devon', 'Ceredigion'],
+    street: (l) => `${randomInt(1, 250)} ${randomElement(l.streets)} ${randomElement(l.streetTypes)}`,
+    postcode: () =>
+      `${randomElement(['SW', 'EC', 'M', 'BS', 'ST', 'EX', 'SY'])}${randomInt(1, 29)} ` +
+      `${randomInt(0, 9)}${letters(2, 'ABDEFGHJLNPQRSTUWXYZ')}`,
+    phone: () => (randomInt(0, 1) ? digits('+44 20 #### ####') : digits('+44 7### ######')),
+    iban: 'GB',
+    companySuffixes: ['Ltd', 'PLC', 'LLP', '& Co.'],
+    words: ['account', 'cheque', 'transfer', 'standing', 'order', 'quid', 'tea', 'flat', 'council', 'tax', 'holiday', 'pub'],
+  },
+  de_DE: {
+    country: 'Deutschland',
+    firstNames: ['Jürgen', 'Lukas', 'Maximilian', 'Anneliese', 'Björn', 'Zoë', 'Özlem', 'Hans-Peter'],
+    lastNames: ['Müller', 'Schmidt', 'Groß', 'Weiß', 'Schäfer', 'von Bülow', 'Yılmaz', 'Meyer-Lüdenscheidt'],
+    streets: ['Haupt', 'Bahnhof', 'Schiller', 'Goethe', 'Friedrich-Ebert-', 'Kaiser-Wilhelm-Gedächtnis-'],
+    streetTypes: ['straße', 'weg', 'allee', 'platz', 'gasse'],
+    cities: ['Berlin', 'München', 'Köln', 'Düsseldorf', 'Frankfurt am Main', 'Garmisch-Partenkirchen'],
+    states: ['Berlin', 'Bayern', 'Nordrhein-Westfalen', 'Hessen', 'Baden-Württemberg'],
+    street: (l) => `${randomElement(l.streets)}${randomElement(l.streetTypes)} ${randomInt(1, 180)}`,
+    postcode: () => String(randomInt(1067, 99998)).padStart(5, '0'),
+    phone: () => (randomInt(0, 1) ? digits('+49 30 ########') : digits('+49 15# ########')),
+    iban: 'DE',
+    companySuffixes: ['GmbH', 'AG', 'GmbH & Co. KG', 'e.K.'],
+    words: ['Konto', 'Überweisung', 'Miete', 'Rechnung', 'Gebühr', 'Geschenk', 'Einkauf', 'monatlich', 'Rückzahlung', 'Abendessen'],
+  },
+  fr_FR: {
+    country: 'France',
+    firstNames: ['Éloïse', 'François', 'Jean-Baptiste', 'Maëlle', 'Hélène', 'Noël', 'Anaïs', 'Loïc'],
+    lastNames: ['Dupont', 'Lefèvre', 'D\'Arcy', 'Bénard', 'de La Fontaine', 'Nguyễn', 'Moreau-Chevalier'],
+    streets: ['de la République', 'Victor Hugo', 'des Champs-Élysées', 'du Général de Gaulle', 'Saint-Honoré'],
+    streetTypes: ['rue', 'avenue', 'boulevard', 'place', 'impasse'],
+    cities: ['Paris', 'Lyon', 'Marseille', 'Saint-Étienne', 'Aix-en-Provence', 'Châlons-en-Champagne'],
+    states: ['Île-de-France', 'Auvergne-Rhône-Alpes', 'Provence-Alpes-Côte d’Azur', 'Grand Est'],
+    street: (l) => `${randomInt(1, 200)} ${randomElement(l.streetTypes)} ${randomElement(l.streets)}`,
+    postcode: () => `${String(randomInt(1, 95)).padStart(2, '0')}${digits('###')}`,
+    phone: () => digits(`+33 ${randomElement(['1', '6', '7'])} ## ## ## ##`),
+    iban: 'FR',
+    companySuffixes: ['SARL', 'SA', 'SAS', '& Fils'],
+    words: ['compte', 'virement', 'loyer', 'facture', 'cadeau', 'dîner', 'remboursement', 'épicerie', 'mensuel', 'café'],
+  },
+  es_ES: {
+    country: 'España',
+    firstNames: ['José', 'María', 'Begoña', 'Íñigo', 'Núria', 'Joaquín', 'María José', 'Ángel'],
+    lastNames: ['García', 'Fernández', 'Muñoz', 'Peña', 'Ibáñez', 'de la Cruz', 'Gómez-Ortega'],
+    streets: ['Mayor', 'de Alcalá', 'del Príncipe de Vergara', 'de la Constitución', 'Doctor Fleming'],
+    streetTypes: ['Calle', 'Avenida', 'Plaza', 'Paseo'],
+    cities: ['Madrid', 'Barcelona', 'València', 'A Coruña', 'San Sebastián de los Reyes', 'Logroño'],
+    states: ['Madrid', 'Cataluña', 'Comunitat Valenciana', 'Galicia', 'La Rioja'],
+    street: (l) => `${randomElement(l.streetTypes)} ${randomElement(l.streets)}, ${randomInt(1, 150)}`,
+    postcode: () => `${String(randomInt(1, 52)).padStart(2, '0')}${digits('###')}`,
+    phone: () => digits(`+34 ${randomElement(['6', '7', '9'])}## ### ###`),
+    iban: 'ES',
+    companySuffixes: ['S.L.', 'S.A.', 'e Hijos', 'Cooperativa'],
+    words: ['cuenta', 'transferencia', 'alquiler', 'factura', 'regalo', 'cena', 'reembolso', 'compra', 'mensual', 'niños'],
+  },
+  ja_JP: {
+    country: '日本',
+    firstNames: ['翔太', 'さくら', '陽菜', '大翔', 'ゆい', '蓮', 'アンナ'],
+    lastNames: ['佐藤', '鈴木', '高橋', '田中', '渡辺', '伊藤', '長谷川'],
+    streets: ['西ヶ原', '本町', '中央', '桜丘', '神宮前'],
+    streetTypes: [''],
+    cities: ['千代田区', '北区', '横浜市', '大阪市', '札幌市'],
+    states: ['東京都', '神奈川県', '大阪府', '北海道'],
+    street: (l) => `${randomElement(l.streets)}${randomInt(1, 5)}-${randomInt(1, 30)}-${randomInt(1, 20)}`,
+    postcode: () => digits('###-####'),
+    phone: () => digits(`+81 ${randomElement(['3', '6', '90', '80'])}-####-####`),
+    iban: null,
+    companySuffixes: ['株式会社', '有限会社', '合同会社'],
+    nameOrder: 'family',
+    wordSeparator: '',
+    sentenceEnd: '。',
+    words: ['口座', '振込', '家賃', '請求書', '贈り物', '夕食', '返金', '買い物', '毎月'],
+  },
+};
+
+/**
+ * IBAN BBAN layout per country (# digit, A letter)
+ */
+const IBAN_FORMATS = {
+  DE: '##################',
+  GB: 'AAAA##############',
+  FR: '#######################',
+  ES: '####################',
+  NL: 'AAAA##########',
+};
+
+/**
+ * Card brands: number prefixes and lengths
+ */
+const CARD_BRANDS = {
+  visa: { prefixes: ['4'], length: 16 },
+  mastercard: { prefixes: ['51', '52', '53', '54', '55', '2221', '2720'], length: 16 },
+  amex: { prefixes: ['34', '37'], length: 15 },
+  discover: { prefixes: ['6011', '65'], length: 16 },
+};
+
+/**
+ * Replace # with a digit 0-9 and ! with a digit 2-9
+ */
+const digits = (pattern) =>
+  pattern.replace(/[#!]/g, (char) => String(char === '#' ? randomInt(0, 9) : randomInt(2, 9)));
+
+/**
+ * Random uppercase letters
+ */
+const letters = (count, alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') =>
+  Array.from({ length: count }, () => randomElement(alphabet)).join('');
+
+/**
+ * Strip diacritics and anything not usable in an email local part
+ */
+const toAscii = (value) =>
+  value
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/[^A-Za-z0-9]+/g, '')
+    .toLowerCase();
+
+/**
+ * Get the locale used when none is passed
+ * @returns {string} Locale (e.g. 'en_US')
+ */
+export const getDefaultLocale = () =>
+  (typeof Cypress !== 'undefined' && Cypress.env('dataLocale')) || 'en_US';
+
+/**
+ * List supported locales
+ * @returns {Array<string>} Locale codes
+ */
+export const getLocales = () => Object.keys(LOCALES);
+
+/**
+ * Look up locale data
+ * @param {string} locale - Locale code (default: getDefaultLocale())
+ * @returns {Object} Locale data
+ */
+const localeData = (locale = getDefaultLocale()) => {
+  const data = LOCALES[locale];
+
+  if (!data) {
+    throw new Error(`Unsupported locale '${locale}'. Supported locales: ${getLocales().join(', ')}`);
+  }
+
+  return data;
+};
+
+/**
+ * Generate a first name
+ * @param {Object} options - { locale }
+ * @returns {string} First name
+ */
+export const fakeFirstName = ({ locale } = {}) => randomElement(localeData(locale).firstNames);
+
+/**
+ * Generate a last name
+ * @param {Object} options - { locale }
+ * @returns {string} Last name
+ */
+export const fakeLastName = ({ locale } = {}) => randomElement(localeData(locale).lastNames);
+
+/**
+ * Generate a full name in the locale's name order
+ * @param {Object} options - { locale }
+ * @returns {string} Full name
+ * @example fakeFullName({ locale: 'ja_JP' }) // '佐藤翔太'
+ */
+export const fakeFullName = ({ locale } = {}) => {
+  const data = localeData(locale);
+  const first = randomElement(data.firstNames);
+  const last = randomElement(data.lastNames);
+  return data.nameOrder === 'family' ? `${last}${first}` : `${first} ${last}`;
+};
+
+/**
+ * Generate an email address from a name (diacritics stripped)
+ * @param {Object} options - { firstName, lastName, domain, locale }
+ * @returns {string} Email address
+ * @example fakeEmail({ firstName: 'Éloïse', lastName: 'D\'Arcy' }) // 'eloise.darcy42@example.com'
+ */
+export const fakeEmail = ({ firstName, lastName, domain = 'example.com', locale } = {}) => {
+  const first = toAscii(firstName || fakeFirstName({ locale }));
+  const last = toAscii(lastName || fakeLastName({ locale }));
+  const local = [first, last].filter(Boolean).join('.') || 'user';
+  return `${local}${randomInt(1, 999)}@${domain}`;
+};
+
+/**
+ * Generate a postcode in the locale's format
+ * @param {Object} options - { locale }
+ * @returns {string} Postcode (e.g. '94107', 'SW1A 2AA', '150-0001')
+ */
+export const fakePostcode = ({ locale } = {}) => localeData(locale).postcode();
+
+/**
+ * Generate an international phone number
+ * @param {Object} options - { locale }
+ * @returns {string} Phone number with country code (e.g. '+44 20 7946 0123')
+ */
+export const fakePhone = ({ locale } = {}) => localeData(locale).phone();
+
+/**
+ * Generate an address, shaped like the address objects in cypress/fixtures/users.json
+ * @param {Object} options - { locale }
+ * @returns {Object} { street, city, state, zipCode, country }
+ */
+export const fakeAddress = ({ locale } = {}) => {
+  const data = localeData(locale);
+
+  return {
+    street: data.street(data),
+    city: randomElement(data.cities),
+    state: randomElement(data.states),
+    zipCode: data.postcode(),
+    country: data.country,
+  };
+};
+
+/**
+ * Compute the ISO 13616 check digits for an IBAN
+ */
+const ibanCheckDigits = (country, bban) => {
+  const numeric = `${bban}${country}00`
+    .split('')
+    .map((char) => (/[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char))
+    .join('');
+  const remainder = numeric
+    .match(/.{1,7}/g)
+    .reduce((mod, chunk) => Number(`${mod}${chunk}`) % 97, 0);
+  return String(98 - remainder).padStart(2, '0');
+};
+
+/**
+ * Generate an IBAN with valid check digits
+ * Locales without IBANs (en_US, ja_JP) fall back to a German IBAN.
+ * @param {Object} options - { locale, country, formatted }
+ * @returns {string} IBAN, grouped in fours unless formatted is false
+ * @example fakeIban({ country: 'GB' }) // 'GB29 NWBK 6016 1331 9268 19'
+ */
+export const fakeIban = ({ locale, country, formatted = true } = {}) => {
+  const code = country || localeData(locale).iban || 'DE';
+  const format = IBAN_FORMATS[code];
+
+  if (!format) {
+    throw new Error(`Unsupported IBAN country '${code}'. Supported: ${Object.keys(IBAN_FORMATS).join(', ')}`);
+  }
+
+  const bban = format.replace(/[#A]/g, (char) => (char === '#' ? String(randomInt(0, 9)) : letters(1)));
+  const iban = `${code}${ibanCheckDigits(code, bban)}${bban}`;
+
+  return formatted ? iban.match(/.{1,4}/g).join(' ') : iban;
+};
+
+/**
+ * Check an IBAN's check digits
+ * @param {string} iban - IBAN (spaces allowed)
+ * @returns {boolean} True when the checksum is valid
+ */
+export const isValidIban = (iban) => {
+  const compact = iban.replace(/\s+/g, '').toUpperCase();
+  const country = compact.slice(0, 2);
+  return ibanCheckDigits(country, compact.slice(4)) === compact.slice(2, 4);
+};
+
+/**
+ * Compute the Luhn check digit for a partial card number
+ */
+const luhnCheckDigit = (partial) => {
+  const sum = partial
+    .split('')
+    .reverse()
+    .reduce((total, char, index) => {
+      let digit = Number(char);
+      if (index % 2 === 0) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      return total + digit;
+    }, 0);
+  return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Generate a card number that passes the Luhn check
+ * @param {Object} options - { brand: 'visa' | 'mastercard' | 'amex' | 'discover' }
+ * @returns {string} Card number (digits only)
+ */
+export const fakeCardNumber = ({ brand = 'visa' } = {}) => {
+  const spec = CARD_BRANDS[brand];
+
+  if (!spec) {
+    throw new Error(`Unsupported card brand '${brand}'. Supported: ${Object.keys(CARD_BRANDS).join(', ')}`);
+  }
+
+  const prefix = randomElement(spec.prefixes);
+  const body = `${prefix}${digits('#'.repeat(spec.length - prefix.length - 1))}`;
+  return `${body}${luhnCheckDigit(body)}`;
+};
+
+/**
+ * Check a card number with the Luhn algorithm
+ * @param {string} number - Card number (spaces allowed)
+ * @returns {boolean} True when the check digit is valid
+ */
+export const isValidCardNumber = (number) => {
+  const compact = number.replace(/\s+/g, '');
+  return luhnCheckDigit(compact.slice(0, -1)) === compact.slice(-1);
+};
+
+/**
+ * Generate a company name
+ * @param {Object} options - { locale }
+ * @returns {string} Company name (e.g. 'Müller & Schäfer GmbH', '株式会社佐藤')
+ */
+export const fakeCompanyName = ({ locale } = {}) => {
+  const data = localeData(locale);
+  const suffix = randomElement(data.companySuffixes);
+
+  if (data.nameOrder === 'family') {
+    return `${suffix}${randomElement(data.lastNames)}`;
+  }
+
+  const name = randomInt(0, 1)
+    ? randomElement(data.lastNames)
+    : `${randomElement(data.lastNames)} & ${randomElement(data.lastNames)}`;
+  return `${name} ${suffix}`;
+};
+
+/**
+ * Generate a sentence of locale words
+ * @param {Object} options - { locale, words: word count }
+ * @returns {string} Sentence
+ */
+export const fakeSentence = ({ locale, words = randomInt(4, 10) } = {}) => {
+  const { words: vocabulary, wordSeparator = ' ', sentenceEnd = '.' } = localeData(locale);
+  const sentence = Array.from({ length: words }, () => randomElement(vocabulary)).join(wordSeparator);
+  return `${sentence.charAt(0).toUpperCase()}${sentence.slice(1)}${sentenceEnd}`;
+};
+
+/**
+ * Generate free text of several sentences
+ * @param {Object} options - { locale, sentences, maxLength }
+ * @returns {string} Text, cut at maxLength when given
+ */
+export const fakeText = ({ locale, sentences = randomInt(2, 5), maxLength } = {}) => {
+  const { wordSeparator = ' ' } = localeData(locale);
+  const text = Array.from({ length: sentences }, () => fakeSentence({ locale })).join(wordSeparator);
+  return maxLength ? text.slice(0, maxLength) : text;
+};
+
+/**
+ * Generate a consistent person (name, email, phone and address in one locale)
+ * Handy as factory overrides: seedFactory.createUser(fakePerson({ locale: 'de_DE' }))
+ * @param {Object} options - { locale }
+ * @returns {Object} { firstName, lastName, email, phone, address }
+ */
+export const fakePerson = ({ locale } = {}) => {
+  const firstName = fakeFirstName({ locale });
+  const lastName = fakeLastName({ locale });
+
+  return {
+    firstName,
+    lastName,
+    email: fakeEmail({ firstName, lastName }),
+    phone: fakePhone({ locale }),
+    address: fakeAddress({ locale }),
+  };
+};
+
+export default {
+  getDefaultLocale,
+  getLocales,
+  fakeFirstName,
+  fakeLastName,
+  fakeFullName,
+  fakeEmail,
+  fakePostcode,
+  fakePhone,
+  fakeAddress,
+  fakeIban,
+  isValidIban,
+  fakeCardNumber,
+  isValidCardNumber,
+  fakeCompanyName,
+  fakeSentence,
+  fakeText,
+  fakePerson,
+};
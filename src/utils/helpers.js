@@ -2,13 +2,15 @@
  * Utility helper functions
  */
 
+import { randomDigits, randomInt } from './random';
+
 /**
  * Generate a random email address
  * @returns {string} Random email
  */
 export const generateRandomEmail = () => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 10000);
+  const timestamp = randomDigits(13);
+  const random = randomInt(0, 9999);
   return `test_${timestamp}_${random}@example.com`;
 };
 
@@ -17,8 +19,8 @@ export const generateRandomEmail = () => {
  * @returns {string} Random username
  */
 export const generateRandomUsername = () => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 10000);
+  const timestamp = randomDigits(13);
+  const random = randomInt(0, 9999);
   return `user_${timestamp}_${random}`;
 };
 
@@ -29,8 +29,63 @@ import SeedFactory, {
   OrderFactory,
   getNamespace,
   getEnvironmentConfig,
+  summarizeCleanup,
 } from './data-factory';
 
+// Import factory definition registry (registers the built-in definitions)
+import {
+  defineFactory,
+  sequence,
+  association,
+  getFactoryDefinition,
+  resetSequences,
+} from './factory-registry';
+import './factory-definitions';
+
+// Import scenario world planner
+import { planWorld, resolveReferences } from './world';
+
+// Import locale-aware fake data generators
+import * as FakeData from './fake-data';
+
+// Import entity schema validation
+import { validateEntity, assertValidEntity } from './entity-schemas';
+import { validateSchema, formatSchemaErrors } from './schema-validator';
+
+// Import seeded random generator
+import {
+  seedRandom,
+  getSeed,
+  random,
+  randomInt,
+  randomElement,
+  createRandom,
+} from './random';
+
+// Import namespace propagation helpers
+import { getSpecNamespace, getWorkerId, namespaceHeaders } from './namespace';
+
+// Import JWT helpers
+import { decodeJwt, getJwtExpiry, isJwtExpired } from './jwt';
+
+// Import TOTP generator
+import { generateTotp, getTotpSecondsRemaining } from './totp';
+
+// Import session validation strategies
+import { registerSessionStrategy, validateSession, sessionCacheKey } from './session-strategies';
+
+// Import API auth manager
+import { authorizedRequest, refreshAuthToken } from './api-auth';
+
+// Import selector registry (registers the built-in logical names)
+import {
+  defineSelectors,
+  isLogicalSelector,
+  getSelectorCandidates,
+  listSelectors,
+} from './selector-registry';
+import './selector-definitions';
+
 // Import reliability helpers
 import * as ReliabilityHelpers from './reliability-helpers';
 
@@ -49,8 +104,42 @@ export {
   OrderFactory,
   getNamespace,
   getEnvironmentConfig,
+  summarizeCleanup,
 };
 
+// Re-export factory definition registry
+export { defineFactory, sequence, association, getFactoryDefinition, resetSequences };
+
+// Re-export scenario world planner
+export { planWorld, resolveReferences };
+
+// Re-export fake data generators
+export * from './fake-data';
+
+// Re-export entity schema validation
+export { validateEntity, assertValidEntity, validateSchema, formatSchemaErrors };
+
+// Re-export seeded random generator
+export { seedRandom, getSeed, random, randomInt, randomElement, createRandom };
+
+// Re-export namespace propagation helpers
+export { getSpecNamespace, getWorkerId, namespaceHeaders };
+
+// Re-export JWT helpers
+export { decodeJwt, getJwtExpiry, isJwtExpired };
+
+// Re-export TOTP generator
+export { generateTotp, getTotpSecondsRemaining };
+
+// Re-export session validation strategies
+export { registerSessionStrategy, validateSession, sessionCacheKey };
+
+// Re-export API auth manager
+export { authorizedRequest, refreshAuthToken };
+
+// Re-export selector registry
+export { defineSelectors, isLogicalSelector, getSelectorCandidates, listSelectors };
+
 // Re-export reliability helpers
 export * from './reliability-helpers';
 
@@ -58,6 +147,7 @@ export * from './reliability-helpers';
 export default {
   ...TestUtils.default,
   ...ReliabilityHelpers.default,
+  ...FakeData.default,
   generateRandomEmail,
   generateRandomUsername,
   formatDate,
@@ -70,4 +160,39 @@ export default {
   OrderFactory,
   getNamespace,
   getEnvironmentConfig,
+  summarizeCleanup,
+  defineFactory,
+  sequence,
+  association,
+  getFactoryDefinition,
+  resetSequences,
+  seedRandom,
+  getSeed,
+  random,
+  randomInt,
+  randomElement,
+  createRandom,
+  getSpecNamespace,
+  getWorkerId,
+  namespaceHeaders,
+  decodeJwt,
+  getJwtExpiry,
+  isJwtExpired,
+  generateTotp,
+  getTotpSecondsRemaining,
+  registerSessionStrategy,
+  validateSession,
+  sessionCacheKey,
+  authorizedRequest,
+  refreshAuthToken,
+  defineSelectors,
+  isLogicalSelector,
+  getSelectorCandidates,
+  listSelectors,
+  planWorld,
+  resolveReferences,
+  validateEntity,
+  assertValidEntity,
+  validateSchema,
+  formatSchemaErrors,
 };
@@ -0,0 +1,65 @@
+/**
+ * JWT Helpers
+ * Read claims from tokens issued by the app or the SSO provider
+ *
+ * Tokens are decoded, not verified: tests only need the claims (expiry,
+ * subject, role) of tokens they were just handed by a trusted backend.
+ */
+
+/**
+ * Decode a base64url segment to a string
+ * @param {string} segment - base64url-encoded segment
+ * @returns {string} Decoded UTF-8 text
+ */
+const decodeSegment = (segment) => {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+  const bytes = Uint8Array.from(atob(padded), (char) => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+};
+
+/**
+ * Decode the payload of a JWT
+ * @param {string} token - JWT
+ * @returns {Object|null} Claims, or null when the token is not a JWT
+ */
+export const decodeJwt = (token) => {
+  const parts = String(token || '').split('.');
+
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(decodeSegment(parts[1]));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get when a JWT expires
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in milliseconds since the epoch, or null without an exp claim
+ */
+export const getJwtExpiry = (token) => {
+  const claims = decodeJwt(token);
+  return claims && claims.exp ? claims.exp * 1000 : null;
+};
+
+/**
+ * Check whether a JWT has expired (or will within a margin)
+ * @param {string} token - JWT
+ * @param {number} marginMs - Treat tokens expiring within this window as expired (default: 0)
+ * @returns {boolean} Whether the token has expired; false for tokens without exp
+ */
+export const isJwtExpired = (token, marginMs = 0) => {
+  const expiry = getJwtExpiry(token);
+  return expiry !== null && expiry - marginMs <= Date.now();
+};
+
+export default {
+  decodeJwt,
+  getJwtExpiry,
+  isJwtExpired,
+};
@@ -0,0 +1,125 @@
+/**
+ * Test Namespace Propagation
+ * Tags outgoing traffic with the spec's namespace and the worker id
+ *
+ * Every spec gets one namespace, derived from the run seed, the worker id and
+ * the spec path, so a replayed run (same DATA_SEED) reuses it. cypress/support/e2e.js
+ * stamps it on every cy.request and intercepted request to baseUrl or apiUrl as:
+ *
+ *   X-Test-Namespace: <seed>_<workerId>_<specHash>
+ *   X-Worker-Id: <workerId>
+ *
+ * An X-Test-Namespace set by the caller (e.g. a factory's own namespace) is kept.
+ */
+
+import { getRunSeed, hashSeed } from './random';
+
+export const NAMESPACE_HEADER = 'X-Test-Namespace';
+export const WORKER_HEADER = 'X-Worker-Id';
+
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+let specNamespace = null;
+
+/**
+ * Get the worker id of this Cypress process (WORKER_ID)
+ * @returns {string} Worker id, '0' when not running in parallel
+ */
+export const getWorkerId = () => String(Cypress.env('workerId') || Cypress.env('WORKER_ID') || '0');
+
+/**
+ * Get the namespace of the running spec
+ * @returns {string} Namespace, e.g. '2841937120_1_3120593847'
+ */
+export const getSpecNamespace = () => {
+  if (!specNamespace) {
+    specNamespace = `${getRunSeed()}_${getWorkerId()}_${hashSeed(Cypress.spec.relative)}`;
+  }
+  return specNamespace;
+};
+
+/**
+ * Headers that tag a request with the spec namespace and worker id
+ * @returns {Object} { 'X-Test-Namespace', 'X-Worker-Id' }
+ */
+export const namespaceHeaders = () => ({
+  [NAMESPACE_HEADER]: getSpecNamespace(),
+  [WORKER_HEADER]: getWorkerId(),
+});
+
+/**
+ * Turn any cy.request() signature into an options object
+ * Mirrors cy.request: (options), (url), (url, body), (method, url), (method, url, body)
+ * @param {Array} args - cy.request arguments
+ * @returns {Object} Request options
+ */
+export const normalizeRequestArgs = (args) => {
+  const [first, second, third] = args;
+
+  if (first && typeof first === 'object') {
+    return { ...first };
+  }
+
+  if (args.length === 1) {
+    return { url: first };
+  }
+
+  if (args.length === 2 && !HTTP_METHODS.includes(String(first).toUpperCase())) {
+    return { url: first, body: second };
+  }
+
+  return third === undefined ? { method: first, url: second } : { method: first, url: second, body: third };
+};
+
+/**
+ * Add namespace headers to request options, keeping headers the caller set
+ * Requests to other hosts (identity provider, third-party APIs) are left as is.
+ * @param {Object} options - cy.request options
+ * @returns {Object} Options with X-Test-Namespace and X-Worker-Id
+ */
+export const withNamespaceHeaders = (options) => {
+  if (!isAppUrl(options.url)) {
+    return options;
+  }
+
+  const headers = { ...(options.headers || {}) };
+  const present = Object.keys(headers).map((name) => name.toLowerCase());
+
+  Object.entries(namespaceHeaders()).forEach(([name, value]) => {
+    if (!present.includes(name.toLowerCase())) {
+      headers[name] = value;
+    }
+  });
+
+  return { ...options, headers };
+};
+
+/**
+ * Check whether a URL belongs to the app under test or its API
+ * Relative URLs resolve against baseUrl, as cy.request and cy.visit do.
+ * @param {string} url - Request URL
+ * @returns {boolean} Whether the URL is on the baseUrl or apiUrl origin
+ */
+export const isAppUrl = (url) => {
+  const baseUrl = Cypress.config('baseUrl');
+  const origins = [baseUrl, Cypress.env('apiUrl')]
+    .filter(Boolean)
+    .map((base) => new URL(base).origin);
+
+  try {
+    return origins.includes(new URL(url, baseUrl || undefined).origin);
+  } catch (error) {
+    return false;
+  }
+};
+
+export default {
+  NAMESPACE_HEADER,
+  WORKER_HEADER,
+  getWorkerId,
+  getSpecNamespace,
+  namespaceHeaders,
+  normalizeRequestArgs,
+  withNamespaceHeaders,
+  isAppUrl,
+};
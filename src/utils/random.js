@@ -0,0 +1,145 @@
+/**
+ * Seeded Random Number Generator
+ * Deterministic, replayable randomness for every data generator in src/utils
+ *
+ * One run seed is picked in setupNodeEvents (or taken from DATA_SEED) and
+ * exposed as Cypress.env('dataSeed'). Before each test the generator is
+ * re-seeded from the run seed, the spec path and the test title, so a test
+ * produces the same users, amounts and SKUs whichever shard or order it runs in.
+ * Retries mix in the attempt number, so a retry doesn't recreate the users the
+ * failed attempt already stored in a persistent backend.
+ *
+ * Replay a run:
+ *   DATA_SEED=123456789 npm run test:run
+ */
+
+/**
+ * Hash any values into a 32-bit seed (FNV-1a)
+ * @param {...*} parts - Values to hash
+ * @returns {number} Unsigned 32-bit seed
+ * @example hashSeed(123, 'cypress/e2e/login.cy.js', 'logs in')
+ */
+export const hashSeed = (...parts) => {
+  const input = parts.join('|');
+  let hash = 0x811c9dc5;
+
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  return hash >>> 0;
+};
+
+/**
+ * Create an independent seeded generator (mulberry32)
+ * @param {number} seed - Seed value
+ * @returns {Object} Generator with next(), int(min, max) and pick(array)
+ * @example const rng = createRandom(42); rng.int(1, 6);
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    seed: seed >>> 0,
+    next,
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    pick: (array) => array[Math.floor(next() * array.length)],
+  };
+};
+
+/**
+ * Get the run seed from Cypress env or DATA_SEED
+ * @returns {number} Run seed
+ */
+export const getRunSeed = () => {
+  const fromEnv =
+    (typeof Cypress !== 'undefined' && Cypress.env('dataSeed')) ||
+    (typeof process !== 'undefined' && process.env && process.env.DATA_SEED);
+
+  return fromEnv ? Number(fromEnv) >>> 0 : hashSeed(Date.now());
+};
+
+let generator = createRandom(getRunSeed());
+
+/**
+ * Re-seed the shared generator
+ * @param {number} seed - New seed
+ * @returns {number} Seed in use
+ */
+export const seedRandom = (seed) => {
+  generator = createRandom(seed);
+  return generator.seed;
+};
+
+/**
+ * Re-seed the shared generator for one test
+ * The first attempt keeps the seed of the title alone, so replays match earlier runs.
+ * @param {Array<string>} titlePath - Test title path (Cypress.currentTest.titlePath)
+ * @param {number} attempt - Retry number, 0 for the first attempt (default: Cypress.currentRetry)
+ * @returns {number} Seed in use for the test
+ */
+export const seedRandomForTest = (
+  titlePath = [],
+  attempt = typeof Cypress !== 'undefined' ? Cypress.currentRetry || 0 : 0,
+) => {
+  const spec = typeof Cypress !== 'undefined' ? Cypress.spec.relative : '';
+  const retry = attempt > 0 ? [`retry-${attempt}`] : [];
+  return seedRandom(hashSeed(getRunSeed(), spec, ...titlePath, ...retry));
+};
+
+/**
+ * Get the seed the shared generator was last seeded with
+ * @returns {number} Current seed
+ */
+export const getSeed = () => generator.seed;
+
+/**
+ * Random float in [0, 1) - drop-in replacement for Math.random()
+ * @returns {number} Random float
+ */
+export const random = () => generator.next();
+
+/**
+ * Random integer in [min, max]
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Random integer
+ */
+export const randomInt = (min = 0, max = 100) => generator.int(min, max);
+
+/**
+ * Random element of an array
+ * @param {Array} array - Candidates
+ * @returns {*} Picked element
+ */
+export const randomElement = (array) => generator.pick(array);
+
+/**
+ * Random string of digits, used where a timestamp used to make values unique
+ * @param {number} length - Number of digits
+ * @returns {string} Digits
+ */
+export const randomDigits = (length = 8) =>
+  Array.from({ length }, () => generator.int(0, 9)).join('');
+
+export default {
+  hashSeed,
+  createRandom,
+  getRunSeed,
+  seedRandom,
+  seedRandomForTest,
+  getSeed,
+  random,
+  randomInt,
+  randomElement,
+  randomDigits,
+};
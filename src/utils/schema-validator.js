@@ -0,0 +1,147 @@
+/**
+ * JSON Schema Validator
+ * Small dependency-free validator for the entity schemas in cypress/schemas
+ *
+ * Supports the draft-07 keywords those schemas use: type, enum, const,
+ * required, properties, additionalProperties, items, minItems, maxItems,
+ * uniqueItems, minLength, maxLength, pattern, format (email, date-time, uri),
+ * minimum, maximum, exclusiveMinimum and exclusiveMaximum.
+ *
+ * Errors carry dotted paths rooted at the name you pass in, e.g.
+ * `users.premium.address.zipCode` or `users.testUsers[1].email`.
+ *
+ * This module has no imports so Node scripts can load it with import().
+ */
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i,
+};
+
+/**
+ * Get the JSON Schema type name of a value
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Check a value against a schema type (an integer is also a number)
+ */
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used as the prefix of error paths
+ * @returns {Array<Object>} Errors: [{ path, message }], empty when valid
+ * @example validateSchema(userSchema, users.premium, 'users.premium')
+ */
+export const validateSchema = (schema, value, path = '$') => {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${typeOf(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((allowed) => allowed === value)) {
+    fail(`must be one of ${schema.enum.map((allowed) => JSON.stringify(allowed)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if ('const' in schema && schema.const !== value) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && [...value].length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && [...value].length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`must match pattern ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}, got ${value}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}, got ${value}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}, got ${value}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}, got ${value}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      fail('must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) => fail('is required', `${path}.${key}`));
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', `${path}.${key}`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Format validation errors one per line
+ * @param {Array<Object>} errors - Errors from validateSchema
+ * @returns {string} e.g. "users.premium.address.zipCode must match pattern ..."
+ */
+export const formatSchemaErrors = (errors) =>
+  errors.map(({ path, message }) => `${path} ${message}`).join('\n');
+
+export default {
+  validateSchema,
+  formatSchemaErrors,
+};
@@ -0,0 +1,218 @@
+/**
+ * Secret Stores
+ *
+ * Storage backends for ApiKeyRotator (src/utils/ephemeral-users.js). Every
+ * store keeps JSON records by name and implements:
+ *   async get(name)          -> record or null
+ *   async set(name, record)
+ *   async delete(name)
+ *
+ * Backends:
+ *   - memory:         process memory (default; keys die with the process)
+ *   - encrypted-file: AES-256-GCM encrypted JSON file, key from SECRET_STORE_KEY;
+ *                     cache the file between CI runs to reuse unexpired keys
+ *   - env:            one environment variable per record; writes are also
+ *                     appended to $GITHUB_ENV so later job steps see them,
+ *                     with the key masked in the job log first. A bare
+ *                     (non-JSON) key has no expiresAt, so it is never rotated
+ *                     as expired - call rotate() to replace it
+ *
+ * Selection order: options.backend, then SECRET_STORE, then memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class MemorySecretStore {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async get(name) {
+    return this.records.has(name) ? JSON.parse(this.records.get(name)) : null;
+  }
+
+  async set(name, record) {
+    this.records.set(name, JSON.stringify(record));
+  }
+
+  async delete(name) {
+    this.records.delete(name);
+  }
+}
+
+class EncryptedFileSecretStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.file - Encrypted file path (default: .secrets/secret-store.enc.json)
+   * @param {string} options.key - Passphrase (default: SECRET_STORE_KEY)
+   */
+  constructor(options = {}) {
+    this.name = 'encrypted-file';
+    this.file = path.resolve(
+      options.file || process.env.SECRET_STORE_FILE || '.secrets/secret-store.enc.json',
+    );
+    this.passphrase = options.key || process.env.SECRET_STORE_KEY;
+
+    if (!this.passphrase) {
+      throw new Error('The encrypted-file secret store needs a key: set SECRET_STORE_KEY');
+    }
+  }
+
+  /**
+   * Derive the AES key from the passphrase and the file's salt
+   */
+  deriveKey(salt) {
+    return crypto.scryptSync(this.passphrase, salt, 32);
+  }
+
+  /**
+   * Decrypt all records
+   * @returns {Object} Records by name
+   */
+  readAll() {
+    if (!fs.existsSync(this.file)) {
+      return {};
+    }
+
+    const { salt, iv, tag, data } = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      this.deriveKey(Buffer.from(salt, 'base64')),
+      Buffer.from(iv, 'base64'),
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    try {
+      const plain = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+      return JSON.parse(plain.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Cannot decrypt ${this.file}: wrong SECRET_STORE_KEY or corrupted file`);
+    }
+  }
+
+  /**
+   * Encrypt and write all records (fresh salt and IV on every write)
+   * @param {Object} records - Records by name
+   */
+  writeAll(records) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(records), 'utf8'), cipher.final()]);
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    fs.writeFileSync(
+      tmp,
+      JSON.stringify({
+        version: 1,
+        algorithm: 'aes-256-gcm',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      }),
+      { mode: 0o600 },
+    );
+    fs.renameSync(tmp, this.file);
+  }
+
+  async get(name) {
+    return this.readAll()[name] || null;
+  }
+
+  async set(name, record) {
+    this.writeAll({ ...this.readAll(), [name]: record });
+  }
+
+  async delete(name) {
+    const records = this.readAll();
+    delete records[name];
+    this.writeAll(records);
+  }
+}
+
+class EnvSecretStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.env - Environment to read and write (default: process.env)
+   * @param {string} options.exportFile - File to append NAME=value lines to (default: $GITHUB_ENV)
+   */
+  constructor(options = {}) {
+    this.name = 'env';
+    this.env = options.env || process.env;
+    this.exportFile = options.exportFile !== undefined ? options.exportFile : process.env.GITHUB_ENV;
+  }
+
+  /**
+   * Read a record; a plain (non-JSON) value is treated as a bare API key
+   */
+  async get(name) {
+    const value = this.env[name];
+
+    if (!value) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return { current: { apiKey: value }, history: [] };
+    }
+  }
+
+  async set(name, record) {
+    const value = JSON.stringify(record);
+    this.env[name] = value;
+
+    if (this.exportFile) {
+      // Mask the key before it is exported, so later steps never print it
+      if (record && record.current && record.current.apiKey) {
+        console.log(`::add-mask::${record.current.apiKey}`);
+      }
+      fs.appendFileSync(this.exportFile, `${name}=${value}\n`);
+    }
+  }
+
+  async delete(name) {
+    delete this.env[name];
+
+    if (this.exportFile) {
+      fs.appendFileSync(this.exportFile, `${name}=\n`);
+    }
+  }
+}
+
+/**
+ * Create a secret store
+ * @param {Object} options - Store options, passed on to the backend
+ * @param {string} options.backend - memory, encrypted-file or env (default: SECRET_STORE or memory)
+ * @returns {Object} Secret store
+ */
+function createSecretStore(options = {}) {
+  const backend = options.backend || process.env.SECRET_STORE || 'memory';
+
+  switch (backend) {
+  case 'memory':
+    return new MemorySecretStore();
+  case 'encrypted-file':
+    return new EncryptedFileSecretStore(options);
+  case 'env':
+    return new EnvSecretStore(options);
+  default:
+    throw new Error(
+      `Unknown secret store '${backend}'. Use one of: memory, encrypted-file, env`,
+    );
+  }
+}
+
+module.exports = {
+  createSecretStore,
+  MemorySecretStore,
+  EncryptedFileSecretStore,
+  EnvSecretStore,
+};
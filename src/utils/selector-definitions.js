@@ -0,0 +1,71 @@
+/**
+ * Built-in Selector Definitions
+ * Logical names for the elements page objects and specs share
+ *
+ * Specs use both data-cy and data-test hooks for the same elements, so each
+ * element lists both; resolution order comes from
+ * SELECTOR_STRATEGY.preferredAttributes. Add new elements with
+ * defineSelectors() - keep one namespace per page or component.
+ */
+
+import { defineSelectors } from './selector-registry';
+
+/**
+ * Candidates for an element carrying the same value in data-cy and data-test
+ */
+const testHook = (value) => ({ 'data-cy': value, 'data-test': value });
+
+defineSelectors('login', {
+  // data-test sits on the field's wrapper div, not the input itself
+  username: ['[data-cy="signin-username"] input', '[data-test="signin-username"] input', '#username'],
+  password: ['[data-cy="signin-password"] input', '[data-test="signin-password"] input', '#password'],
+  submit: [testHook('signin-submit'), { 'data-cy': 'login-submit' }],
+  rememberMe: testHook('signin-remember-me'),
+  error: testHook('signin-error'),
+  signup: testHook('signup'),
+  mfaCode: testHook('mfa-code'),
+  mfaSubmit: testHook('mfa-submit'),
+  mfaError: testHook('mfa-error'),
+});
+
+defineSelectors('nav', {
+  logo: [testHook('app-name-logo'), { 'data-cy': 'app-logo' }],
+  menuToggle: testHook('sidenav-toggle'),
+  newTransaction: [testHook('nav-top-new-transaction'), { 'data-cy': 'new-transaction-button' }],
+  notifications: testHook('nav-top-notifications-link'),
+  notificationCount: testHook('nav-top-notifications-count'),
+  publicTab: testHook('nav-public-tab'),
+  contactsTab: testHook('nav-contacts-tab'),
+  personalTab: testHook('nav-personal-tab'),
+});
+
+defineSelectors('sidenav', {
+  root: testHook('sidenav'),
+  fullName: testHook('sidenav-user-full-name'),
+  username: testHook('sidenav-username'),
+  balance: [testHook('sidenav-user-balance'), { 'data-cy': 'user-balance' }],
+  home: testHook('sidenav-home'),
+  settings: testHook('sidenav-user-settings'),
+  bankAccounts: testHook('sidenav-bankaccounts'),
+  notifications: testHook('sidenav-notifications'),
+  signOut: testHook('sidenav-signout'),
+});
+
+defineSelectors('dashboard', {
+  main: [testHook('main'), { 'data-cy': 'dashboard-main' }],
+  balance: [{ 'data-cy': 'user-balance' }, testHook('sidenav-user-balance')],
+  greeting: testHook('sidenav-user-full-name'),
+  loadingSpinner: testHook('loading-spinner'),
+  dateRangeFilter: testHook('transaction-list-filter-date-range-button'),
+  amountRangeFilter: testHook('transaction-list-filter-amount-range-button'),
+});
+
+defineSelectors('transactions', {
+  list: testHook('transaction-list'),
+  item: ['[data-cy^="transaction-item-"]', '[data-test^="transaction-item-"]'],
+  amount: testHook('transaction-amount'),
+  description: testHook('transaction-description'),
+  recipient: testHook('transaction-recipient'),
+  form: testHook('transaction-form'),
+  submit: testHook('transaction-submit'),
+});
@@ -0,0 +1,124 @@
+/**
+ * Selector Registry
+ * Logical element names with ordered locator candidates
+ *
+ * Each logical element (e.g. 'dashboard.balance') lists the ways it can be
+ * located. A candidate is either:
+ * - an attribute locator:  { 'data-test': 'sidenav-user-balance' }
+ *   (one object may hold several attributes, each becoming a candidate)
+ * - a CSS selector:        '.balance' or { css: '.balance' }
+ *
+ * Candidates are tried in SELECTOR_STRATEGY.preferredAttributes order
+ * (data-cy, data-test, aria-label; a CSS selector starting with an attribute,
+ * e.g. [data-test^="item-"], ranks by that attribute). Other candidates come
+ * last, in the order they were declared. The first candidate present in the
+ * page wins, so markup migrating from data-test to data-cy keeps working.
+ *
+ * Usage:
+ * defineSelectors('cart', {
+ *   total: [{ 'data-cy': 'cart-total' }, { 'data-test': 'cart-total' }],
+ * });
+ *
+ * cy.find('cart.total').should('contain', '$');
+ */
+
+import { SELECTOR_STRATEGY } from '../../cypress/support/test-config';
+
+const registry = {};
+
+/**
+ * Build an attribute selector, e.g. [data-test="submit"]
+ */
+const attributeSelector = (attribute, value) =>
+  `[${attribute}="${String(value).replace(/"/g, '\\"')}"]`;
+
+/**
+ * Attribute a CSS selector starts with, e.g. data-test for [data-test^="item-"]
+ */
+const leadingAttribute = (selector) => (String(selector).match(/^\[([\w-]+)/) || [])[1] || null;
+
+/**
+ * Expand declared candidates into { attribute, selector } entries
+ */
+const expandCandidates = (name, candidates) =>
+  [].concat(candidates).flatMap((candidate) => {
+    if (typeof candidate === 'string') {
+      return [{ attribute: leadingAttribute(candidate), selector: candidate }];
+    }
+
+    if (candidate && typeof candidate === 'object') {
+      return Object.entries(candidate).map(([attribute, value]) =>
+        attribute === 'css'
+          ? { attribute: leadingAttribute(value), selector: value }
+          : { attribute, selector: attributeSelector(attribute, value) },
+      );
+    }
+
+    throw new Error(`Selector '${name}' has an invalid candidate: ${JSON.stringify(candidate)}`);
+  });
+
+/**
+ * Register logical elements under a namespace
+ * @param {string} namespace - Page or component name (e.g. 'dashboard')
+ * @param {Object} elements - Element name => candidate or list of candidates
+ * @returns {Array<string>} Registered logical names
+ */
+export const defineSelectors = (namespace, elements) =>
+  Object.entries(elements).map(([element, candidates]) => {
+    const name = `${namespace}.${element}`;
+    const expanded = expandCandidates(name, candidates);
+
+    if (expanded.length === 0) {
+      throw new Error(`Selector '${name}' needs at least one candidate`);
+    }
+
+    registry[name] = expanded;
+    return name;
+  });
+
+/**
+ * Whether a string is a registered logical name (rather than a CSS selector)
+ * @param {*} name - Value to check
+ * @returns {boolean} True for registered names
+ */
+export const isLogicalSelector = (name) =>
+  typeof name === 'string' && Object.prototype.hasOwnProperty.call(registry, name);
+
+/**
+ * Get a logical element's CSS candidates in resolution order
+ * @param {string} name - Logical name (e.g. 'dashboard.balance')
+ * @param {Array<string>} preferredAttributes - Attribute order (default: SELECTOR_STRATEGY)
+ * @returns {Array<string>} CSS selectors, most preferred first
+ */
+export const getSelectorCandidates = (name, preferredAttributes = SELECTOR_STRATEGY.preferredAttributes) => {
+  if (!isLogicalSelector(name)) {
+    throw new Error(`Unknown selector '${name}'. Use one of: ${listSelectors().join(', ')}`);
+  }
+
+  const rank = ({ attribute }) => {
+    const index = attribute ? preferredAttributes.indexOf(attribute) : -1;
+    return index === -1 ? preferredAttributes.length : index;
+  };
+
+  return registry[name]
+    .map((candidate, index) => ({ ...candidate, index }))
+    .sort((a, b) => rank(a) - rank(b) || a.index - b.index)
+    .map(({ selector }) => selector);
+};
+
+/**
+ * List registered logical names
+ * @param {string} namespace - Only names in this namespace (optional)
+ * @returns {Array<string>} Sorted logical names
+ */
+export const listSelectors = (namespace = null) =>
+  Object.keys(registry)
+    .filter((name) => !namespace || name.startsWith(`${namespace}.`))
+    .sort();
+
+export default {
+  defineSelectors,
+  isLogicalSelector,
+  getSelectorCandidates,
+  listSelectors,
+};
@@ -0,0 +1,337 @@
+/**
+ * Self-Healing Locators
+ * Keep page objects working when a selector changes, and report the fix
+ *
+ * Opt in with SELF_HEALING=true. Page objects then look elements up with
+ * cy.locate, which remembers a fingerprint of every element a selector
+ * matches (tag, role, text, key attributes, classes, DOM position). When the
+ * selector later finds nothing for half its timeout, the element on the page
+ * that best matches the stored fingerprint is used instead:
+ *
+ *   - the test continues, with a "self-healed" entry in the command log,
+ *   - the heal is written to the healing report (cypress/reports/healing),
+ *     naming the page object selector to update and a suggested replacement.
+ *
+ * Candidates must score at least selfHealingThreshold (0-1) and clearly beat
+ * the runner-up; otherwise nothing is healed and the lookup fails as usual.
+ * Fingerprints live in memory during a spec and are saved by the support
+ * file's hooks (cypress/healing/fingerprints.json by default).
+ */
+
+import { SELECTOR_STRATEGY } from '../../cypress/support/test-config';
+
+// Attributes compared between a fingerprint and a candidate, with their weight
+const ATTRIBUTE_WEIGHTS = {
+  'data-cy': 2,
+  'data-test': 2,
+  id: 2,
+  name: 2,
+  'aria-label': 2,
+  type: 1,
+  placeholder: 1,
+  href: 1,
+  title: 1,
+  for: 1,
+};
+
+const TEXT_WEIGHT = 3;
+const ROLE_WEIGHT = 1;
+const CLASS_WEIGHT = 1;
+const POSITION_WEIGHT = 2;
+
+// A winner must beat the runner-up by this much to be used
+const AMBIGUITY_MARGIN = 0.1;
+
+const IMPLICIT_ROLES = {
+  a: 'link',
+  button: 'button',
+  select: 'combobox',
+  textarea: 'textbox',
+  nav: 'navigation',
+  header: 'banner',
+  main: 'main',
+  ul: 'list',
+  ol: 'list',
+  li: 'listitem',
+  h1: 'heading',
+  h2: 'heading',
+  h3: 'heading',
+  h4: 'heading',
+  h5: 'heading',
+  h6: 'heading',
+};
+
+const INPUT_ROLES = {
+  checkbox: 'checkbox',
+  radio: 'radio',
+  submit: 'button',
+  button: 'button',
+};
+
+const state = {
+  fingerprints: {},
+  changed: {},
+  healed: [],
+};
+
+/**
+ * Whether self-healing is switched on (SELF_HEALING=true)
+ * @returns {boolean} True when enabled
+ */
+export const isSelfHealingEnabled = () =>
+  Cypress.env('selfHealing') === true || Cypress.env('selfHealing') === 'true';
+
+/**
+ * Key a fingerprint by the page object that owns the selector
+ * @param {string} owner - Page object or component class name
+ * @param {string} selector - CSS selector
+ * @returns {string} Fingerprint key
+ */
+export const fingerprintKey = (owner, selector) => `${owner || 'global'}::${selector}`;
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 80);
+
+const roleOf = (el) => {
+  const tag = el.tagName.toLowerCase();
+
+  if (el.getAttribute('role')) {
+    return el.getAttribute('role');
+  }
+  if (tag === 'input') {
+    return INPUT_ROLES[(el.getAttribute('type') || 'text').toLowerCase()] || 'textbox';
+  }
+  if (tag === 'a' && !el.hasAttribute('href')) {
+    return null;
+  }
+  return IMPLICIT_ROLES[tag] || null;
+};
+
+/**
+ * Hook attribute (data-cy, data-test, id) that anchors a DOM position
+ */
+const anchorOf = (el) => {
+  for (const attribute of ['data-cy', 'data-test', 'id']) {
+    if (el.getAttribute(attribute)) {
+      return `[${attribute}="${el.getAttribute(attribute)}"]`;
+    }
+  }
+  return null;
+};
+
+/**
+ * DOM position: nth-of-type steps up to the nearest anchored ancestor (max 4)
+ */
+const positionOf = (el) => {
+  const steps = [];
+  let node = el;
+
+  while (node.parentElement && steps.length < 4) {
+    const siblings = Array.from(node.parentElement.children).filter((sibling) => sibling.tagName === node.tagName);
+    steps.unshift(`${node.tagName.toLowerCase()}:nth-of-type(${siblings.indexOf(node) + 1})`);
+    node = node.parentElement;
+
+    if (anchorOf(node)) {
+      return { anchor: anchorOf(node), path: steps.join(' > ') };
+    }
+  }
+
+  return { anchor: null, path: steps.join(' > ') };
+};
+
+/**
+ * Fingerprint an element
+ * @param {Element} el - DOM element
+ * @returns {Object} { tag, role, text, attributes, classes, anchor, path }
+ */
+export const captureFingerprint = (el) => {
+  const attributes = {};
+
+  Object.keys(ATTRIBUTE_WEIGHTS).forEach((attribute) => {
+    if (el.getAttribute(attribute)) {
+      attributes[attribute] = el.getAttribute(attribute);
+    }
+  });
+
+  return {
+    tag: el.tagName.toLowerCase(),
+    role: roleOf(el),
+    text: normalizeText(el.innerText || el.textContent),
+    attributes,
+    classes: Array.from(el.classList || []).slice(0, 10),
+    ...positionOf(el),
+  };
+};
+
+/**
+ * Score how closely an element matches a fingerprint
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {Element} el - Candidate element
+ * @returns {number} 0 (nothing in common) to 1 (identical)
+ */
+export const scoreFingerprint = (fingerprint, el) => {
+  const candidate = captureFingerprint(el);
+  let total = 0;
+  let matched = 0;
+
+  const compare = (weight, score) => {
+    total += weight;
+    matched += weight * score;
+  };
+
+  if (fingerprint.role) {
+    compare(ROLE_WEIGHT, candidate.role === fingerprint.role ? 1 : 0);
+  }
+
+  if (fingerprint.text) {
+    const partial = candidate.text && (candidate.text.includes(fingerprint.text) || fingerprint.text.includes(candidate.text));
+    compare(TEXT_WEIGHT, candidate.text === fingerprint.text ? 1 : partial ? 0.5 : 0);
+  }
+
+  Object.entries(fingerprint.attributes || {}).forEach(([attribute, value]) => {
+    const current = candidate.attributes[attribute];
+    const partial = current && (current.includes(value) || value.includes(current));
+    compare(ATTRIBUTE_WEIGHTS[attribute] || 1, current === value ? 1 : partial ? 0.5 : 0);
+  });
+
+  if (fingerprint.classes && fingerprint.classes.length > 0) {
+    const shared = fingerprint.classes.filter((name) => candidate.classes.includes(name)).length;
+    compare(CLASS_WEIGHT, shared / new Set([...fingerprint.classes, ...candidate.classes]).size);
+  }
+
+  if (fingerprint.path) {
+    const samePath = candidate.path === fingerprint.path && candidate.anchor === fingerprint.anchor;
+    compare(POSITION_WEIGHT, samePath ? 1 : fingerprint.anchor && candidate.anchor === fingerprint.anchor ? 0.5 : 0);
+  }
+
+  return total === 0 ? 0 : matched / total;
+};
+
+/**
+ * Find the element that best matches a fingerprint
+ * Only elements with the same tag or role are considered.
+ * @param {Object} fingerprint - Stored fingerprint
+ * @param {JQuery} $scope - Where to search
+ * @param {number} threshold - Minimum score (default: selfHealingThreshold env)
+ * @returns {Object|null} { element, score }, or null when nothing scores high enough
+ *   or the best candidate is ambiguous
+ */
+export const findHealingCandidate = (
+  fingerprint,
+  $scope,
+  threshold = Number(Cypress.env('selfHealingThreshold')) || 0.6,
+) => {
+  const selectors = [fingerprint.tag, fingerprint.role && `[role="${fingerprint.role}"]`].filter(Boolean);
+  const ranked = Array.from(new Set($scope.find(selectors.join(', ')).toArray()))
+    .map((element) => ({ element, score: scoreFingerprint(fingerprint, element) }))
+    .sort((a, b) => b.score - a.score);
+
+  const [best, runnerUp] = ranked;
+
+  if (!best || best.score < threshold || (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN)) {
+    return null;
+  }
+
+  return best;
+};
+
+/**
+ * Suggest a selector for an element, preferring SELECTOR_STRATEGY attributes
+ * @param {Element} el - DOM element
+ * @returns {string} CSS selector
+ */
+export const suggestSelector = (el) => {
+  const tag = el.tagName.toLowerCase();
+  const attribute = SELECTOR_STRATEGY.preferredAttributes.find((name) => el.getAttribute(name));
+
+  if (attribute) {
+    return `[${attribute}="${el.getAttribute(attribute)}"]`;
+  }
+  if (el.id) {
+    return `#${el.id}`;
+  }
+  if (el.getAttribute('name')) {
+    return `${tag}[name="${el.getAttribute('name')}"]`;
+  }
+
+  const { anchor, path } = positionOf(el);
+  return anchor ? `${anchor} > ${path}` : path;
+};
+
+/**
+ * Replace the fingerprints known to this spec (from the loadLocatorFingerprints task)
+ * @param {Object} fingerprints - Fingerprints by key
+ */
+export const setFingerprints = (fingerprints = {}) => {
+  state.fingerprints = { ...fingerprints };
+};
+
+/**
+ * Get a stored fingerprint
+ * @param {string} key - Fingerprint key
+ * @returns {Object|null} Fingerprint
+ */
+export const getFingerprint = (key) => state.fingerprints[key] || null;
+
+/**
+ * Remember the fingerprint of an element a selector matched
+ * @param {string} key - Fingerprint key
+ * @param {Element} el - Matched element
+ */
+export const recordFingerprint = (key, el) => {
+  const fingerprint = captureFingerprint(el);
+
+  if (JSON.stringify(fingerprint) !== JSON.stringify(state.fingerprints[key])) {
+    state.fingerprints[key] = fingerprint;
+    state.changed[key] = fingerprint;
+  }
+};
+
+/**
+ * Record a healed lookup for the healing report
+ * @param {Object} heal - { owner, name, selector, suggested, score, text }
+ */
+export const recordHeal = (heal) => {
+  state.healed.push({ ...heal, spec: Cypress.spec.relative, test: Cypress.currentTest && Cypress.currentTest.title });
+};
+
+/**
+ * Take the fingerprints and heals not yet saved (for the saveLocatorHealing task)
+ * @returns {Object|null} { fingerprints, healed }, or null when there is nothing to save
+ */
+export const takePendingHealing = () => {
+  const pending = { fingerprints: state.changed, healed: state.healed };
+
+  if (Object.keys(pending.fingerprints).length === 0 && pending.healed.length === 0) {
+    return null;
+  }
+
+  state.changed = {};
+  state.healed = [];
+  return pending;
+};
+
+/**
+ * Options for cy.locate naming the page object selector being looked up
+ * @param {Object} pageObject - Page object or component (with a selectors map)
+ * @param {string} selector - CSS selector
+ * @returns {Object} { owner, name }
+ */
+export const selectorOwner = (pageObject, selector) => ({
+  owner: pageObject.constructor.name,
+  name: Object.keys(pageObject.selectors || {}).find((key) => pageObject.selectors[key] === selector) || null,
+});
+
+export default {
+  isSelfHealingEnabled,
+  fingerprintKey,
+  captureFingerprint,
+  scoreFingerprint,
+  findHealingCandidate,
+  suggestSelector,
+  setFingerprints,
+  getFingerprint,
+  recordFingerprint,
+  recordHeal,
+  takePendingHealing,
+  selectorOwner,
+};
@@ -0,0 +1,167 @@
+/**
+ * Session Validation Strategies
+ * Decide whether a session cached by cy.session is still usable
+ *
+ * cy.login validates its cached session with the strategies named in the
+ * sessionStrategy env (SESSION_STRATEGY, comma-separated; all must pass):
+ *
+ *   cookie        - the authSessionCookie cookie exists (default)
+ *   localStorage  - the authTokenKey entry exists on the baseUrl origin and,
+ *                   when it is a JWT, has not expired
+ *   whoami        - GET {apiUrl}{authWhoamiPath} answers 2xx with the session's
+ *                   token (Bearer) and cookies
+ *
+ * Apps with other session mechanics register their own strategy from
+ * cypress/support, then select it by name:
+ *
+ *   registerSessionStrategy('csrf', () =>
+ *     cy.getCookie('XSRF-TOKEN').then(Boolean));
+ *   // SESSION_STRATEGY=cookie,csrf
+ *
+ * A strategy returns a chain yielding a boolean (false = stale session).
+ */
+
+import { isJwtExpired } from './jwt';
+
+const strategies = {};
+
+/**
+ * Read the session token: the authTokenKey localStorage entry on the baseUrl
+ * origin, falling back to the authSessionCookie cookie
+ * @returns {Cypress.Chainable} Token or null
+ */
+const readSessionToken = () => {
+  const origin = new URL(Cypress.config('baseUrl')).origin;
+  const tokenKey = Cypress.env('authTokenKey');
+  const cookieName = Cypress.env('authSessionCookie');
+
+  return cy.getAllLocalStorage({ log: false }).then((storage) => {
+    const stored = tokenKey && storage[origin] && storage[origin][tokenKey];
+
+    if (stored || !cookieName) {
+      return stored || null;
+    }
+
+    return cy.getCookie(cookieName, { log: false }).then((cookie) => (cookie ? cookie.value : null));
+  });
+};
+
+/**
+ * Register a session validation strategy
+ * @param {string} name - Name to select it by in SESSION_STRATEGY
+ * @param {Function} validate - Returns a chain yielding true for a valid session
+ */
+export const registerSessionStrategy = (name, validate) => {
+  if (typeof validate !== 'function') {
+    throw new Error(`Session strategy '${name}' must be a function`);
+  }
+  strategies[name] = validate;
+};
+
+/**
+ * Get a registered session strategy
+ * @param {string} name - Strategy name
+ * @returns {Function} Strategy
+ */
+export const getSessionStrategy = (name) => {
+  if (!strategies[name]) {
+    throw new Error(
+      `Unknown session strategy '${name}'. Use one of: ${Object.keys(strategies).join(', ')}`,
+    );
+  }
+  return strategies[name];
+};
+
+/**
+ * Parse a strategy selection
+ * @param {string|Array<string>} selection - Names, e.g. 'cookie,whoami' (default: sessionStrategy env)
+ * @returns {Array<string>} Strategy names
+ */
+export const parseSessionStrategies = (selection = Cypress.env('sessionStrategy') || 'cookie') =>
+  (Array.isArray(selection) ? selection : String(selection).split(','))
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+/**
+ * Validate the current session with the selected strategies (all must pass)
+ * For use as cy.session's validate callback.
+ * @param {string|Array<string>} selection - Strategy names (default: sessionStrategy env)
+ * @returns {Cypress.Chainable} true when every strategy passes
+ */
+export const validateSession = (selection) => {
+  const names = parseSessionStrategies(selection);
+  const validators = names.map(getSessionStrategy);
+
+  const run = (index) => {
+    if (index >= validators.length) {
+      return cy.wrap(true, { log: false });
+    }
+
+    return validators[index]().then((valid) => {
+      if (!valid) {
+        Cypress.log({ name: 'session', message: `stale: '${names[index]}' check failed` });
+        return false;
+      }
+      return run(index + 1);
+    });
+  };
+
+  return run(0);
+};
+
+/**
+ * Build a cy.session id scoped to the environment and baseUrl, so a session
+ * cached with cacheAcrossSpecs is never reused against another server
+ * @param {...*} parts - Session-specific parts (command, user, ...)
+ * @returns {Array} Session id
+ */
+export const sessionCacheKey = (...parts) => [
+  ...parts,
+  Cypress.env('environment'),
+  Cypress.config('baseUrl'),
+];
+
+registerSessionStrategy('cookie', () => {
+  const cookieName = Cypress.env('authSessionCookie');
+
+  if (!cookieName) {
+    throw new Error('Session strategy \'cookie\' needs authSessionCookie (AUTH_SESSION_COOKIE)');
+  }
+
+  return cy.getCookie(cookieName, { log: false }).then(Boolean);
+});
+
+registerSessionStrategy('localStorage', () => {
+  const origin = new URL(Cypress.config('baseUrl')).origin;
+  const tokenKey = Cypress.env('authTokenKey');
+
+  if (!tokenKey) {
+    throw new Error('Session strategy \'localStorage\' needs authTokenKey (AUTH_TOKEN_KEY)');
+  }
+
+  return cy.getAllLocalStorage({ log: false }).then((storage) => {
+    const token = storage[origin] && storage[origin][tokenKey];
+    return Boolean(token) && !isJwtExpired(token);
+  });
+});
+
+registerSessionStrategy('whoami', () =>
+  readSessionToken().then((token) =>
+    cy
+      .request({
+        url: `${Cypress.env('apiUrl')}${Cypress.env('authWhoamiPath')}`,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        failOnStatusCode: false,
+        log: false,
+      })
+      .then((response) => response.status >= 200 && response.status < 300),
+  ),
+);
+
+export default {
+  registerSessionStrategy,
+  getSessionStrategy,
+  parseSessionStrategies,
+  validateSession,
+  sessionCacheKey,
+};
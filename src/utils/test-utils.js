@@ -3,6 +3,8 @@
  * Reusable helper functions for test automation
  */
 
+import { randomDigits, randomElement, randomInt } from './random';
+
 /**
  * API Helper Functions
  */
@@ -67,7 +69,7 @@ export const interceptAuth = (shouldSucceed = true) => {
  * @param {string} alias - Alias for the intercept
  * @param {number} statusCode - HTTP status code
  * @returns {void}
- * @example interceptEndpoint('GET', '**/api/transactions', { data: [] }, 'getTransactions')
+ * @example interceptEndpoint('GET', '/api/transactions*', { data: [] }, 'getTransactions')
  */
 export const interceptEndpoint = (
   method,
@@ -92,7 +94,7 @@ export const interceptEndpoint = (
  * @param {number} delay - Delay in milliseconds
  * @param {string} alias - Alias for the intercept
  * @returns {void}
- * @example interceptWithDelay('GET', '**/api/transactions', 3000, 'slowTransactions')
+ * @example interceptWithDelay('GET', '/api/transactions*', 3000, 'slowTransactions')
  */
 export const interceptWithDelay = (method, urlPattern, delay, alias) => {
   cy.intercept(method, urlPattern, (req) => {
@@ -214,8 +216,8 @@ export const scrollAndClick = (selector, useTestId = true) => {
  * @example generateRandomEmail('test')
  */
 export const generateRandomEmail = (prefix = 'test') => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 10000);
+  const timestamp = randomDigits(13);
+  const random = randomInt(0, 9999);
   return `${prefix}_${timestamp}_${random}@example.com`;
 };
 
@@ -226,8 +228,8 @@ export const generateRandomEmail = (prefix = 'test') => {
  * @example generateRandomUsername('user')
  */
 export const generateRandomUsername = (prefix = 'user') => {
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 10000);
+  const timestamp = randomDigits(13);
+  const random = randomInt(0, 9999);
   return `${prefix}_${timestamp}_${random}`;
 };
 
@@ -241,7 +243,7 @@ export const generateRandomString = (length = 10) => {
   const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
   let result = '';
   for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+    result += randomElement(chars);
   }
   return result;
 };
@@ -254,7 +256,7 @@ export const generateRandomString = (length = 10) => {
  * @example generateRandomNumber(1, 100)
  */
 export const generateRandomNumber = (min = 0, max = 100) => {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return randomInt(min, max);
 };
 
 /**
@@ -0,0 +1,194 @@
+/**
+ * TOTP Code Generator (RFC 6238)
+ * Offline one-time codes for users with multi-factor authentication
+ *
+ * Fixture and ephemeral users carry a base32 `totpSecret` (the value behind the
+ * QR code an authenticator app scans). Codes are computed in the browser with a
+ * bundled HMAC-SHA1, so no authenticator service or network access is needed.
+ *
+ * Usage:
+ *   generateTotp(user.totpSecret)                // e.g. '840278'
+ *   getTotpSecondsRemaining()                    // seconds left in the current window
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_STEP = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Decode a base32 secret (RFC 4648; spaces, padding and case are ignored)
+ * @param {string} secret - Base32 secret
+ * @returns {Uint8Array} Secret bytes
+ */
+export const decodeBase32 = (secret) => {
+  const clean = String(secret || '').replace(/[\s=-]/g, '').toUpperCase();
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+
+    if (value === -1) {
+      throw new Error(`Invalid base32 character '${char}' in TOTP secret`);
+    }
+
+    buffer = (buffer << 5) | value;
+    bits += 5;
+
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >>> bits) & 0xff);
+    }
+  }
+
+  if (bytes.length === 0) {
+    throw new Error('TOTP secret is empty');
+  }
+
+  return Uint8Array.from(bytes);
+};
+
+/**
+ * SHA-1 digest (FIPS 180-4)
+ * @param {Uint8Array} message - Message bytes
+ * @returns {Uint8Array} 20-byte digest
+ */
+const sha1 = (message) => {
+  const length = message.length;
+  const blocks = Math.ceil((length + 9) / 64);
+  const padded = new Uint8Array(blocks * 64);
+  padded.set(message);
+  padded[length] = 0x80;
+
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor((length * 8) / 2 ** 32));
+  view.setUint32(padded.length - 4, (length * 8) >>> 0);
+
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476, 0xc3d2e1f0];
+  const w = new Uint32Array(80);
+  const rotl = (value, count) => (value << count) | (value >>> (32 - count));
+
+  for (let block = 0; block < blocks; block += 1) {
+    for (let i = 0; i < 16; i += 1) {
+      w[i] = view.getUint32(block * 64 + i * 4);
+    }
+    for (let i = 16; i < 80; i += 1) {
+      w[i] = rotl(w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16], 1);
+    }
+
+    let [a, b, c, d, e] = h;
+
+    for (let i = 0; i < 80; i += 1) {
+      let f;
+      let k;
+
+      if (i < 20) {
+        f = (b & c) | (~b & d);
+        k = 0x5a827999;
+      } else if (i < 40) {
+        f = b ^ c ^ d;
+        k = 0x6ed9eba1;
+      } else if (i < 60) {
+        f = (b & c) | (b & d) | (c & d);
+        k = 0x8f1bbcdc;
+      } else {
+        f = b ^ c ^ d;
+        k = 0xca62c1d6;
+      }
+
+      const temp = (rotl(a, 5) + f + e + k + w[i]) >>> 0;
+      e = d;
+      d = c;
+      c = rotl(b, 30) >>> 0;
+      b = a;
+      a = temp;
+    }
+
+    h[0] = (h[0] + a) >>> 0;
+    h[1] = (h[1] + b) >>> 0;
+    h[2] = (h[2] + c) >>> 0;
+    h[3] = (h[3] + d) >>> 0;
+    h[4] = (h[4] + e) >>> 0;
+  }
+
+  const digest = new Uint8Array(20);
+  const digestView = new DataView(digest.buffer);
+  h.forEach((word, i) => digestView.setUint32(i * 4, word));
+  return digest;
+};
+
+/**
+ * HMAC-SHA1 (RFC 2104)
+ * @param {Uint8Array} key - Key bytes
+ * @param {Uint8Array} message - Message bytes
+ * @returns {Uint8Array} 20-byte MAC
+ */
+const hmacSha1 = (key, message) => {
+  const block = new Uint8Array(64);
+  block.set(key.length > 64 ? sha1(key) : key);
+
+  const inner = new Uint8Array(64 + message.length);
+  const outer = new Uint8Array(64 + 20);
+
+  for (let i = 0; i < 64; i += 1) {
+    inner[i] = block[i] ^ 0x36;
+    outer[i] = block[i] ^ 0x5c;
+  }
+
+  inner.set(message, 64);
+  outer.set(sha1(inner), 64);
+  return sha1(outer);
+};
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {Uint8Array} key - Secret bytes
+ * @param {number} counter - Moving factor
+ * @param {number} digits - Code length
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter, digits) => {
+  const message = new Uint8Array(8);
+  const view = new DataView(message.buffer);
+  view.setUint32(0, Math.floor(counter / 2 ** 32));
+  view.setUint32(4, counter >>> 0);
+
+  const mac = hmacSha1(key, message);
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary =
+    ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) | (mac[offset + 2] << 8) | mac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generate the TOTP code for a secret
+ * @param {string} secret - Base32 secret
+ * @param {Object} options - Options
+ * @param {number} options.time - Time in milliseconds (default: now)
+ * @param {number} options.step - Window length in seconds (default: 30)
+ * @param {number} options.digits - Code length (default: 6)
+ * @returns {string} Code, e.g. '840278'
+ */
+export const generateTotp = (secret, { time = Date.now(), step = TOTP_STEP, digits = TOTP_DIGITS } = {}) =>
+  hotp(decodeBase32(secret), Math.floor(time / 1000 / step), digits);
+
+/**
+ * Seconds left before the current code expires
+ * @param {Object} options - Options
+ * @param {number} options.time - Time in milliseconds (default: now)
+ * @param {number} options.step - Window length in seconds (default: 30)
+ * @returns {number} Seconds remaining in the window (fractional)
+ */
+export const getTotpSecondsRemaining = ({ time = Date.now(), step = TOTP_STEP } = {}) =>
+  step - ((time / 1000) % step);
+
+export default {
+  TOTP_STEP,
+  TOTP_DIGITS,
+  decodeBase32,
+  generateTotp,
+  getTotpSecondsRemaining,
+};
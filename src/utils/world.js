@@ -0,0 +1,172 @@
+/**
+ * Test World Planner
+ * Turns a declarative scenario "world" into an ordered seeding plan
+ *
+ * A world file (cypress/worlds/<name>.yml or .json) lists entities by
+ * collection. Each entity has a unique key, optional traits and attribute
+ * overrides; a string value of the form `$<collection>.<key>[.<path>]`
+ * references another entity and defaults to its id:
+ *
+ *   users:
+ *     alice:
+ *       traits: [premium, overdrawn]
+ *   orders:
+ *     aliceOrder:
+ *       traits: [paid]
+ *       userId: $users.alice
+ *       items:
+ *         - productId: $products.widget.id
+ *           price: $products.widget.price
+ *
+ * Entities are seeded in dependency order through SeedFactory and every
+ * created id is exposed as an alias named after its key (cy.get('@alice')).
+ */
+
+import { findFactoryByCollection } from './factory-registry';
+
+const REFERENCE = /^\$([A-Za-z0-9_-]+)\.([A-Za-z0-9_-]+)((?:\.[A-Za-z0-9_-]+)*)$/;
+
+/**
+ * Parse a reference string
+ * @param {*} value - Attribute value
+ * @returns {Object|null} { collection, key, path } or null when not a reference
+ * @example parseReference('$users.alice.email') // { collection: 'users', key: 'alice', path: ['email'] }
+ */
+export const parseReference = (value) => {
+  const match = typeof value === 'string' && value.match(REFERENCE);
+
+  if (!match) {
+    return null;
+  }
+
+  const path = match[3] ? match[3].slice(1).split('.') : ['id'];
+  return { collection: match[1], key: match[2], path };
+};
+
+/**
+ * Collect every reference in a value (deep)
+ * @param {*} value - Attribute value, object or array
+ * @param {string} at - Path of the value, used in error messages
+ * @returns {Array<Object>} [{ collection, key, path, at }]
+ */
+const collectReferences = (value, at) => {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, index) => collectReferences(item, `${at}[${index}]`));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => collectReferences(item, `${at}.${key}`));
+  }
+
+  const reference = parseReference(value);
+  return reference ? [{ ...reference, at }] : [];
+};
+
+/**
+ * Order world entities so every entity comes after the entities it references
+ * @param {Object} world - Parsed world file ({ [collection]: { [key]: entity } })
+ * @returns {Array<Object>} Plan steps: { collection, key, spec, attributes }
+ * @throws {Error} On unknown collections or references, duplicate keys and cycles
+ */
+export const planWorld = (world) => {
+  const nodes = {};
+
+  Object.entries(world)
+    .filter(([, entities]) => entities && typeof entities === 'object' && !Array.isArray(entities))
+    .forEach(([collection, entities]) => {
+      Object.entries(entities).forEach(([key, entity = {}]) => {
+        if (nodes[key]) {
+          throw new Error(
+            `World key '${key}' is used in both '${nodes[key].collection}' and '${collection}'; keys must be unique`,
+          );
+        }
+
+        const { traits = [], factory, ...attributes } = entity || {};
+        const name = factory || findFactoryByCollection(collection).name;
+        const traitList = typeof traits === 'string' ? traits.split(/[\s,:]+/) : traits;
+
+        nodes[key] = {
+          collection,
+          key,
+          spec: [name, ...traitList].filter(Boolean).join(':'),
+          attributes,
+          references: collectReferences(attributes, `${collection}.${key}`),
+        };
+      });
+    });
+
+  Object.values(nodes).forEach((node) => {
+    node.references.forEach((reference) => {
+      const target = nodes[reference.key];
+
+      if (!target || target.collection !== reference.collection) {
+        throw new Error(
+          `${reference.at} references unknown entity '$${reference.collection}.${reference.key}'`,
+        );
+      }
+    });
+  });
+
+  // Depth-first topological sort, keeping file order where there are no dependencies
+  const ordered = [];
+  const state = {};
+
+  const visit = (node, trail) => {
+    if (state[node.key] === 'done') {
+      return;
+    }
+
+    if (state[node.key] === 'visiting') {
+      throw new Error(`World has a reference cycle: ${[...trail, node.key].join(' -> ')}`);
+    }
+
+    state[node.key] = 'visiting';
+    node.references.forEach((reference) => visit(nodes[reference.key], [...trail, node.key]));
+    state[node.key] = 'done';
+    ordered.push(node);
+  };
+
+  Object.values(nodes).forEach((node) => visit(node, []));
+
+  return ordered.map(({ collection, key, spec, attributes }) => ({
+    collection,
+    key,
+    spec,
+    attributes,
+  }));
+};
+
+/**
+ * Replace references in attributes with values from already created entities
+ * @param {*} value - Attributes (or any nested value)
+ * @param {Object} created - Created entities ({ [collection]: { [key]: entity } })
+ * @returns {*} Attributes with references resolved
+ */
+export const resolveReferences = (value, created) => {
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveReferences(item, created));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, resolveReferences(item, created)]),
+    );
+  }
+
+  const reference = parseReference(value);
+
+  if (!reference) {
+    return value;
+  }
+
+  return reference.path.reduce(
+    (current, segment) => (current == null ? current : current[segment]),
+    (created[reference.collection] || {})[reference.key],
+  );
+};
+
+export default {
+  parseReference,
+  planWorld,
+  resolveReferences,
+};